@@ -0,0 +1,190 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const Ajv = require('ajv');
+const { schema, DEPRECATED_ENV } = require('./schema');
+const { redact } = require('../utils/redact');
+
+/**
+ * Error for a configuration that can't be used. errors lists every problem found.
+ */
+class ConfigError extends Error {
+  constructor(errors) {
+    super(`Invalid configuration:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.errors = errors;
+  }
+}
+
+const ajv = new Ajv({ allErrors: true, allowUnionTypes: true, coerceTypes: true, useDefaults: true });
+ajv.addKeyword('env');
+const validate = ajv.compile(schema);
+
+/**
+ * Every setting of the schema with its dotted path and environment variable
+ * @param {Object} node - Schema node
+ * @param {Array<string>} parents - Keys leading to the node
+ * @returns {Array<Object>} { path, keys, env, schema } per setting
+ */
+const listSettings = (node = schema, parents = []) => Object.entries(node.properties).flatMap(([key, child]) => {
+  const keys = [...parents, key];
+  return child.type === 'object'
+    ? listSettings(child, keys)
+    : [{ path: keys.join('.'), keys, env: child.env, schema: child }];
+});
+
+const SETTINGS = listSettings();
+
+const getIn = (object, keys) => keys.reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), object);
+
+const setIn = (object, keys, value) => {
+  const parent = keys.slice(0, -1).reduce((node, key) => {
+    if (!node[key] || typeof node[key] !== 'object') {
+      node[key] = {};
+    }
+    return node[key];
+  }, object);
+  parent[keys[keys.length - 1]] = value;
+};
+
+const deepFreeze = (value) => {
+  if (value && typeof value === 'object') {
+    Object.values(value).forEach(deepFreeze);
+    Object.freeze(value);
+  }
+  return value;
+};
+
+/**
+ * Reads the optional config file, JSON or YAML by extension
+ * @param {string} file - Path to the file
+ * @returns {Object} Settings from the file
+ */
+const readConfigFile = (file) => {
+  let settings;
+  try {
+    const source = fs.readFileSync(file, 'utf8');
+    settings = /\.ya?ml$/i.test(file) ? yaml.load(source) : JSON.parse(source);
+  } catch (error) {
+    throw new ConfigError([`CONFIG_FILE ${file} could not be read: ${error.message}`]);
+  }
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    throw new ConfigError([`CONFIG_FILE ${file} must contain an object of settings`]);
+  }
+  return settings;
+};
+
+/**
+ * Turns an Ajv error into a message naming the variable or file key to fix
+ * @param {Object} error - Ajv error
+ * @param {Object} sources - Source of each setting by dotted path
+ * @param {Object} env - Environment variables
+ * @returns {string} Message
+ */
+const describeError = (error, sources, env) => {
+  const keys = error.instancePath.split('/').slice(1);
+  if (error.keyword === 'additionalProperties') {
+    return `CONFIG_FILE: unknown setting ${[...keys, error.params.additionalProperty].join('.')}`;
+  }
+
+  // Errors inside an array setting are reported on the setting itself
+  const setting = SETTINGS.find(candidate => candidate.keys.every((key, index) => key === keys[index]));
+  const dottedPath = setting ? setting.path : keys.join('.');
+  const source = sources[dottedPath] || '';
+  const message = error.keyword === 'enum'
+    ? `must be one of: ${error.params.allowedValues.join(', ')}`
+    : error.message;
+
+  if (source.startsWith('env:')) {
+    const name = source.slice('env:'.length);
+    return `${name} ${message} (got "${env[name]}")`;
+  }
+  return `${dottedPath} in CONFIG_FILE ${message}`;
+};
+
+/**
+ * Builds the configuration from the built-in defaults, the optional config
+ * file (CONFIG_FILE, JSON or YAML) and environment variables, in increasing
+ * order of precedence, and validates it. Empty variables count as unset.
+ * @param {Object} env - Environment variables
+ * @returns {{config: Object, sources: Object, file: string|null, warnings: Array<string>}}
+ *   The frozen configuration, where each setting came from ("default", "file" or
+ *   "env:<VARIABLE>"), the config file used and deprecation warnings
+ * @throws {ConfigError} If the file can't be read or any setting is invalid
+ */
+const loadConfig = (env = process.env) => {
+  const file = env.CONFIG_FILE ? path.resolve(env.CONFIG_FILE) : null;
+  const values = file ? readConfigFile(file) : {};
+  const sources = {};
+  const warnings = [];
+
+  for (const setting of SETTINGS) {
+    if (getIn(values, setting.keys) !== undefined) {
+      sources[setting.path] = 'file';
+    }
+  }
+
+  const renamed = Object.entries(DEPRECATED_ENV);
+  for (const setting of SETTINGS) {
+    const deprecated = renamed.find(([, current]) => current === setting.env);
+    let name = setting.env;
+    if (!env[name] && deprecated && env[deprecated[0]]) {
+      name = deprecated[0];
+      warnings.push(`${name} is deprecated, use ${setting.env} instead`);
+    }
+
+    const raw = env[name];
+    if (raw === undefined || raw.trim() === '') {
+      continue;
+    }
+    const value = setting.schema.type === 'array'
+      ? raw.split(',').map(item => item.trim()).filter(Boolean)
+      : raw;
+    setIn(values, setting.keys, value);
+    sources[setting.path] = `env:${name}`;
+  }
+
+  if (!validate(values)) {
+    const errors = validate.errors.map(error => describeError(error, sources, env));
+    throw new ConfigError([...new Set(errors)]);
+  }
+
+  // Rebuilt in schema order, whatever order the file and variables used
+  const config = {};
+  const orderedSources = {};
+  for (const setting of SETTINGS) {
+    setIn(config, setting.keys, getIn(values, setting.keys));
+    orderedSources[setting.path] = sources[setting.path] || 'default';
+  }
+  return { config: deepFreeze(config), sources: orderedSources, file, warnings };
+};
+
+let loaded;
+try {
+  loaded = loadConfig();
+} catch (error) {
+  if (!(error instanceof ConfigError)) {
+    throw error;
+  }
+  // The logger depends on the configuration, so the problems go straight to stderr
+  console.error(error.message);
+  process.exit(1);
+}
+
+/**
+ * Effective configuration with secrets masked, for the admin API
+ * @returns {Object} { file, config, sources }
+ */
+const describeConfig = () => ({
+  file: loaded.file,
+  config: redact(loaded.config),
+  sources: loaded.sources
+});
+
+module.exports = {
+  config: loaded.config,
+  warnings: loaded.warnings,
+  describeConfig,
+  loadConfig,
+  ConfigError
+};
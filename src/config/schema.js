@@ -0,0 +1,276 @@
+/**
+ * JSON schema of the service configuration. Every setting names the
+ * environment variable that overrides it (env) and carries its default;
+ * the same keys, nested the same way, are used in the optional config file.
+ */
+
+const LANGUAGE_PATTERN = '^[A-Za-z]{2,12}(-[A-Za-z0-9]{1,8})*$';
+const HTTP_URL_PATTERN = '^https?://[^\\s]+$';
+
+/**
+ * @param {string} env - Environment variable
+ * @param {number} defaultValue - Default in milliseconds
+ * @param {number} minimum - Smallest accepted value in milliseconds
+ * @param {string} description - What the duration is for
+ * @returns {Object} Schema of a duration in milliseconds
+ */
+const milliseconds = (env, defaultValue, minimum, description) => ({
+  env,
+  type: 'integer',
+  minimum,
+  default: defaultValue,
+  description: `${description} (ms)`
+});
+
+/**
+ * @param {string} env - Environment variable
+ * @param {string} description - What the file is for
+ * @returns {Object} Schema of an optional path to a file that has a built-in default
+ */
+const optionalPath = (env, description) => ({
+  env,
+  type: ['string', 'null'],
+  minLength: 1,
+  default: null,
+  description: `${description} (default: the built-in file)`
+});
+
+/**
+ * @param {Object} properties - Settings of the section
+ * @returns {Object} Schema of a config section; missing sections get their defaults
+ */
+const section = properties => ({
+  type: 'object',
+  properties,
+  additionalProperties: false,
+  default: {}
+});
+
+const schema = {
+  type: 'object',
+  properties: {
+    server: section({
+      env: {
+        env: 'NODE_ENV',
+        enum: ['development', 'production', 'test'],
+        default: 'development',
+        description: 'Runtime environment'
+      },
+      port: { env: 'PORT', type: 'integer', minimum: 1, maximum: 65535, default: 3000, description: 'HTTP port' },
+      shutdownTimeout: milliseconds('SHUTDOWN_TIMEOUT', 10000, 0, 'Time requests in progress get to finish on shutdown'),
+      trustProxy: {
+        env: 'TRUST_PROXY',
+        type: ['boolean', 'integer', 'string'],
+        default: false,
+        description: 'Express trust proxy setting, which decides the client IP anonymous quotas are counted by'
+      }
+    }),
+
+    logging: section({
+      level: { env: 'LOG_LEVEL', enum: ['error', 'warn', 'info', 'debug'], default: 'info', description: 'Lowest level logged' },
+      format: { env: 'LOG_FORMAT', enum: ['text', 'json'], default: 'text', description: 'Log line format' }
+    }),
+
+    pollutionApi: section({
+      url: {
+        env: 'POLLUTION_API_URL',
+        type: 'string',
+        pattern: HTTP_URL_PATTERN,
+        default: 'https://be-recruitment-task.onrender.com',
+        description: 'Base URL of the pollution API'
+      },
+      username: { env: 'POLLUTION_API_USERNAME', type: 'string', minLength: 1, default: 'testuser', description: 'Pollution API login' },
+      password: { env: 'POLLUTION_API_PASSWORD', type: 'string', minLength: 1, default: 'testpass', description: 'Pollution API password' },
+      timeout: milliseconds('POLLUTION_API_TIMEOUT', 30000, 1000, 'Pollution API request timeout'),
+      maxRetries: {
+        env: 'POLLUTION_API_MAX_RETRIES',
+        type: 'integer',
+        minimum: 0,
+        maximum: 10,
+        default: 3,
+        description: 'Retries of transient pollution API failures'
+      },
+      circuitThreshold: {
+        env: 'POLLUTION_API_CIRCUIT_THRESHOLD',
+        type: 'integer',
+        minimum: 1,
+        default: 5,
+        description: 'Consecutive failures that open the circuit'
+      },
+      circuitReset: milliseconds('POLLUTION_API_CIRCUIT_RESET', 30000, 1000, 'Time an open circuit waits before a trial request'),
+      pageSize: {
+        env: 'POLLUTION_API_PAGE_SIZE',
+        type: 'integer',
+        minimum: 1,
+        maximum: 1000,
+        default: 50,
+        description: 'Entries requested per upstream page'
+      }
+    }),
+
+    dataset: section({
+      refreshInterval: milliseconds('DATASET_REFRESH_INTERVAL', 10 * 60 * 1000, 10 * 1000, 'Time between dataset refreshes'),
+      mergePolicy: {
+        env: 'CITY_MERGE_POLICY',
+        enum: ['latest', 'max', 'mean'],
+        default: 'latest',
+        description: 'How duplicate entries of one city are merged'
+      },
+      maxRejectionEntries: {
+        env: 'REJECTIONS_MAX_ENTRIES',
+        type: 'integer',
+        minimum: 0,
+        default: 1000,
+        description: 'Rejected entries kept per refresh'
+      },
+      validationRules: optionalPath('VALIDATION_RULES', 'Validation rule file, .json, .yaml or .yml'),
+      validationRulesReloadInterval: milliseconds('VALIDATION_RULES_RELOAD_INTERVAL', 5000, 100, 'How often the rule file is checked for changes')
+    }),
+
+    wikipedia: section({
+      apiUrl: {
+        env: 'WIKIPEDIA_API_URL',
+        type: 'string',
+        pattern: HTTP_URL_PATTERN,
+        default: 'https://{lang}.wikipedia.org/api/rest_v1',
+        description: 'Wikipedia REST API; {lang} is replaced with the language code'
+      },
+      searchUrl: {
+        env: 'WIKIPEDIA_SEARCH_URL',
+        type: 'string',
+        pattern: HTTP_URL_PATTERN,
+        default: 'https://{lang}.wikipedia.org/w/api.php',
+        description: 'Wikipedia action API used for title search; {lang} is replaced with the language code'
+      },
+      fallbackLanguages: {
+        env: 'WIKIPEDIA_FALLBACK_LANGUAGES',
+        type: 'array',
+        items: { type: 'string', pattern: LANGUAGE_PATTERN },
+        minItems: 1,
+        default: ['en'],
+        description: 'Languages tried after the requested one, comma-separated'
+      },
+      minConfidence: {
+        env: 'WIKIPEDIA_MIN_CONFIDENCE',
+        type: 'number',
+        minimum: 0,
+        maximum: 1,
+        default: 0.6,
+        description: 'Lowest match confidence accepted as a city description'
+      },
+      requestInterval: milliseconds('WIKIPEDIA_REQUEST_INTERVAL', 100, 0, 'Minimum time between Wikipedia requests'),
+      timeout: milliseconds('WIKIPEDIA_TIMEOUT', 10000, 1000, 'Wikipedia request timeout')
+    }),
+
+    cache: section({
+      backend: { env: 'CACHE_BACKEND', enum: ['memory', 'file', 'redis'], default: 'memory', description: 'Cache backend' },
+      ttl: section({
+        cities: milliseconds('CACHE_TTL_CITIES', 10 * 60 * 1000, 1000, 'Lifetime of cached city pages'),
+        wikipedia: milliseconds('CACHE_TTL_WIKIPEDIA', 24 * 60 * 60 * 1000, 1000, 'Lifetime of cached Wikipedia matches'),
+        wikipediaMiss: milliseconds('CACHE_TTL_WIKIPEDIA_MISS', 60 * 60 * 1000, 1000, 'Lifetime of cached failed Wikipedia lookups'),
+        coordinates: milliseconds('CACHE_TTL_COORDINATES', 30 * 24 * 60 * 60 * 1000, 1000, 'Lifetime of cached city coordinates'),
+        coordinatesMiss: milliseconds('CACHE_TTL_COORDINATES_MISS', 24 * 60 * 60 * 1000, 1000, 'Lifetime of cached failed coordinate lookups')
+      }),
+      staleGrace: milliseconds('CACHE_STALE_GRACE', 5 * 60 * 1000, 0, 'How long expired city pages may be served while they are refreshed'),
+      maxEntries: {
+        env: 'CACHE_MAX_ENTRIES',
+        type: 'integer',
+        minimum: 1,
+        default: 10000,
+        description: 'Entries kept by the memory backend'
+      },
+      maxBytes: {
+        env: 'CACHE_MAX_BYTES',
+        type: 'integer',
+        minimum: 1024,
+        default: 50 * 1024 * 1024,
+        description: 'Bytes kept by the memory backend'
+      },
+      fileDir: { env: 'CACHE_FILE_DIR', type: 'string', minLength: 1, default: './data/cache', description: 'Directory of the file backend' },
+      fileMaxEntries: {
+        env: 'CACHE_FILE_MAX_ENTRIES',
+        type: 'integer',
+        minimum: 1,
+        default: 100000,
+        description: 'Entries kept by the file backend'
+      },
+      fileMaxBytes: {
+        env: 'CACHE_FILE_MAX_BYTES',
+        type: 'integer',
+        minimum: 1024,
+        default: 500 * 1024 * 1024,
+        description: 'Bytes of cache files kept by the file backend'
+      },
+      redisUrl: {
+        env: 'REDIS_URL',
+        type: 'string',
+        pattern: '^rediss?://[^\\s]+$',
+        default: 'redis://localhost:6379',
+        description: 'Redis server of the redis backend'
+      },
+      redisKeyPrefix: {
+        env: 'REDIS_KEY_PREFIX',
+        type: 'string',
+        default: 'cities-pollution:',
+        description: 'Prefix of the keys written to Redis'
+      },
+      redisScanInterval: milliseconds('REDIS_SCAN_INTERVAL', 60 * 1000, 1000, 'How often the redis backend counts its keys for the cache_entries metric')
+    }),
+
+    history: section({
+      directory: { env: 'HISTORY_DIR', type: 'string', minLength: 1, default: './data/history', description: 'Directory of the pollution history' },
+      retentionDays: {
+        env: 'HISTORY_RETENTION_DAYS',
+        type: 'integer',
+        minimum: 1,
+        maximum: 3650,
+        default: 30,
+        description: 'Days of history kept'
+      }
+    }),
+
+    admin: section({
+      apiToken: {
+        env: 'ADMIN_API_TOKEN',
+        type: ['string', 'null'],
+        minLength: 1,
+        default: null,
+        description: 'Bearer token of the admin endpoints; they are disabled while unset'
+      },
+      metricsToken: {
+        env: 'METRICS_TOKEN',
+        type: ['string', 'null'],
+        minLength: 1,
+        default: null,
+        description: 'Bearer token required to scrape /metrics; the endpoint is public while unset'
+      }
+    }),
+
+    apiKeys: section({
+      file: { env: 'API_KEYS_FILE', type: 'string', minLength: 1, default: './data/api-keys.json', description: 'Key store' },
+      anonymousTier: {
+        env: 'API_ANONYMOUS_TIER',
+        type: 'string',
+        minLength: 1,
+        default: 'anonymous',
+        description: 'Tier of requests without a key, or "off" to require a key'
+      },
+      tiers: optionalPath('API_TIERS_CONFIG', 'Tier definitions')
+    }),
+
+    airQuality: section({
+      categories: optionalPath('AIR_QUALITY_CONFIG', 'Air-quality breakpoint table')
+    })
+  },
+  additionalProperties: false
+};
+
+// Old variable names that are still read, with the variable that replaced them
+const DEPRECATED_ENV = {
+  POLLUTION_API_BASE_URL: 'POLLUTION_API_URL'
+};
+
+module.exports = {
+  schema,
+  DEPRECATED_ENV
+};
@@ -0,0 +1,163 @@
+const datasetService = require('../services/datasetService');
+const dataValidator = require('../utils/dataValidator');
+const validationRules = require('../utils/validationRules');
+const logger = require('../utils/logger');
+const { describeConfig } = require('../config');
+const { sendDatasetError } = require('../middleware/errorHandlers');
+const { toList } = require('../utils/cityQuery');
+
+const { RuleSetError } = validationRules;
+
+// Request content types read as YAML rule sets
+const YAML_TYPES = ['application/yaml', 'application/x-yaml', 'text/yaml'];
+// Changed entries listed per direction in a dry run
+const DRY_RUN_SAMPLE_SIZE = 100;
+
+/**
+ * Controller for the entries rejected by the latest dataset refresh, with
+ * counts per reason code
+ */
+const getRejections = async (req, res) => {
+  try {
+    const snapshot = await datasetService.getSnapshot();
+    const { rejections } = snapshot;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const reasonFilter = new Set(toList(req.query.reason));
+
+    const reasons = Object.entries(dataValidator.rejectionReasons)
+      .map(([code, description]) => ({ code, description, count: rejections.byReason[code] || 0 }))
+      .sort((a, b) => b.count - a.count || a.code.localeCompare(b.code));
+
+    const matching = reasonFilter.size > 0
+      ? rejections.entries.filter(rejection => reasonFilter.has(rejection.reason))
+      : rejections.entries;
+    const startIndex = (page - 1) * limit;
+
+    res.json({
+      updatedAt: snapshot.updatedAt,
+      rulesRevision: snapshot.rulesRevision,
+      rawCount: snapshot.rawCount,
+      accepted: snapshot.total,
+      rejected: rejections.total,
+      // Valid entries folded into another entry of the same city
+      merged: snapshot.rawCount - rejections.total - snapshot.total,
+      reasons,
+      page,
+      limit,
+      total: matching.length,
+      truncated: rejections.truncated,
+      rejections: matching.slice(startIndex, startIndex + limit)
+    });
+
+  } catch (error) {
+    logger.error('Error in getRejections:', error);
+    sendDatasetError(res, error, 'Failed to fetch rejected entries');
+  }
+};
+
+/**
+ * Controller for the active validation rules
+ */
+const getRules = (req, res) => {
+  const { version, revision, source, loadedAt, raw } = validationRules.current;
+  res.json({ version, revision, source, loadedAt, rules: raw });
+};
+
+/**
+ * Controller for the effective configuration, with passwords, tokens and
+ * URL credentials masked, and where each setting came from
+ */
+const getConfig = (req, res) => {
+  res.json(describeConfig());
+};
+
+/**
+ * Controller that evaluates a candidate rule set (JSON, or YAML with a YAML
+ * content type) against the current dataset without applying it, and reports
+ * how the accepted and rejected counts would change
+ */
+const dryRunRules = async (req, res) => {
+  let candidate;
+  try {
+    const format = req.is(YAML_TYPES) ? 'yaml' : 'json';
+    candidate = validationRules.compile(validationRules.parse(req.body, format), 'dry-run');
+  } catch (error) {
+    if (error instanceof RuleSetError) {
+      return res.status(400).json({
+        error: 'Invalid rule set',
+        message: error.message,
+        details: error.errors
+      });
+    }
+    logger.error('Error in dryRunRules:', error);
+    return res.status(500).json({ error: 'Internal server error', message: 'Failed to read the rule set' });
+  }
+
+  try {
+    const snapshot = await datasetService.getSnapshot();
+    const { rawEntries } = snapshot;
+    const active = dataValidator.auditCities(rawEntries, { dryRun: true });
+    const proposed = dataValidator.auditCities(rawEntries, { rules: candidate, dryRun: true });
+
+    const activeReasons = new Map(active.rejections.map(({ reason, entry }) => [entry, reason]));
+    const proposedReasons = new Map(proposed.rejections.map(({ reason, entry }) => [entry, reason]));
+
+    const newlyRejected = proposed.rejections.filter(({ entry }) => !activeReasons.has(entry));
+    const newlyAccepted = active.rejections
+      .filter(({ entry }) => !proposedReasons.has(entry))
+      .map(({ reason, entry }) => ({ previousReason: reason, entry }));
+    const reasonChanged = proposed.rejections.filter(
+      ({ reason, entry }) => activeReasons.has(entry) && activeReasons.get(entry) !== reason
+    ).length;
+
+    res.json({
+      updatedAt: snapshot.updatedAt,
+      rawCount: rawEntries.length,
+      active: summarizeAudit(active, validationRules.current, rawEntries.length),
+      candidate: summarizeAudit(proposed, candidate, rawEntries.length),
+      changes: {
+        accepted: proposed.cities.length - active.cities.length,
+        rejected: proposed.rejections.length - active.rejections.length,
+        newlyRejectedCount: newlyRejected.length,
+        newlyAcceptedCount: newlyAccepted.length,
+        reasonChanged,
+        newlyRejected: newlyRejected.slice(0, DRY_RUN_SAMPLE_SIZE),
+        newlyAccepted: newlyAccepted.slice(0, DRY_RUN_SAMPLE_SIZE)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error in dryRunRules:', error);
+    sendDatasetError(res, error, 'Failed to evaluate the rule set');
+  }
+};
+
+/**
+ * @param {Object} audit - Result of dataValidator.auditCities
+ * @param {Object} rules - Compiled rules the audit used
+ * @param {number} rawCount - Number of raw entries
+ * @returns {Object} Counts for one rule set
+ */
+const summarizeAudit = (audit, rules, rawCount) => {
+  const byReason = {};
+  for (const { reason } of audit.rejections) {
+    byReason[reason] = (byReason[reason] || 0) + 1;
+  }
+
+  return {
+    revision: rules.revision,
+    accepted: audit.cities.length,
+    rejected: audit.rejections.length,
+    merged: rawCount - audit.rejections.length - audit.cities.length,
+    byReason
+  };
+};
+
+module.exports = {
+  getRejections,
+  getRules,
+  dryRunRules,
+  getConfig,
+  YAML_TYPES
+};
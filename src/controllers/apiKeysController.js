@@ -0,0 +1,88 @@
+const apiKeyService = require('../services/apiKeyService');
+const logger = require('../utils/logger');
+
+/**
+ * Controller for the API keys with their usage and the available tiers
+ */
+const listApiKeys = (req, res) => {
+  const keys = apiKeyService.list();
+
+  res.json({
+    anonymousTier: apiKeyService.anonymousTier ? apiKeyService.anonymousTier.name : null,
+    tiers: Object.values(apiKeyService.tiers).map(({ name, description, quota, burst }) => ({
+      name,
+      description,
+      quota: { limit: quota.limit, window: quota.window },
+      burst
+    })),
+    total: keys.length,
+    active: keys.filter(key => key.active).length,
+    keys
+  });
+};
+
+/**
+ * Controller for one API key with its usage
+ */
+const getApiKey = (req, res) => {
+  const key = apiKeyService.get(req.params.id);
+  if (!key) {
+    return sendKeyNotFound(res, req.params.id);
+  }
+  res.json(key);
+};
+
+/**
+ * Controller that issues an API key. The plain key is only returned here.
+ */
+const issueApiKey = async (req, res) => {
+  try {
+    const key = await apiKeyService.issue({ name: req.body.name.trim(), tier: req.body.tier });
+    res.status(201).json(key);
+
+  } catch (error) {
+    logger.error('Error in issueApiKey:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to issue the API key'
+    });
+  }
+};
+
+/**
+ * Controller that revokes an API key
+ */
+const revokeApiKey = async (req, res) => {
+  try {
+    const key = await apiKeyService.revoke(req.params.id);
+    if (!key) {
+      return sendKeyNotFound(res, req.params.id);
+    }
+    res.json(key);
+
+  } catch (error) {
+    logger.error('Error in revokeApiKey:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to revoke the API key'
+    });
+  }
+};
+
+/**
+ * 404 response for an unknown key ID
+ */
+const sendKeyNotFound = (res, id) => {
+  res.status(404).json({
+    error: 'API key not found',
+    message: `No API key with ID ${id}`,
+    statusCode: 404
+  });
+};
+
+module.exports = {
+  listApiKeys,
+  getApiKey,
+  issueApiKey,
+  revokeApiKey
+};
@@ -1,83 +1,497 @@
-const pollutionService = require('../services/pollutionService');
+const crypto = require('crypto');
+const datasetService = require('../services/datasetService');
 const wikipediaService = require('../services/wikipediaService');
-const dataValidator = require('../utils/dataValidator');
+const geoService = require('../services/geoService');
 const cache = require('../utils/cache');
+const { getOrRevalidate, formatCacheStatus } = require('../utils/cache/staleWhileRevalidate');
 const logger = require('../utils/logger');
+const { config } = require('../config');
+const countryRegistry = require('../utils/countryRegistry');
+const { sendDatasetError } = require('../middleware/errorHandlers');
+const { findClosestMatches } = require('../utils/textNormalizer');
+const { cityKey, toList, parseCityQuery, applyCityQuery, cityFilterKey, cityQueryCacheKey } = require('../utils/cityQuery');
+const { encodeCursor, decodeCursor, isCursorFor } = require('../utils/cursor');
+const { FORMATS, negotiateFormat, getSerializer } = require('../utils/formatters');
+
+// Cities enriched concurrently while streaming a full export
+const EXPORT_CHUNK_SIZE = 20;
+// Description lookups one batch request runs at a time
+const BATCH_DESCRIPTION_CONCURRENCY = 4;
+// Time after which a batch stops starting description lookups, in milliseconds
+const BATCH_DESCRIPTION_DEADLINE = 10 * 1000;
+// Language of the fallback sentence used when no Wikipedia page is found
+const GENERATED_DESCRIPTION_LANGUAGE = 'en';
 
 /**
  * Controller for handling cities pollution data requests
  */
 const getCitiesPollution = async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const cacheKey = `cities_${page}_${limit}`;
+    res.vary('Accept');
+    const format = negotiateFormat(req);
+    if (!format) {
+      return res.status(406).json({
+        error: 'Not Acceptable',
+        message: `Supported formats: ${Object.values(FORMATS).join(', ')}`,
+        statusCode: 406
+      });
+    }
+
+    const criteria = parseCityQuery(req.query, req.language);
+    if (req.query.all === 'true') {
+      return await exportCities(req, res, criteria, format);
+    }
+
+    let snapshot = await datasetService.getSnapshot();
+    let position = criteria;
+    if (req.query.cursor) {
+      const cursor = decodeCursor(req.query.cursor);
+      if (!cursor || !isCursorFor(cursor, cityFilterKey(criteria))) {
+        return res.status(400).json({
+          error: 'Invalid cursor parameter',
+          message: cursor
+            ? 'The cursor was issued for other filters or sort order'
+            : 'The cursor is malformed; use one from a Link header or a nextCursor or prevCursor field'
+        });
+      }
 
-    // Check cache first
-    const cachedData = cache.get(cacheKey);
-    if (cachedData) {
-      logger.info(`Cache hit for key: ${cacheKey}`);
-      return res.json(cachedData);
+      snapshot = datasetService.getSnapshotVersion(cursor.version);
+      if (!snapshot) {
+        return res.status(410).json({
+          error: 'Cursor expired',
+          message: 'The data has been refreshed since the cursor was issued; start again from the first page',
+          statusCode: 410
+        });
+      }
+      position = { ...criteria, offset: cursor.offset, page: Math.floor(cursor.offset / criteria.limit) + 1 };
     }
 
-    logger.info(`Fetching cities data for page ${page}, limit ${limit}`);
-
-    // Fetch raw pollution data
-    const rawPollutionData = await pollutionService.fetchPollutionData(page, limit, req.query.country);
-    console.log(rawPollutionData)
-    // Normalize and validate the data
-    const validCities = dataValidator.filterValidCities(rawPollutionData.results);
-    logger.info(`Filtered to ${validCities.length} valid cities`);
-
-    // Sort by pollution level (highest first)
-    const sortedCities = validCities.sort((a, b) => b.pollution - a.pollution);
-
-    // Calculate pagination
-    const startIndex = (page - 1) * limit;
-    const endIndex = startIndex + limit;
-    const paginatedCities = sortedCities.slice(startIndex, endIndex);
-
-    // Enrich with Wikipedia descriptions
-    const enrichedCities = await Promise.all(
-      paginatedCities.map(async (city) => {
-        try {
-          const description = await wikipediaService.getCityDescription(city.name, city.country);
-          return {
-            ...city,
-            description: description || `${city.name} is a city in ${city.country}.`
-          };
-        } catch (error) {
-          logger.warn(`Failed to get description for ${city.name}: ${error.message}`);
-          return {
-            ...city,
-            description: `${city.name} is a city in ${city.country}.`
-          };
-        }
-      })
+    const cacheKey = cityQueryCacheKey(position, snapshot.version);
+
+    const result = await getOrRevalidate(
+      cache,
+      cacheKey,
+      () => buildCitiesPage(position, snapshot),
+      { ttl: config.cache.ttl.cities, grace: config.cache.staleGrace }
     );
+    logger.info(`Cache ${result.status} for key: ${cacheKey}`);
 
-    const response = {
-      page,
-      limit,
-      total: rawPollutionData.meta.totalPages,
-      cities: enrichedCities
+    const { cities, ...meta } = result.value;
+    const cursors = pageCursors(position, snapshot.version, meta.total);
+    res.links(pageLinks(req, cursors));
+    res.set('Cache-Status', formatCacheStatus(result));
+    res.set('Age', String(result.age));
+
+    const envelope = {
+      ...meta,
+      nextCursor: cursors.next || null,
+      prevCursor: cursors.prev || null,
+      stale: datasetService.isStale()
     };
+    if (format === 'json') {
+      const body = { ...envelope, cities };
+      if (isNotModified(req, res, snapshot.version, JSON.stringify(body))) {
+        return res.status(304).end();
+      }
+      return res.json(body);
+    }
 
-    // Cache the response for 10 minutes
-    cache.set(cacheKey, response, 10 * 60 * 1000);
-    
-    logger.info(`Successfully processed ${enrichedCities.length} cities for page ${page}`);
-    res.json(response);
+    const serializer = getSerializer(format, envelope);
+    const body = serializer.head + cities.map(serializer.item).join('') + serializer.tail;
+    res.set('Content-Type', serializer.contentType);
+    res.set('X-Total-Count', String(meta.total));
+    if (isNotModified(req, res, snapshot.version, body)) {
+      return res.status(304).end();
+    }
+    res.send(body);
 
   } catch (error) {
     logger.error('Error in getCitiesPollution:', error);
-    res.status(500).json({
-      error: 'Internal server error',
-      message: 'Failed to fetch cities pollution data'
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    sendDatasetError(res, error, 'Failed to fetch cities pollution data');
+  }
+};
+
+/**
+ * Controller for a single city with its ranking and Wikipedia details
+ */
+const getCityDetail = async (req, res) => {
+  try {
+    const { country, city: cityName } = req.params;
+    const snapshot = await datasetService.getSnapshot();
+
+    const countryKey = countryRegistry.matchKey(country);
+    const key = cityKey(cityName, country);
+    const globalIndex = snapshot.cities.findIndex(city => cityKey(city.name, city.countryCode) === key);
+
+    if (globalIndex === -1) {
+      return res.status(404).json({
+        error: 'City not found',
+        message: `No valid pollution data for ${cityName} in ${country}`,
+        statusCode: 404,
+        suggestions: suggestCities(snapshot, countryKey, cityName)
+      });
+    }
+
+    const city = snapshot.cities[globalIndex];
+    const countryCities = snapshot.cities.filter(entry => entry.countryCode === countryKey);
+    const lowerCount = snapshot.cities.filter(entry => entry.pollution < city.pollution).length;
+
+    let wikipedia = null;
+    try {
+      wikipedia = await wikipediaService.getCitySummary(city.name, city.country, req.language);
+    } catch (error) {
+      logger.warn(`Failed to get Wikipedia summary for ${city.name}: ${error.message}`);
+    }
+
+    res.json({
+      ...city,
+      rank: {
+        global: globalIndex + 1,
+        country: countryCities.indexOf(city) + 1
+      },
+      totalCities: snapshot.total,
+      countryCities: countryCities.length,
+      percentile: Math.round((lowerCount / snapshot.total) * 1000) / 10,
+      description: wikipedia ? wikipedia.description : `${city.name} is a city in ${city.country}.`,
+      descriptionLanguage: wikipedia ? wikipedia.language : GENERATED_DESCRIPTION_LANGUAGE,
+      descriptionSource: describeSource(wikipedia),
+      wikipedia: wikipedia && {
+        title: wikipedia.title,
+        language: wikipedia.language,
+        extract: wikipedia.extract,
+        url: wikipedia.url,
+        thumbnail: wikipedia.thumbnail,
+        coordinates: wikipedia.coordinates
+      },
+      stale: datasetService.isStale()
+    });
+
+  } catch (error) {
+    logger.error('Error in getCityDetail:', error);
+    sendDatasetError(res, error, 'Failed to fetch city pollution data');
+  }
+};
+
+/**
+ * Controller for looking up many cities by name and country in one request.
+ * Every item gets a result, in input order: the matched city or a not-found
+ * entry with close-match suggestions.
+ */
+const getCitiesBatch = async (req, res) => {
+  try {
+    const withDescription = toList(req.query.include).includes('description');
+    const snapshot = await datasetService.getSnapshot();
+
+    // Cities by the key duplicates are merged on
+    const index = new Map(geoService.withCoordinates(snapshot).map(city => [cityKey(city.name, city.countryCode), city]));
+
+    const results = req.body.map((query, position) => {
+      const city = index.get(cityKey(query.name, query.country));
+      if (!city) {
+        return {
+          index: position,
+          query,
+          status: 'not_found',
+          error: 'City not found',
+          message: `No valid pollution data for ${query.name} in ${query.country}`,
+          suggestions: suggestCities(snapshot, countryRegistry.matchKey(query.country), query.name)
+        };
+      }
+      return {
+        index: position,
+        query,
+        status: 'matched',
+        city
+      };
+    });
+
+    const matched = results.filter(result => result.status === 'matched');
+    const skipped = withDescription ? await describeBatch(res, matched, req.language) : 0;
+    logger.info(`Batch lookup matched ${matched.length} of ${results.length} cities` +
+      (skipped ? `, ${skipped} descriptions skipped` : ''));
+
+    res.json({
+      total: results.length,
+      matched: matched.length,
+      notFound: results.length - matched.length,
+      descriptionsSkipped: skipped,
+      stale: datasetService.isStale(),
+      results
+    });
+
+  } catch (error) {
+    logger.error('Error in getCitiesBatch:', error);
+    sendDatasetError(res, error, 'Failed to look up cities');
+  }
+};
+
+/**
+ * Adds descriptions to the matched cities of a batch. Only a few lookups run
+ * at a time, so a large batch takes its turn in the shared Wikipedia queue
+ * instead of filling it ahead of other clients. Lookups not started before the
+ * deadline, or after the client went away, are skipped and their description
+ * fields are null; lookups already done are cached, so a retry serves them.
+ * @param {Object} res - Express response
+ * @param {Array<Object>} results - Matched batch results, updated in place
+ * @param {string} language - Preferred description language
+ * @returns {Promise<number>} Descriptions skipped
+ */
+const describeBatch = async (res, results, language) => {
+  const deadline = Date.now() + BATCH_DESCRIPTION_DEADLINE;
+  const pending = [...results];
+  let skipped = 0;
+
+  const worker = async () => {
+    while (pending.length > 0) {
+      const result = pending.shift();
+      if (Date.now() >= deadline || res.destroyed) {
+        result.city = { ...result.city, description: null, descriptionLanguage: null, descriptionSource: null };
+        skipped++;
+      } else {
+        result.city = await enrichCity(result.city, language);
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: BATCH_DESCRIPTION_CONCURRENCY }, worker));
+  return skipped;
+};
+
+/**
+ * Controller for validated cities around a point, nearest first
+ */
+const getNearbyCities = async (req, res) => {
+  try {
+    const origin = { lat: Number(req.query.lat), lon: Number(req.query.lon) };
+    const radius = req.query.radius !== undefined ? Number(req.query.radius) : 50;
+    const limit = parseInt(req.query.limit) || 10;
+
+    const snapshot = await datasetService.getSnapshot();
+    const nearby = geoService.findNearby(snapshot, origin, radius);
+
+    res.json({
+      lat: origin.lat,
+      lon: origin.lon,
+      radius,
+      limit,
+      total: nearby.length,
+      // Only cities whose coordinates are already known can be matched
+      coverage: {
+        located: geoService.withCoordinates(snapshot).filter(city => city.coordinates).length,
+        total: snapshot.total
+      },
+      stale: datasetService.isStale(),
+      cities: nearby.slice(0, limit)
     });
+
+  } catch (error) {
+    logger.error('Error in getNearbyCities:', error);
+    sendDatasetError(res, error, 'Failed to fetch nearby cities');
+  }
+};
+
+/**
+ * Closest-named cities for a lookup that matched nothing, from the requested
+ * country when it has any valid cities, otherwise from every country
+ * @param {Object} snapshot - Dataset snapshot
+ * @param {string} countryKey - countryRegistry.matchKey of the requested country
+ * @param {string} cityName - Requested city name
+ * @returns {Array<Object>} Suggestions with a link to each city
+ */
+const suggestCities = (snapshot, countryKey, cityName) => {
+  const sameCountry = snapshot.cities.filter(city => city.countryCode === countryKey);
+  return findClosestMatches(cityName, sameCountry.length ? sameCountry : snapshot.cities)
+    .map(city => ({
+      name: city.name,
+      country: city.country,
+      countryCode: city.countryCode,
+      href: `/api/cities/${city.countryCode}/${encodeURIComponent(city.name)}`
+    }));
+};
+
+/**
+ * Builds one page of filtered and sorted cities enriched with Wikipedia descriptions
+ * @param {Object} criteria - Parsed list criteria from parseCityQuery, positioned by a cursor if one was given
+ * @param {Object} snapshot - Ranked snapshot of every valid city across all upstream pages
+ * @returns {Promise<Object>} Page response body
+ */
+const buildCitiesPage = async (criteria, snapshot) => {
+  const { page, limit, offset } = criteria;
+  logger.info(`Fetching cities data for page ${page}, limit ${limit}`);
+
+  const rankedCities = applyCityQuery(geoService.withCoordinates(snapshot), criteria);
+  const paginatedCities = rankedCities.slice(offset, offset + limit);
+
+  // Enrich with Wikipedia descriptions
+  const enrichedCities = await Promise.all(
+    paginatedCities.map(city => enrichCity(city, criteria.language))
+  );
+
+  logger.info(`Successfully processed ${enrichedCities.length} cities for page ${page}`);
+
+  return {
+    page,
+    limit,
+    total: rankedCities.length,
+    cities: enrichedCities
+  };
+};
+
+/**
+ * Cursors of the pages around the current one, all within the same snapshot
+ * @param {Object} criteria - Positioned list criteria
+ * @param {string} version - Snapshot version
+ * @param {number} total - Cities matching the criteria
+ * @returns {Object} Cursor per link relation: next and prev when such a page exists, first and last always
+ */
+const pageCursors = (criteria, version, total) => {
+  const { offset, limit } = criteria;
+  const filters = cityFilterKey(criteria);
+  const cursorAt = position => encodeCursor({ version, offset: position, filters });
+
+  const cursors = {};
+  if (offset + limit < total) {
+    cursors.next = cursorAt(offset + limit);
+  }
+  if (offset > 0) {
+    cursors.prev = cursorAt(Math.max(0, offset - limit));
+  }
+  cursors.first = cursorAt(0);
+  cursors.last = cursorAt(Math.max(0, Math.ceil(total / limit) - 1) * limit);
+  return cursors;
+};
+
+/**
+ * Turns page cursors into RFC 8288 link targets: the request's own URL with
+ * the cursor in place of the page parameter
+ * @param {Object} req - Express request
+ * @param {Object} cursors - Result of pageCursors
+ * @returns {Object} URL per link relation, for res.links
+ */
+const pageLinks = (req, cursors) => {
+  const query = req.originalUrl.includes('?') ? req.originalUrl.slice(req.originalUrl.indexOf('?') + 1) : '';
+  return Object.fromEntries(Object.entries(cursors).map(([rel, cursor]) => {
+    const params = new URLSearchParams(query);
+    params.delete('page');
+    params.set('cursor', cursor);
+    return [rel, `${req.baseUrl}${req.path}?${params}`];
+  }));
+};
+
+/**
+ * Sets a strong ETag made of the snapshot version and a digest of the
+ * representation, and checks it against If-None-Match
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} version - Snapshot version
+ * @param {string} body - Serialized response body
+ * @returns {boolean} True when the client already has this representation
+ */
+const isNotModified = (req, res, version, body) => {
+  const digest = crypto.createHash('sha1').update(body).digest('base64url').slice(0, 16);
+  res.set('ETag', `"${version}-${digest}"`);
+  return req.fresh;
+};
+
+/**
+ * Streams every city matching the criteria, without pagination, in the requested format
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} criteria - Parsed list criteria from parseCityQuery
+ * @param {string} format - Output format
+ */
+const exportCities = async (req, res, criteria, format) => {
+  const snapshot = await datasetService.getSnapshot();
+  const cities = applyCityQuery(geoService.withCoordinates(snapshot), criteria);
+  const serializer = getSerializer(format, { total: cities.length, stale: datasetService.isStale() });
+
+  logger.info(`Exporting ${cities.length} cities as ${format}`);
+
+  res.set('Content-Type', serializer.contentType);
+  res.set('X-Total-Count', String(cities.length));
+  if (format !== 'json') {
+    res.attachment(`cities.${format}`);
+  }
+
+  await writeChunk(res, serializer.head);
+  for (let start = 0; start < cities.length; start += EXPORT_CHUNK_SIZE) {
+    // Stop working for clients that went away
+    if (res.destroyed) {
+      logger.info('Export aborted by client');
+      return;
+    }
+
+    const chunk = await Promise.all(
+      cities.slice(start, start + EXPORT_CHUNK_SIZE).map(city => enrichCity(city, criteria.language))
+    );
+    await writeChunk(res, chunk.map((city, index) => serializer.item(city, start + index)).join(''));
+  }
+  res.end(serializer.tail);
+};
+
+/**
+ * Writes to the response, waiting for the socket to drain when its buffer is full
+ */
+const writeChunk = (res, data) => {
+  if (!data || res.write(data)) {
+    return Promise.resolve();
   }
+  return new Promise((resolve) => {
+    res.once('drain', resolve);
+    res.once('close', resolve);
+  });
+};
+
+/**
+ * Adds the Wikipedia description and coordinates to a city, falling back to a generated
+ * sentence. descriptionLanguage reports the language that was actually served.
+ * @param {Object} city - Normalized city
+ * @param {string} language - Preferred description language
+ * @returns {Promise<Object>} Enriched city
+ */
+const enrichCity = async (city, language) => {
+  try {
+    const summary = await wikipediaService.getCitySummary(city.name, city.country, language);
+    if (summary) {
+      return {
+        ...city,
+        description: summary.description,
+        descriptionLanguage: summary.language,
+        descriptionSource: describeSource(summary),
+        coordinates: city.coordinates || summary.coordinates
+      };
+    }
+  } catch (error) {
+    logger.warn(`Failed to get description for ${city.name}: ${error.message}`);
+  }
+
+  return {
+    ...city,
+    description: `${city.name} is a city in ${city.country}.`,
+    descriptionLanguage: GENERATED_DESCRIPTION_LANGUAGE,
+    descriptionSource: describeSource(null),
+    coordinates: city.coordinates || null
+  };
+};
+
+/**
+ * Tells clients where a description came from and how confident the page match was
+ * @param {Object|null} summary - Matched Wikipedia summary, or null for the generated sentence
+ * @returns {Object} Description source
+ */
+const describeSource = (summary) => {
+  if (!summary) {
+    return { type: 'generated', title: null, url: null, confidence: null };
+  }
+  return { type: 'wikipedia', title: summary.title, url: summary.url, confidence: summary.confidence };
 };
 
 module.exports = {
-  getCitiesPollution
-};
\ No newline at end of file
+  getCitiesPollution,
+  getCityDetail,
+  getCitiesBatch,
+  getNearbyCities
+};
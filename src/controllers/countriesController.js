@@ -0,0 +1,79 @@
+const datasetService = require('../services/datasetService');
+const countryService = require('../services/countryService');
+const logger = require('../utils/logger');
+const { sendDatasetError } = require('../middleware/errorHandlers');
+
+/**
+ * Controller for the paginated list of per-country pollution aggregates
+ */
+const getCountries = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const sort = req.query.sort || 'mean';
+    const order = req.query.order || 'desc';
+
+    const snapshot = await datasetService.getSnapshot();
+    const countries = countryService.sortCountryStats(countryService.getCountryStats(snapshot), sort, order);
+
+    const startIndex = (page - 1) * limit;
+
+    res.json({
+      page,
+      limit,
+      total: countries.length,
+      sort,
+      order,
+      stale: datasetService.isStale(),
+      countries: countries.slice(startIndex, startIndex + limit)
+    });
+
+  } catch (error) {
+    logger.error('Error in getCountries:', error);
+    sendDatasetError(res, error, 'Failed to fetch country pollution data');
+  }
+};
+
+/**
+ * Controller for one country's aggregates and its ranked cities
+ */
+const getCountry = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+
+    const snapshot = await datasetService.getSnapshot();
+    const country = countryService.getCountry(snapshot, req.params.code);
+
+    if (!country) {
+      return res.status(404).json({
+        error: 'Country not found',
+        message: `No valid pollution data for country ${req.params.code}`,
+        statusCode: 404
+      });
+    }
+
+    const { cities, ...stats } = country;
+    const startIndex = (page - 1) * limit;
+
+    res.json({
+      ...stats,
+      page,
+      limit,
+      total: cities.length,
+      stale: datasetService.isStale(),
+      cities: cities
+        .slice(startIndex, startIndex + limit)
+        .map((city, index) => ({ rank: startIndex + index + 1, ...city }))
+    });
+
+  } catch (error) {
+    logger.error('Error in getCountry:', error);
+    sendDatasetError(res, error, 'Failed to fetch country pollution data');
+  }
+};
+
+module.exports = {
+  getCountries,
+  getCountry
+};
@@ -0,0 +1,12 @@
+const spec = require('../docs/openapi');
+
+/**
+ * Controller for the OpenAPI document
+ */
+const getOpenApi = (req, res) => {
+  res.json(spec);
+};
+
+module.exports = {
+  getOpenApi
+};
@@ -0,0 +1,32 @@
+const healthService = require('../services/healthService');
+const logger = require('../utils/logger');
+
+/**
+ * Controller for the liveness probe: answers as long as the process can serve requests
+ */
+const getLiveness = (req, res) => {
+  res.json(healthService.getLiveness());
+};
+
+/**
+ * Controller for the readiness probe: 200 while the service can answer API
+ * requests, 503 with the failing checks otherwise
+ */
+const getReadiness = async (req, res) => {
+  try {
+    const { ready, ...report } = await healthService.getReadiness();
+    res.status(ready ? 200 : 503).json(report);
+
+  } catch (error) {
+    logger.error('Error in getReadiness:', error);
+    res.status(503).json({
+      error: 'Service unavailable',
+      message: 'Failed to check readiness'
+    });
+  }
+};
+
+module.exports = {
+  getLiveness,
+  getReadiness
+};
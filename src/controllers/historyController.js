@@ -0,0 +1,62 @@
+const historyService = require('../services/historyService');
+const logger = require('../utils/logger');
+const { parseDuration } = require('../utils/duration');
+
+const DEFAULT_HISTORY_RANGE = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Controller for a city's pollution time series
+ */
+const getCityHistory = async (req, res) => {
+  try {
+    const { country, city } = req.params;
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - DEFAULT_HISTORY_RANGE);
+    const interval = req.query.interval || 'day';
+
+    const history = await historyService.getCityHistory(country, city, { from, to, interval });
+
+    if (!history) {
+      return res.status(404).json({
+        error: 'History not found',
+        message: `No pollution history for ${city} in ${country} between ${from.toISOString()} and ${to.toISOString()}`,
+        statusCode: 404
+      });
+    }
+
+    res.json(history);
+
+  } catch (error) {
+    logger.error('Error in getCityHistory:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to fetch pollution history'
+    });
+  }
+};
+
+/**
+ * Controller for the cities whose pollution changed the most over a window
+ */
+const getTrends = async (req, res) => {
+  try {
+    const window = req.query.window || '7d';
+    const limit = parseInt(req.query.limit) || 10;
+
+    const trends = await historyService.getTrends({ window: parseDuration(window), limit });
+
+    res.json({ window, limit, ...trends });
+
+  } catch (error) {
+    logger.error('Error in getTrends:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to compute pollution trends'
+    });
+  }
+};
+
+module.exports = {
+  getCityHistory,
+  getTrends
+};
@@ -0,0 +1,45 @@
+const cache = require('../utils/cache');
+const metrics = require('../utils/metrics');
+const logger = require('../utils/logger');
+
+/**
+ * Controller for the Prometheus scrape endpoint. Cache sizes per key prefix
+ * are reported for every backend that can list its keys.
+ */
+const getMetrics = async (req, res) => {
+  try {
+    recordCacheEntries();
+    res.set('Content-Type', metrics.register.contentType);
+    res.send(await metrics.register.metrics());
+
+  } catch (error) {
+    logger.error('Error in getMetrics:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to collect metrics'
+    });
+  }
+};
+
+/**
+ * Counts entries per prefix from the keys the backend lists without reading its
+ * storage. The redis backend lists the keys of its last periodic scan.
+ * @private
+ */
+const recordCacheEntries = () => {
+  const keys = cache.listKeys() || [];
+  const counts = {};
+  for (const key of keys) {
+    const prefix = metrics.cacheKeyPrefix(key);
+    counts[prefix] = (counts[prefix] || 0) + 1;
+  }
+
+  metrics.cacheEntries.reset();
+  for (const [prefix, count] of Object.entries(counts)) {
+    metrics.cacheEntries.set({ prefix }, count);
+  }
+};
+
+module.exports = {
+  getMetrics
+};
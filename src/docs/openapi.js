@@ -0,0 +1,1191 @@
+/**
+ * OpenAPI 3 description of the API. It is served at /openapi.json and /docs,
+ * and is the source of the request parameter checks (validateRequest) and,
+ * in development, of the response checks (validateResponses).
+ */
+
+const airQuality = require('../utils/airQuality');
+const countryService = require('../services/countryService');
+const { readTiers } = require('../utils/apiTiers');
+const { SORT_FIELDS } = require('../utils/cityQuery');
+const { FORMATS } = require('../utils/formatters');
+const { version } = require('../../package.json');
+
+// Read from the tier file rather than the key service, which would open the key store
+const apiTiers = readTiers();
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const nullable = schema => (schema.$ref
+  ? { anyOf: [schema, { type: 'null' }] }
+  : { ...schema, type: [schema.type, 'null'] });
+
+// Reusable parameters
+
+const pageParam = {
+  name: 'page',
+  in: 'query',
+  description: 'Page number',
+  schema: { type: 'integer', minimum: 1, maximum: 1000, default: 1 }
+};
+
+const limitParam = (description = 'Results per page', defaultValue = 10) => ({
+  name: 'limit',
+  in: 'query',
+  description,
+  schema: { type: 'integer', minimum: 1, maximum: 100, default: defaultValue }
+});
+
+const orderParam = {
+  name: 'order',
+  in: 'query',
+  description: 'Sort direction',
+  schema: { type: 'string', enum: ['asc', 'desc'] }
+};
+
+const pathParam = (name, description) => ({
+  name,
+  in: 'path',
+  required: true,
+  description,
+  schema: { type: 'string', minLength: 1, maxLength: 100 }
+});
+
+const langParam = {
+  name: 'lang',
+  in: 'query',
+  description: 'Wikipedia language code for the description (default: from Accept-Language, then en)',
+  schema: { type: 'string', pattern: '^[A-Za-z]{2,12}(-[A-Za-z0-9]{1,8})*$', example: 'de' }
+};
+
+// List parameters accept repeated (?country=PL&country=DE) and comma-separated (?country=PL,DE) values
+const listParam = (name, description, items, maxItems) => ({
+  name,
+  in: 'query',
+  description: `${description}, repeated or comma-separated`,
+  style: 'form',
+  explode: true,
+  schema: { type: 'array', minItems: 1, ...(maxItems && { maxItems }), items }
+});
+
+// Reusable responses
+
+const jsonResponse = (description, schema, headers) => ({
+  description,
+  ...(headers && { headers }),
+  content: { 'application/json': { schema } }
+});
+
+// Headers of a page of the cities list, which are also sent with 304
+const pageHeaders = {
+  'Cache-Status': { schema: { type: 'string' }, description: 'RFC 9211 cache status' },
+  ETag: { schema: { type: 'string' }, description: 'Strong validator made of the snapshot version and a digest of the page' },
+  Link: { schema: { type: 'string' }, description: 'RFC 8288 links to the next, prev, first and last pages, not with all=true' }
+};
+
+const errorResponse = description => jsonResponse(description, ref('Error'));
+
+const badRequest = errorResponse('Invalid parameter');
+const datasetErrors = {
+  500: errorResponse('The pollution data could not be processed'),
+  503: errorResponse('The pollution API is unavailable and no data has been loaded yet')
+};
+const adminErrors = {
+  401: jsonResponse('Missing or wrong admin bearer token', ref('Error'), {
+    'WWW-Authenticate': { schema: { type: 'string' }, description: 'Bearer realm="admin"' }
+  }),
+  503: errorResponse('Admin endpoints are disabled because ADMIN_API_TOKEN is not set')
+};
+
+const rateLimitHeaders = {
+  'X-RateLimit-Limit': { schema: { type: 'integer' }, description: 'Requests allowed in the quota window of the client tier' },
+  'X-RateLimit-Remaining': { schema: { type: 'integer' }, description: 'Requests left in the current window' },
+  'X-RateLimit-Reset': { schema: { type: 'integer' }, description: 'When the current window ends, in Unix seconds' },
+  'X-RateLimit-Tier': { schema: { type: 'string' }, description: 'Tier of the API key, or the anonymous tier' }
+};
+const apiKeyErrors = {
+  401: errorResponse('Unknown or revoked API key, or no key while anonymous access is off'),
+  429: jsonResponse('Quota or burst limit of the client tier exceeded', ref('Error'), {
+    'Retry-After': { schema: { type: 'integer' }, description: 'Seconds until a request will be accepted' }
+  })
+};
+
+const requestIdHeader = {
+  'X-Request-Id': { schema: { type: 'string' }, description: 'ID of the request, echoed or generated' }
+};
+
+// Schemas
+
+/**
+ * A validated city with extra fields. Every field is listed so that
+ * undocumented fields fail the response checks.
+ * @param {Object} properties - Extra required properties
+ * @returns {Object} Schema
+ */
+const cityWith = properties => ({
+  type: 'object',
+  required: ['name', 'country', 'countryCode', 'pollution', 'airQuality', ...Object.keys(properties)],
+  properties: {
+    name: { type: 'string', example: 'Kraków' },
+    country: { type: 'string', example: 'Poland' },
+    countryCode: { type: 'string', pattern: '^[A-Z]{2}$', example: 'PL' },
+    pollution: { type: 'number', minimum: 0 },
+    airQuality: ref('AirQuality'),
+    coordinates: nullable(ref('Coordinates')),
+    variants: {
+      type: 'array',
+      description: 'Upstream entries merged into this city, present only when there were several',
+      items: {
+        type: 'object',
+        required: ['name', 'country', 'pollution'],
+        properties: {
+          name: { type: 'string' },
+          country: { type: 'string' },
+          pollution: { type: 'number' }
+        }
+      }
+    },
+    ...properties
+  },
+  additionalProperties: false
+});
+
+/**
+ * An API key record with extra fields
+ * @param {Object} properties - Extra required properties
+ * @returns {Object} Schema
+ */
+const apiKeyWith = properties => ({
+  type: 'object',
+  required: ['id', 'name', 'tier', 'prefix', 'createdAt', 'revokedAt', 'active', 'usage', ...Object.keys(properties)],
+  properties: {
+    id: { type: 'string', example: '3f9a1c0b7e2d' },
+    name: { type: 'string', example: 'Nightly reporting job' },
+    tier: { type: 'string' },
+    prefix: { type: 'string', description: 'First characters of the key, to recognise it', example: 'cpa_x7Yq2b' },
+    createdAt: { type: 'string', format: 'date-time' },
+    revokedAt: nullable({ type: 'string', format: 'date-time' }),
+    active: { type: 'boolean' },
+    usage: {
+      type: 'object',
+      required: ['requests', 'throttled', 'lastUsedAt', 'quota'],
+      properties: {
+        requests: { type: 'integer', description: 'Accepted requests since the key was issued' },
+        throttled: { type: 'integer', description: 'Requests refused with 429' },
+        lastUsedAt: nullable({ type: 'string', format: 'date-time' }),
+        quota: nullable({
+          type: 'object',
+          required: ['used', 'limit', 'window', 'resetAt'],
+          properties: {
+            used: { type: 'integer' },
+            limit: { type: 'integer' },
+            window: { type: 'string', example: '1d' },
+            resetAt: nullable({ type: 'string', format: 'date-time' })
+          }
+        })
+      }
+    },
+    ...properties
+  },
+  additionalProperties: false
+});
+
+const schemas = {
+  Error: {
+    type: 'object',
+    description: 'Error body returned by the validators, controllers and error handlers',
+    required: ['error', 'message'],
+    properties: {
+      error: { type: 'string', example: 'Invalid limit parameter' },
+      message: { type: 'string', example: 'limit must be an integer between 1 and 100' },
+      statusCode: { type: 'integer' },
+      requestId: { type: 'string' },
+      stack: { type: 'string', description: 'Stack trace, development only' },
+      details: { type: 'array', items: { type: 'string' }, description: 'Every problem found in a rule set' },
+      suggestions: { type: 'array', items: ref('CitySuggestion') }
+    }
+  },
+  Coordinates: {
+    type: 'object',
+    required: ['lat', 'lon'],
+    properties: {
+      lat: { type: 'number', minimum: -90, maximum: 90 },
+      lon: { type: 'number', minimum: -180, maximum: 180 }
+    },
+    additionalProperties: false
+  },
+  AirQuality: {
+    type: 'object',
+    required: ['category', 'categoryId', 'color', 'severity', 'advice', 'scale'],
+    properties: {
+      category: { type: 'string', example: 'Unhealthy' },
+      categoryId: { type: 'string', enum: airQuality.categoryIds },
+      color: { type: 'string', example: '#ff0000' },
+      severity: { type: 'integer' },
+      advice: { type: 'string' },
+      scale: { type: 'string', example: 'US EPA AQI' }
+    },
+    additionalProperties: false
+  },
+  City: cityWith({}),
+  DescriptionSource: {
+    type: 'object',
+    required: ['type', 'title', 'url', 'confidence'],
+    properties: {
+      type: { type: 'string', enum: ['wikipedia', 'generated'] },
+      title: nullable({ type: 'string' }),
+      url: nullable({ type: 'string' }),
+      confidence: nullable({ type: 'number', minimum: 0, maximum: 1 })
+    },
+    additionalProperties: false
+  },
+  EnrichedCity: cityWith({
+    description: { type: 'string' },
+    descriptionLanguage: { type: 'string', example: 'en' },
+    descriptionSource: ref('DescriptionSource')
+  }),
+  NearbyCity: cityWith({
+    distanceKm: { type: 'number', description: 'Distance from the search point' }
+  }),
+  RankedCity: cityWith({
+    rank: { type: 'integer', description: 'Rank within the country' }
+  }),
+  CityPage: {
+    type: 'object',
+    required: ['page', 'limit', 'total', 'cities', 'stale'],
+    properties: {
+      page: { type: 'integer' },
+      limit: { type: 'integer' },
+      total: { type: 'integer' },
+      nextCursor: nullable({ type: 'string', description: 'Cursor of the next page, null on the last page' }),
+      prevCursor: nullable({ type: 'string', description: 'Cursor of the previous page, null on the first page' }),
+      stale: { type: 'boolean', description: 'True while serving the last good data because the upstream is failing' },
+      cities: { type: 'array', items: ref('EnrichedCity') }
+    },
+    additionalProperties: false
+  },
+  CityDetail: cityWith({
+    rank: {
+      type: 'object',
+      required: ['global', 'country'],
+      properties: {
+        global: { type: 'integer' },
+        country: { type: 'integer' }
+      }
+    },
+    totalCities: { type: 'integer' },
+    countryCities: { type: 'integer' },
+    percentile: { type: 'number', minimum: 0, maximum: 100 },
+    description: { type: 'string' },
+    descriptionLanguage: { type: 'string' },
+    descriptionSource: ref('DescriptionSource'),
+    wikipedia: nullable({
+      type: 'object',
+      required: ['title', 'language', 'extract', 'url', 'thumbnail', 'coordinates'],
+      properties: {
+        title: { type: 'string' },
+        language: { type: 'string' },
+        extract: nullable({ type: 'string' }),
+        url: nullable({ type: 'string' }),
+        thumbnail: nullable({
+          type: 'object',
+          properties: {
+            url: { type: 'string' },
+            width: { type: 'integer' },
+            height: { type: 'integer' }
+          }
+        }),
+        coordinates: nullable(ref('Coordinates'))
+      }
+    }),
+    stale: { type: 'boolean' }
+  }),
+  CitySuggestion: {
+    type: 'object',
+    required: ['name', 'country', 'countryCode', 'href'],
+    properties: {
+      name: { type: 'string' },
+      country: { type: 'string' },
+      countryCode: { type: 'string' },
+      href: { type: 'string', example: '/api/cities/PL/Krak%C3%B3w' }
+    }
+  },
+  CityLookup: {
+    type: 'object',
+    required: ['name', 'country'],
+    properties: {
+      name: { type: 'string', minLength: 1, maxLength: 100, pattern: '\\S', description: 'City name, case- and accent-insensitive', example: 'Krakow' },
+      country: { type: 'string', minLength: 1, maxLength: 100, description: 'ISO 3166 code or country name', example: 'PL' }
+    },
+    additionalProperties: false
+  },
+  CityBatch: {
+    type: 'object',
+    required: ['total', 'matched', 'notFound', 'descriptionsSkipped', 'stale', 'results'],
+    properties: {
+      total: { type: 'integer' },
+      matched: { type: 'integer' },
+      notFound: { type: 'integer' },
+      descriptionsSkipped: {
+        type: 'integer',
+        description: 'Matched cities whose description lookup was not started before the deadline; their description fields are null'
+      },
+      stale: { type: 'boolean' },
+      results: {
+        type: 'array',
+        description: 'One result per requested city, in input order',
+        items: {
+          oneOf: [
+            {
+              type: 'object',
+              required: ['index', 'query', 'status', 'city'],
+              properties: {
+                index: { type: 'integer', description: 'Position of the item in the request' },
+                query: ref('CityLookup'),
+                status: { const: 'matched' },
+                city: {
+                  anyOf: [
+                    ref('City'),
+                    ref('EnrichedCity'),
+                    cityWith({ description: { type: 'null' }, descriptionLanguage: { type: 'null' }, descriptionSource: { type: 'null' } })
+                  ]
+                }
+              },
+              additionalProperties: false
+            },
+            {
+              type: 'object',
+              required: ['index', 'query', 'status', 'error', 'message', 'suggestions'],
+              properties: {
+                index: { type: 'integer', description: 'Position of the item in the request' },
+                query: ref('CityLookup'),
+                status: { const: 'not_found' },
+                error: { type: 'string', example: 'City not found' },
+                message: { type: 'string' },
+                suggestions: { type: 'array', items: ref('CitySuggestion') }
+              },
+              additionalProperties: false
+            }
+          ]
+        }
+      }
+    },
+    additionalProperties: false
+  },
+  NearbyCities: {
+    type: 'object',
+    required: ['lat', 'lon', 'radius', 'limit', 'total', 'coverage', 'stale', 'cities'],
+    properties: {
+      lat: { type: 'number' },
+      lon: { type: 'number' },
+      radius: { type: 'number' },
+      limit: { type: 'integer' },
+      total: { type: 'integer' },
+      coverage: {
+        type: 'object',
+        description: 'Only cities with known coordinates can be matched',
+        required: ['located', 'total'],
+        properties: {
+          located: { type: 'integer' },
+          total: { type: 'integer' }
+        }
+      },
+      stale: { type: 'boolean' },
+      cities: { type: 'array', items: ref('NearbyCity') }
+    },
+    additionalProperties: false
+  },
+  CountryStats: {
+    type: 'object',
+    required: ['country', 'countryCode', 'count', 'mean', 'median', 'max', 'min', 'worstCity'],
+    properties: {
+      country: { type: 'string' },
+      countryCode: { type: 'string' },
+      count: { type: 'integer' },
+      mean: { type: 'number' },
+      median: { type: 'number' },
+      max: { type: 'number' },
+      min: { type: 'number' },
+      worstCity: {
+        type: 'object',
+        required: ['name', 'pollution'],
+        properties: {
+          name: { type: 'string' },
+          pollution: { type: 'number' }
+        }
+      }
+    }
+  },
+  CountryPage: {
+    type: 'object',
+    required: ['page', 'limit', 'total', 'sort', 'order', 'stale', 'countries'],
+    properties: {
+      page: { type: 'integer' },
+      limit: { type: 'integer' },
+      total: { type: 'integer' },
+      sort: { type: 'string' },
+      order: { type: 'string' },
+      stale: { type: 'boolean' },
+      countries: { type: 'array', items: ref('CountryStats') }
+    },
+    additionalProperties: false
+  },
+  CountryDetail: {
+    allOf: [
+      ref('CountryStats'),
+      {
+        type: 'object',
+        required: ['page', 'limit', 'total', 'stale', 'cities'],
+        properties: {
+          page: { type: 'integer' },
+          limit: { type: 'integer' },
+          total: { type: 'integer' },
+          stale: { type: 'boolean' },
+          cities: { type: 'array', items: ref('RankedCity') }
+        }
+      }
+    ]
+  },
+  CityHistory: {
+    type: 'object',
+    required: ['name', 'country', 'countryCode', 'interval', 'from', 'to', 'series'],
+    properties: {
+      name: { type: 'string' },
+      country: { type: 'string' },
+      countryCode: nullable({ type: 'string' }),
+      interval: { type: 'string', enum: ['hour', 'day', 'week'] },
+      from: { type: 'string', format: 'date-time' },
+      to: { type: 'string', format: 'date-time' },
+      series: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['start', 'min', 'max', 'avg', 'samples'],
+          properties: {
+            start: { type: 'string', format: 'date-time' },
+            min: { type: 'number' },
+            max: { type: 'number' },
+            avg: { type: 'number' },
+            samples: { type: 'integer' }
+          }
+        }
+      }
+    },
+    additionalProperties: false
+  },
+  Trend: {
+    type: 'object',
+    required: ['name', 'country', 'countryCode', 'from', 'to', 'change', 'changePercent', 'since', 'until'],
+    properties: {
+      name: { type: 'string' },
+      country: { type: 'string' },
+      countryCode: nullable({ type: 'string' }),
+      from: { type: 'number', description: 'First recorded pollution in the window' },
+      to: { type: 'number', description: 'Last recorded pollution in the window' },
+      change: { type: 'number' },
+      changePercent: nullable({ type: 'number' }),
+      since: { type: 'string', format: 'date-time' },
+      until: { type: 'string', format: 'date-time' }
+    }
+  },
+  Trends: {
+    type: 'object',
+    required: ['window', 'limit', 'from', 'to', 'rising', 'falling'],
+    properties: {
+      window: { type: 'string' },
+      limit: { type: 'integer' },
+      from: { type: 'string', format: 'date-time' },
+      to: { type: 'string', format: 'date-time' },
+      rising: { type: 'array', items: ref('Trend') },
+      falling: { type: 'array', items: ref('Trend') }
+    },
+    additionalProperties: false
+  },
+  Rejection: {
+    type: 'object',
+    required: ['reason', 'entry'],
+    properties: {
+      reason: { type: 'string', example: 'NAME_PLACEHOLDER' },
+      entry: { description: 'Raw upstream entry' }
+    }
+  },
+  Rejections: {
+    type: 'object',
+    required: ['updatedAt', 'rulesRevision', 'rawCount', 'accepted', 'rejected', 'merged', 'reasons',
+      'page', 'limit', 'total', 'truncated', 'rejections'],
+    properties: {
+      updatedAt: { type: 'string', format: 'date-time' },
+      rulesRevision: { type: 'string' },
+      rawCount: { type: 'integer' },
+      accepted: { type: 'integer' },
+      rejected: { type: 'integer' },
+      merged: { type: 'integer', description: 'Valid entries folded into another entry of the same city' },
+      reasons: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['code', 'description', 'count'],
+          properties: {
+            code: { type: 'string' },
+            description: { type: 'string' },
+            count: { type: 'integer' }
+          }
+        }
+      },
+      page: { type: 'integer' },
+      limit: { type: 'integer' },
+      total: { type: 'integer' },
+      truncated: { type: 'boolean' },
+      rejections: { type: 'array', items: ref('Rejection') }
+    },
+    additionalProperties: false
+  },
+  Rules: {
+    type: 'object',
+    required: ['version', 'revision', 'source', 'loadedAt', 'rules'],
+    properties: {
+      version: { type: 'integer' },
+      revision: { type: 'string' },
+      source: { type: 'string' },
+      loadedAt: { type: 'string', format: 'date-time' },
+      rules: { type: 'object', description: 'Rule set as written in the rule file' }
+    },
+    additionalProperties: false
+  },
+  Config: {
+    type: 'object',
+    required: ['file', 'config', 'sources'],
+    properties: {
+      file: { type: ['string', 'null'], description: 'Config file (CONFIG_FILE), if any' },
+      config: {
+        type: 'object',
+        description: 'Effective settings by section, with passwords, tokens and URL credentials masked'
+      },
+      sources: {
+        type: 'object',
+        description: 'Where each setting came from, by dotted path: default, file or env:<VARIABLE>',
+        additionalProperties: { type: 'string', pattern: '^(default|file|env:[A-Z0-9_]+)$' },
+        example: { 'server.port': 'env:PORT', 'cache.backend': 'file', 'logging.level': 'default' }
+      }
+    },
+    additionalProperties: false
+  },
+  AuditSummary: {
+    type: 'object',
+    required: ['revision', 'accepted', 'rejected', 'merged', 'byReason'],
+    properties: {
+      revision: { type: 'string' },
+      accepted: { type: 'integer' },
+      rejected: { type: 'integer' },
+      merged: { type: 'integer' },
+      byReason: { type: 'object', additionalProperties: { type: 'integer' } }
+    }
+  },
+  DryRun: {
+    type: 'object',
+    required: ['updatedAt', 'rawCount', 'active', 'candidate', 'changes'],
+    properties: {
+      updatedAt: { type: 'string', format: 'date-time' },
+      rawCount: { type: 'integer' },
+      active: ref('AuditSummary'),
+      candidate: ref('AuditSummary'),
+      changes: {
+        type: 'object',
+        required: ['accepted', 'rejected', 'newlyRejectedCount', 'newlyAcceptedCount', 'reasonChanged',
+          'newlyRejected', 'newlyAccepted'],
+        properties: {
+          accepted: { type: 'integer' },
+          rejected: { type: 'integer' },
+          newlyRejectedCount: { type: 'integer' },
+          newlyAcceptedCount: { type: 'integer' },
+          reasonChanged: { type: 'integer' },
+          newlyRejected: { type: 'array', items: ref('Rejection') },
+          newlyAccepted: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['previousReason', 'entry'],
+              properties: {
+                previousReason: { type: 'string' },
+                entry: {}
+              }
+            }
+          }
+        }
+      }
+    },
+    additionalProperties: false
+  },
+  ApiKey: apiKeyWith({}),
+  IssuedApiKey: apiKeyWith({
+    key: { type: 'string', description: 'The plain key. It is not stored and is only shown once.' }
+  }),
+  NewApiKey: {
+    type: 'object',
+    required: ['name'],
+    properties: {
+      name: { type: 'string', minLength: 1, maxLength: 100, pattern: '\\S', description: 'Who or what the key is for' },
+      tier: { type: 'string', enum: Object.keys(apiTiers.tiers), description: `Default: ${apiTiers.defaultTier}` }
+    },
+    additionalProperties: false
+  },
+  ApiKeyList: {
+    type: 'object',
+    required: ['anonymousTier', 'tiers', 'total', 'active', 'keys'],
+    properties: {
+      anonymousTier: nullable({ type: 'string', description: 'Tier of requests without a key, null when a key is required' }),
+      tiers: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['name', 'description', 'quota', 'burst'],
+          properties: {
+            name: { type: 'string' },
+            description: nullable({ type: 'string' }),
+            quota: {
+              type: 'object',
+              properties: {
+                limit: { type: 'integer' },
+                window: { type: 'string' }
+              }
+            },
+            burst: {
+              type: 'object',
+              properties: {
+                capacity: { type: 'integer' },
+                refillPerSecond: { type: 'number' }
+              }
+            }
+          }
+        }
+      },
+      total: { type: 'integer' },
+      active: { type: 'integer' },
+      keys: { type: 'array', items: ref('ApiKey') }
+    },
+    additionalProperties: false
+  },
+  Health: {
+    type: 'object',
+    required: ['status', 'timestamp', 'uptime', 'environment'],
+    properties: {
+      status: { type: 'string', example: 'OK' },
+      timestamp: { type: 'string', format: 'date-time' },
+      uptime: { type: 'number' },
+      environment: { type: 'string' }
+    }
+  },
+  Readiness: {
+    type: 'object',
+    required: ['status', 'timestamp', 'checks'],
+    properties: {
+      status: { enum: ['ready', 'not ready', 'shutting down'] },
+      timestamp: { type: 'string', format: 'date-time' },
+      checks: {
+        type: 'object',
+        required: ['dataset', 'pollutionApiAuth', 'pollutionApiCircuit', 'cache'],
+        properties: {
+          dataset: {
+            type: 'object',
+            description: 'Fails until the first dataset has been built',
+            properties: {
+              status: ref('CheckStatus'),
+              updatedAt: { type: ['string', 'null'], format: 'date-time' },
+              cities: { type: 'integer' },
+              error: { type: ['string', 'null'] }
+            }
+          },
+          pollutionApiAuth: {
+            type: 'object',
+            description: 'Fails while the latest pollution API login failed',
+            properties: {
+              status: ref('CheckStatus'),
+              lastAttemptAt: { type: ['string', 'null'], format: 'date-time' },
+              error: { type: ['string', 'null'] }
+            }
+          },
+          pollutionApiCircuit: {
+            type: 'object',
+            description: 'Fails while the pollution API circuit is open',
+            properties: {
+              status: ref('CheckStatus'),
+              state: { enum: ['closed', 'open', 'half-open'] },
+              failures: { type: 'integer' },
+              retryAt: { type: ['string', 'null'], format: 'date-time' }
+            }
+          },
+          cache: {
+            type: 'object',
+            description: 'Fails while the cache backend does not answer',
+            properties: {
+              status: ref('CheckStatus'),
+              backend: { type: 'string', example: 'redis' },
+              error: { type: ['string', 'null'] }
+            }
+          }
+        }
+      }
+    }
+  },
+  CheckStatus: { enum: ['pass', 'fail'] },
+  RuleSet: {
+    type: 'object',
+    description: 'Validation rule set in the format of src/config/validationRules.json. ' +
+      'Its content is checked by the rule loader, which reports every problem in details.'
+  }
+};
+
+// Operations
+
+const paths = {
+  '/': {
+    get: {
+      operationId: 'getRoot',
+      tags: ['Service'],
+      summary: 'Service information and links',
+      responses: {
+        200: jsonResponse('Service information', {
+          type: 'object',
+          required: ['message', 'version', 'documentation', 'health'],
+          properties: {
+            message: { type: 'string' },
+            version: { type: 'string' },
+            documentation: { type: 'string' },
+            openapi: { type: 'string' },
+            health: { type: 'string' }
+          }
+        })
+      }
+    }
+  },
+  '/health': {
+    get: {
+      operationId: 'getHealth',
+      tags: ['Service'],
+      summary: 'Service status (same as /health/live)',
+      responses: {
+        200: jsonResponse('Service is running', ref('Health'))
+      }
+    }
+  },
+  '/health/live': {
+    get: {
+      operationId: 'getLiveness',
+      tags: ['Service'],
+      summary: 'Liveness probe',
+      responses: {
+        200: jsonResponse('Process is up and answering', ref('Health'))
+      }
+    }
+  },
+  '/health/ready': {
+    get: {
+      operationId: 'getReadiness',
+      tags: ['Service'],
+      summary: 'Readiness probe',
+      description: 'Ready once a dataset is loaded, while the pollution API login works and its circuit is closed, ' +
+        'and while the cache backend answers. Not ready while shutting down.',
+      responses: {
+        200: jsonResponse('Ready to receive traffic', ref('Readiness')),
+        503: jsonResponse('Not ready; failing checks have status "fail"', ref('Readiness'))
+      }
+    }
+  },
+  '/metrics': {
+    get: {
+      operationId: 'getMetrics',
+      tags: ['Service'],
+      summary: 'Prometheus metrics',
+      description: 'Public unless METRICS_TOKEN is set; then the token is required as a bearer token.',
+      security: [{ metricsToken: [] }, {}],
+      responses: {
+        200: { description: 'Metrics in the Prometheus text format', content: { 'text/plain': { schema: { type: 'string' } } } },
+        401: jsonResponse('Missing or wrong metrics bearer token while METRICS_TOKEN is set', ref('Error'), {
+          'WWW-Authenticate': { schema: { type: 'string' }, description: 'Bearer realm="metrics"' }
+        })
+      }
+    }
+  },
+  '/openapi.json': {
+    get: {
+      operationId: 'getOpenApi',
+      tags: ['Service'],
+      summary: 'This OpenAPI document',
+      responses: {
+        200: jsonResponse('OpenAPI 3 document', { type: 'object' })
+      }
+    }
+  },
+  '/api/cities': {
+    get: {
+      operationId: 'listCities',
+      tags: ['Cities'],
+      summary: 'Most polluted cities',
+      description: 'Validated cities ranked by pollution, with Wikipedia descriptions. ' +
+        'The format is taken from the format parameter, otherwise negotiated from the Accept header. ' +
+        'Following the cursors of the Link header keeps every page on the dataset snapshot of the first one. ' +
+        'Send the ETag back in If-None-Match to get 304 while the page is unchanged.',
+      parameters: [
+        pageParam,
+        {
+          name: 'cursor',
+          in: 'query',
+          description: 'Opaque position from a Link header or a nextCursor or prevCursor field, instead of page. ' +
+            'Only valid with the filters and sort order it was issued for.',
+          schema: { type: 'string', minLength: 1, maxLength: 200, pattern: '^[A-Za-z0-9_-]+$' }
+        },
+        limitParam(),
+        { name: 'sort', in: 'query', description: 'Sort field', schema: { type: 'string', enum: SORT_FIELDS, default: 'pollution' } },
+        { ...orderParam, description: 'Sort direction (default: desc for pollution, asc otherwise)' },
+        { name: 'minPollution', in: 'query', description: 'Inclusive lower pollution bound', schema: { type: 'number', minimum: 0 } },
+        { name: 'maxPollution', in: 'query', description: 'Inclusive upper pollution bound', schema: { type: 'number', minimum: 0 } },
+        { name: 'q', in: 'query', description: 'Case- and accent-insensitive city name search', schema: { type: 'string', minLength: 1, maxLength: 100, pattern: '\\S' } },
+        listParam('country', 'ISO 3166 codes or English country names', { type: 'string', minLength: 1, maxLength: 100 }, 20),
+        listParam('category', 'Air quality category ids', { type: 'string', enum: airQuality.categoryIds }),
+        {
+          name: 'bbox',
+          in: 'query',
+          description: 'minLon,minLat,maxLon,maxLat; only cities with known coordinates inside the box',
+          schema: { type: 'string', example: '14.1,49.0,24.2,54.9' }
+        },
+        { name: 'format', in: 'query', description: 'Output format', schema: { type: 'string', enum: Object.keys(FORMATS) } },
+        { name: 'all', in: 'query', description: 'Stream every matching city instead of one page', schema: { type: 'boolean', default: false } },
+        langParam
+      ],
+      responses: {
+        200: {
+          description: 'One page of cities, or every matching city with all=true',
+          headers: {
+            ...pageHeaders,
+            'X-Total-Count': { schema: { type: 'integer' }, description: 'Matching cities, non-JSON formats only' }
+          },
+          content: {
+            [FORMATS.json]: { schema: ref('CityPage') },
+            [FORMATS.csv]: { schema: { type: 'string' } },
+            [FORMATS.ndjson]: { schema: { type: 'string' } },
+            [FORMATS.geojson]: { schema: { type: 'object' } }
+          }
+        },
+        304: { description: 'The page matches the ETag sent in If-None-Match', headers: pageHeaders },
+        400: badRequest,
+        406: errorResponse('The Accept header matches no supported format'),
+        410: errorResponse('The cursor belongs to a dataset snapshot that is no longer kept'),
+        ...datasetErrors
+      }
+    }
+  },
+  '/api/cities/near': {
+    get: {
+      operationId: 'findNearbyCities',
+      tags: ['Cities'],
+      summary: 'Cities around a point',
+      description: 'Validated cities with known coordinates, nearest first.',
+      parameters: [
+        { name: 'lat', in: 'query', required: true, description: 'Latitude of the centre', schema: { type: 'number', minimum: -90, maximum: 90 } },
+        { name: 'lon', in: 'query', required: true, description: 'Longitude of the centre', schema: { type: 'number', minimum: -180, maximum: 180 } },
+        { name: 'radius', in: 'query', description: 'Search radius in kilometres', schema: { type: 'number', minimum: 0, maximum: 20000, default: 50 } },
+        limitParam('Maximum number of cities')
+      ],
+      responses: {
+        200: jsonResponse('Nearby cities', ref('NearbyCities')),
+        400: badRequest,
+        ...datasetErrors
+      }
+    }
+  },
+  '/api/cities/batch': {
+    post: {
+      operationId: 'lookupCities',
+      tags: ['Cities'],
+      summary: 'Many cities by name and country',
+      description: 'Looks up to 500 cities in one request. Every item gets a result in input order: ' +
+        'the matched city, or a not_found entry with close-match suggestions. ' +
+        'Descriptions are fetched through the same rate-limited Wikipedia queue as the other endpoints, ' +
+        'a few at a time; lookups not started within 10 seconds are skipped and counted in descriptionsSkipped.',
+      parameters: [
+        listParam('include', 'Optional fields of matched cities', { type: 'string', enum: ['description'] }),
+        langParam
+      ],
+      requestBody: {
+        required: true,
+        content: {
+          'application/json': {
+            schema: { type: 'array', minItems: 1, maxItems: 500, items: ref('CityLookup') }
+          }
+        }
+      },
+      responses: {
+        200: jsonResponse('One result per requested city', ref('CityBatch')),
+        400: errorResponse('Invalid parameter or request body'),
+        ...datasetErrors
+      }
+    }
+  },
+  '/api/cities/{country}/{city}': {
+    get: {
+      operationId: 'getCity',
+      tags: ['Cities'],
+      summary: 'One city with its rankings and Wikipedia details',
+      parameters: [
+        pathParam('country', 'ISO 3166 code or country name'),
+        pathParam('city', 'City name, case- and accent-insensitive'),
+        langParam
+      ],
+      responses: {
+        200: jsonResponse('City details', ref('CityDetail')),
+        400: badRequest,
+        404: errorResponse('Unknown city, with close-match suggestions'),
+        ...datasetErrors
+      }
+    }
+  },
+  '/api/cities/{country}/{city}/history': {
+    get: {
+      operationId: 'getCityHistory',
+      tags: ['History'],
+      summary: "A city's recorded pollution as a time series",
+      parameters: [
+        pathParam('country', 'ISO 3166 code or country name'),
+        pathParam('city', 'City name, case- and accent-insensitive'),
+        { name: 'from', in: 'query', description: 'Start of the range, ISO 8601 (default: 7 days before to)', schema: { type: 'string' } },
+        { name: 'to', in: 'query', description: 'End of the range, ISO 8601 (default: now)', schema: { type: 'string' } },
+        { name: 'interval', in: 'query', description: 'Bucket size', schema: { type: 'string', enum: ['hour', 'day', 'week'], default: 'day' } }
+      ],
+      responses: {
+        200: jsonResponse('Time series', ref('CityHistory')),
+        400: badRequest,
+        404: errorResponse('No history for the city in the range'),
+        500: errorResponse('The history could not be read')
+      }
+    }
+  },
+  '/api/trends': {
+    get: {
+      operationId: 'listTrends',
+      tags: ['History'],
+      summary: 'Cities whose pollution rose or fell the most',
+      parameters: [
+        { name: 'window', in: 'query', description: 'Time window ending now, e.g. 24h, 7d, 2w; at most HISTORY_RETENTION_DAYS', schema: { type: 'string', default: '7d' } },
+        limitParam('Cities per direction')
+      ],
+      responses: {
+        200: jsonResponse('Rising and falling cities', ref('Trends')),
+        400: badRequest,
+        500: errorResponse('The trends could not be computed')
+      }
+    }
+  },
+  '/api/countries': {
+    get: {
+      operationId: 'listCountries',
+      tags: ['Countries'],
+      summary: 'Per-country pollution aggregates',
+      parameters: [
+        pageParam,
+        limitParam(),
+        { name: 'sort', in: 'query', description: 'Sort field', schema: { type: 'string', enum: countryService.sortFields, default: 'mean' } },
+        { ...orderParam, schema: { ...orderParam.schema, default: 'desc' } }
+      ],
+      responses: {
+        200: jsonResponse('One page of countries', ref('CountryPage')),
+        400: badRequest,
+        ...datasetErrors
+      }
+    }
+  },
+  '/api/countries/{code}': {
+    get: {
+      operationId: 'getCountry',
+      tags: ['Countries'],
+      summary: "One country's aggregates and its ranked cities",
+      parameters: [
+        pathParam('code', 'ISO 3166 code or country name'),
+        pageParam,
+        limitParam()
+      ],
+      responses: {
+        200: jsonResponse('Country details', ref('CountryDetail')),
+        400: badRequest,
+        404: errorResponse('No data for the country'),
+        ...datasetErrors
+      }
+    }
+  },
+  '/api/admin/rejections': {
+    get: {
+      operationId: 'listRejections',
+      tags: ['Admin'],
+      summary: 'Entries rejected by the latest refresh',
+      security: [{ adminToken: [] }],
+      parameters: [
+        pageParam,
+        limitParam(),
+        listParam('reason', 'Rejection reason codes', { type: 'string', pattern: '^[A-Z_]+$' })
+      ],
+      responses: {
+        200: jsonResponse('Rejected entries and counts per reason', ref('Rejections')),
+        400: badRequest,
+        ...datasetErrors,
+        ...adminErrors
+      }
+    }
+  },
+  '/api/admin/rules': {
+    get: {
+      operationId: 'getRules',
+      tags: ['Admin'],
+      summary: 'Active validation rules',
+      security: [{ adminToken: [] }],
+      responses: {
+        200: jsonResponse('Active rule set', ref('Rules')),
+        ...adminErrors
+      }
+    }
+  },
+  '/api/admin/rules/dry-run': {
+    post: {
+      operationId: 'dryRunRules',
+      tags: ['Admin'],
+      summary: 'Evaluate a candidate rule set without applying it',
+      security: [{ adminToken: [] }],
+      requestBody: {
+        required: true,
+        content: {
+          'application/json': { schema: ref('RuleSet') },
+          'application/yaml': { schema: { type: 'string' } },
+          'application/x-yaml': { schema: { type: 'string' } },
+          'text/yaml': { schema: { type: 'string' } }
+        }
+      },
+      responses: {
+        200: jsonResponse('How the accepted and rejected counts would change', ref('DryRun')),
+        400: errorResponse('Invalid rule set, details lists every problem'),
+        ...datasetErrors,
+        ...adminErrors
+      }
+    }
+  },
+  '/api/admin/config': {
+    get: {
+      operationId: 'getConfig',
+      tags: ['Admin'],
+      summary: 'Effective configuration',
+      description: 'Settings from the defaults, the config file and environment variables, with secrets masked.',
+      security: [{ adminToken: [] }],
+      responses: {
+        200: jsonResponse('Effective configuration and the source of each setting', ref('Config')),
+        ...adminErrors
+      }
+    }
+  },
+  '/api/admin/keys': {
+    get: {
+      operationId: 'listApiKeys',
+      tags: ['Admin'],
+      summary: 'API keys with their usage, and the available tiers',
+      security: [{ adminToken: [] }],
+      responses: {
+        200: jsonResponse('Keys and tiers', ref('ApiKeyList')),
+        ...adminErrors
+      }
+    },
+    post: {
+      operationId: 'issueApiKey',
+      tags: ['Admin'],
+      summary: 'Issue an API key',
+      description: 'The plain key is only returned in this response; only its hash is stored.',
+      security: [{ adminToken: [] }],
+      requestBody: {
+        required: true,
+        content: { 'application/json': { schema: ref('NewApiKey') } }
+      },
+      responses: {
+        201: jsonResponse('The new key', ref('IssuedApiKey')),
+        400: errorResponse('Invalid request body'),
+        500: errorResponse('The key file could not be written'),
+        ...adminErrors
+      }
+    }
+  },
+  '/api/admin/keys/{id}': {
+    get: {
+      operationId: 'getApiKey',
+      tags: ['Admin'],
+      summary: 'One API key with its usage',
+      security: [{ adminToken: [] }],
+      parameters: [pathParam('id', 'Key ID')],
+      responses: {
+        200: jsonResponse('The key', ref('ApiKey')),
+        400: badRequest,
+        404: errorResponse('No key with this ID'),
+        ...adminErrors
+      }
+    },
+    delete: {
+      operationId: 'revokeApiKey',
+      tags: ['Admin'],
+      summary: 'Revoke an API key',
+      description: 'Requests with a revoked key get 401. Revoking a revoked key changes nothing.',
+      security: [{ adminToken: [] }],
+      parameters: [pathParam('id', 'Key ID')],
+      responses: {
+        200: jsonResponse('The revoked key', ref('ApiKey')),
+        400: badRequest,
+        404: errorResponse('No key with this ID'),
+        500: errorResponse('The key file could not be written'),
+        ...adminErrors
+      }
+    }
+  }
+};
+
+const spec = {
+  openapi: '3.1.0',
+  info: {
+    title: 'Cities Pollution API',
+    version,
+    description: 'Most polluted cities by country, with Wikipedia descriptions, history and country aggregates.'
+  },
+  servers: [{ url: '/' }],
+  tags: [
+    { name: 'Cities' },
+    { name: 'Countries' },
+    { name: 'History' },
+    { name: 'Admin', description: 'Requires the ADMIN_API_TOKEN bearer token' },
+    { name: 'Service' }
+  ],
+  paths,
+  components: {
+    schemas,
+    securitySchemes: {
+      adminToken: { type: 'http', scheme: 'bearer', description: 'ADMIN_API_TOKEN' },
+      metricsToken: { type: 'http', scheme: 'bearer', description: 'METRICS_TOKEN, when set' },
+      apiKey: {
+        type: 'apiKey',
+        in: 'header',
+        name: 'X-API-Key',
+        description: 'Key issued through /api/admin/keys. Optional unless anonymous access is off.'
+      }
+    }
+  }
+};
+
+// Every response carries the request ID. The data endpoints under /api take an
+// optional API key and report the client's quota.
+for (const [path, operations] of Object.entries(paths)) {
+  const limited = path.startsWith('/api/') && !path.startsWith('/api/admin/');
+  for (const operation of Object.values(operations)) {
+    if (limited) {
+      operation.security = [{ apiKey: [] }, {}];
+      Object.assign(operation.responses, apiKeyErrors);
+    }
+    operation.responses = Object.fromEntries(Object.entries(operation.responses).map(([status, response]) => [
+      status,
+      {
+        ...response,
+        headers: { ...requestIdHeader, ...(limited && status !== '401' && rateLimitHeaders), ...response.headers }
+      }
+    ]));
+  }
+}
+
+module.exports = spec;
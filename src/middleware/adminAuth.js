@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { config } = require('../config');
+
+/**
+ * Compares two secrets in constant time
+ * @param {string} a - First secret
+ * @param {string} b - Second secret
+ * @returns {boolean}
+ */
+const safeEqual = (a, b) => {
+  const digest = value => crypto.createHash('sha256').update(String(value)).digest();
+  return crypto.timingSafeEqual(digest(a), digest(b));
+};
+
+/**
+ * Checks the request's Authorization header against a bearer token
+ * @param {Object} req - Express request
+ * @param {string} expected - Expected token
+ * @returns {boolean}
+ */
+const hasBearerToken = (req, expected) => {
+  const match = /^Bearer\s+(.+)$/i.exec(req.get('Authorization') || '');
+  return Boolean(match) && safeEqual(match[1].trim(), expected);
+};
+
+/**
+ * Protects admin endpoints with the ADMIN_API_TOKEN bearer token.
+ * Admin endpoints are disabled while no token is configured.
+ */
+const requireAdmin = (req, res, next) => {
+  const expected = config.admin.apiToken;
+  if (!expected) {
+    return res.status(503).json({
+      error: 'Admin API disabled',
+      message: 'Set ADMIN_API_TOKEN to enable admin endpoints'
+    });
+  }
+
+  if (!hasBearerToken(req, expected)) {
+    logger.warn(`Rejected admin request: ${req.method} ${req.originalUrl} from ${req.ip}`);
+    res.set('WWW-Authenticate', 'Bearer realm="admin"');
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'A valid admin bearer token is required'
+    });
+  }
+
+  next();
+};
+
+/**
+ * Protects /metrics with the METRICS_TOKEN bearer token. The endpoint stays
+ * public while no token is configured, for scrapers on a private network.
+ */
+const requireMetricsToken = (req, res, next) => {
+  const expected = config.admin.metricsToken;
+  if (!expected) {
+    return next();
+  }
+
+  if (!hasBearerToken(req, expected)) {
+    res.set('WWW-Authenticate', 'Bearer realm="metrics"');
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'A valid metrics bearer token is required'
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  requireAdmin,
+  requireMetricsToken
+};
@@ -0,0 +1,66 @@
+const apiKeyService = require('../services/apiKeyService');
+const logger = require('../utils/logger');
+
+const API_KEY_HEADER = 'X-API-Key';
+
+// Route label of the requests rejected here, which never reach a route
+const REJECTED_ROUTE = 'rejected:api-key';
+
+/**
+ * Identifies the client by its X-API-Key header (or, when anonymous access is
+ * enabled, by IP) and enforces the quota and burst limits of its tier.
+ * Every response reports the client's quota in X-RateLimit-* headers.
+ */
+const authenticateApiKey = (req, res, next) => {
+  const key = req.get(API_KEY_HEADER);
+  let client;
+
+  if (key) {
+    const record = apiKeyService.authenticate(key);
+    if (!record) {
+      logger.warn(`Rejected API key: ${req.method} ${req.originalUrl} from ${req.ip}`);
+      res.locals.metricsRoute = REJECTED_ROUTE;
+      return res.status(401).json({
+        error: 'Invalid API key',
+        message: 'The API key is unknown or has been revoked'
+      });
+    }
+    client = { id: record.id, tier: apiKeyService.getTier(record.tier), key: record };
+  } else if (apiKeyService.anonymousTier) {
+    client = { id: `ip:${req.ip}`, tier: apiKeyService.anonymousTier, key: null };
+  } else {
+    res.locals.metricsRoute = REJECTED_ROUTE;
+    return res.status(401).json({
+      error: 'API key required',
+      message: `Send an API key in the ${API_KEY_HEADER} header`
+    });
+  }
+
+  req.apiClient = client;
+  const result = apiKeyService.consume(client);
+  res.set({
+    'X-RateLimit-Limit': String(result.limit),
+    'X-RateLimit-Remaining': String(result.remaining),
+    'X-RateLimit-Reset': String(Math.ceil(result.resetAt / 1000)),
+    'X-RateLimit-Tier': client.tier.name
+  });
+
+  if (!result.allowed) {
+    res.set('Retry-After', String(result.retryAfter));
+    res.locals.metricsRoute = REJECTED_ROUTE;
+    return res.status(429).json({
+      error: 'Too many requests',
+      message: result.reason === 'quota'
+        ? `Quota of ${result.limit} requests per ${client.tier.quota.window} exceeded for the ${client.tier.name} tier`
+        : `Burst limit of the ${client.tier.name} tier exceeded, retry in ${result.retryAfter}s`,
+      statusCode: 429
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  authenticateApiKey,
+  API_KEY_HEADER
+};
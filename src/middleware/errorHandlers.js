@@ -1,4 +1,5 @@
 const logger = require('../utils/logger');
+const { config } = require('../config');
 
 /**
  * 404 Not Found handler
@@ -9,7 +10,7 @@ const notFoundHandler = (req, res) => {
     message: `Route ${req.originalUrl} not found`,
     statusCode: 404
   };
-  
+
   logger.warn(`404 Not Found: ${req.method} ${req.originalUrl}`);
   res.status(404).json(error);
 };
@@ -30,7 +31,7 @@ const errorHandler = (err, req, res, next) => {
 
   // Determine status code
   let statusCode = err.statusCode || err.status || 500;
-  
+
   // Handle specific error types
   if (err.name === 'ValidationError') {
     statusCode = 400;
@@ -44,18 +45,37 @@ const errorHandler = (err, req, res, next) => {
   const errorResponse = {
     error: err.name || 'Internal Server Error',
     message: err.message || 'An unexpected error occurred',
-    statusCode
+    statusCode,
+    requestId: req.id
   };
 
   // Include stack trace in development
-  if (process.env.NODE_ENV === 'development') {
+  if (config.server.env === 'development') {
     errorResponse.stack = err.stack;
   }
 
   res.status(statusCode).json(errorResponse);
 };
 
+/**
+ * Error response for controllers that depend on the pollution dataset:
+ * 503 while the pollution API circuit is open and no data is available, 500 otherwise
+ */
+const sendDatasetError = (res, error, message) => {
+  if (error.name === 'CircuitOpenError') {
+    return res.status(503).json({
+      error: 'Service unavailable',
+      message: 'Pollution data source is temporarily unavailable, please try again later'
+    });
+  }
+  res.status(500).json({
+    error: 'Internal server error',
+    message
+  });
+};
+
 module.exports = {
   notFoundHandler,
-  errorHandler
+  errorHandler,
+  sendDatasetError
 };
@@ -0,0 +1,36 @@
+const wikipediaService = require('../services/wikipediaService');
+
+// Wikipedia language codes such as en, de, pt, simple, zh-min-nan
+const LANGUAGE_PATTERN = /^[a-z]{2,12}(-[a-z0-9]{1,8})*$/i;
+
+/**
+ * Resolves the description language into req.language, from the lang query
+ * parameter or else the Accept-Language header. Regional subtags in the header
+ * are dropped (de-AT -> de) because Wikipedia editions are per language.
+ */
+const resolveLanguage = (req, res, next) => {
+  const { lang } = req.query;
+  res.vary('Accept-Language');
+
+  if (lang !== undefined) {
+    if (typeof lang !== 'string' || !LANGUAGE_PATTERN.test(lang)) {
+      return res.status(400).json({
+        error: 'Invalid lang parameter',
+        message: 'Lang must be a Wikipedia language code such as en, de or pt'
+      });
+    }
+    req.language = lang.toLowerCase();
+    return next();
+  }
+
+  const preferred = req.acceptsLanguages()
+    .map(language => language.split('-')[0].toLowerCase())
+    .find(language => language !== '*' && LANGUAGE_PATTERN.test(language));
+
+  req.language = preferred || wikipediaService.defaultLanguage;
+  next();
+};
+
+module.exports = {
+  resolveLanguage
+};
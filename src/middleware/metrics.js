@@ -0,0 +1,28 @@
+const metrics = require('../utils/metrics');
+
+/**
+ * Records the count and latency of every HTTP request. Requests are labelled
+ * with the matched route pattern rather than the raw path, so city names don't
+ * create new series. Requests rejected before routing are labelled with the
+ * res.locals.metricsRoute set by the rejecting middleware, and any other
+ * request no route handled is labelled "unmatched".
+ */
+const recordHttpMetrics = (req, res, next) => {
+  const startedAt = process.hrtime.bigint();
+
+  res.on('finish', () => {
+    const labels = {
+      method: req.method,
+      route: req.route ? `${req.baseUrl}${req.route.path}` : res.locals.metricsRoute || 'unmatched',
+      status: res.statusCode
+    };
+    metrics.httpRequests.inc(labels);
+    metrics.httpRequestDuration.observe(labels, Number(process.hrtime.bigint() - startedAt) / 1e9);
+  });
+
+  next();
+};
+
+module.exports = {
+  recordHttpMetrics
+};
@@ -0,0 +1,23 @@
+const crypto = require('crypto');
+const { runWithContext } = require('../utils/requestContext');
+
+// Incoming IDs are reused only if they are short and safe to log and echo
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+/**
+ * Assigns every request an ID: the caller's X-Request-Id when it is valid,
+ * otherwise a new UUID. The ID is echoed in the X-Request-Id response header
+ * and available to everything the request calls through the request context.
+ */
+const assignRequestId = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+
+  req.id = requestId;
+  res.set('X-Request-Id', requestId);
+  runWithContext({ requestId }, next);
+};
+
+module.exports = {
+  assignRequestId
+};
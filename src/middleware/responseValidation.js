@@ -0,0 +1,33 @@
+const logger = require('../utils/logger');
+const openapiValidator = require('../utils/openapiValidator');
+
+/**
+ * Checks JSON responses against the OpenAPI document. Meant for development:
+ * a response that doesn't match is replaced with a 500 listing the
+ * differences, so contract drift fails as soon as the endpoint is called.
+ */
+const validateResponses = (req, res, next) => {
+  const json = res.json.bind(res);
+
+  res.json = (body) => {
+    const operation = req.route && openapiValidator.operationFor(req.method, req.baseUrl + req.route.path);
+    const problems = operation && openapiValidator.checkResponse(operation, res.statusCode, body);
+    if (!problems) {
+      return json(body);
+    }
+
+    logger.error(`Response of ${req.method} ${req.originalUrl} (${res.statusCode}) does not match the OpenAPI document: ${problems.join('; ')}`);
+    res.status(500);
+    return json({
+      error: 'Response validation failed',
+      message: `The ${operation.id} response does not match the OpenAPI document`,
+      details: problems
+    });
+  };
+
+  next();
+};
+
+module.exports = {
+  validateResponses
+};
@@ -1,40 +1,145 @@
 /**
- * Middleware for validating request parameters
+ * Middleware for validating request parameters. Types, ranges, lengths and
+ * allowed values come from the OpenAPI document (validateRequest); the other
+ * middlewares cover the rules a schema can't express.
  */
 
-const validatePaginationParams = (req, res, next) => {
-  const { page, limit } = req.query;
+const { toList } = require('../utils/cityQuery');
+const { parseDuration } = require('../utils/duration');
+const countryRegistry = require('../utils/countryRegistry');
+const dataValidator = require('../utils/dataValidator');
+const openapiValidator = require('../utils/openapiValidator');
+const { parseBoundingBox } = require('../utils/geo');
+const { config } = require('../config');
 
-  // Validate page parameter
-  if (page !== undefined) {
-    const pageNum = parseInt(page, 10);
-    if (isNaN(pageNum) || pageNum < 1) {
-      return res.status(400).json({
-        error: 'Invalid page parameter',
-        message: 'Page must be a positive integer'
-      });
-    }
-    if (pageNum > 1000) {
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Validates the route's path and query parameters and its JSON body against
+ * the matching operation of the OpenAPI document
+ */
+const validateRequest = (req, res, next) => {
+  const operation = openapiValidator.operationFor(req.method, req.baseUrl + req.route.path);
+  const problem = operation && openapiValidator.checkRequest(operation, req);
+  if (problem) {
+    return res.status(400).json(problem);
+  }
+  next();
+};
+
+/**
+ * Validates the parameters of the cities list that depend on each other or on
+ * the country registry: the cursor, the pollution range, country and bbox
+ */
+const validateCityFilters = (req, res, next) => {
+  const { cursor, page, all, minPollution, maxPollution, country, bbox } = req.query;
+
+  // A cursor carries its own position
+  if (cursor !== undefined && (page !== undefined || all === 'true')) {
+    return res.status(400).json({
+      error: 'Invalid cursor parameter',
+      message: 'cursor must not be combined with page or all=true'
+    });
+  }
+
+  if (minPollution !== undefined && maxPollution !== undefined &&
+      Number(minPollution) > Number(maxPollution)) {
+    return res.status(400).json({
+      error: 'Invalid pollution range',
+      message: 'minPollution must not be greater than maxPollution'
+    });
+  }
+
+  // Validate country parameter (repeatable or comma-separated)
+  if (country !== undefined) {
+    const unknown = toList(country).filter(value => !countryRegistry.isKnown(value));
+    if (unknown.length > 0) {
       return res.status(400).json({
-        error: 'Invalid page parameter',
-        message: 'Page number too large (max: 1000)'
+        error: 'Invalid country parameter',
+        message: `Unknown countries: ${unknown.join(', ')}. Use an ISO 3166 code or an English country name`
       });
     }
   }
 
-  // Validate limit parameter
-  if (limit !== undefined) {
-    const limitNum = parseInt(limit, 10);
-    if (isNaN(limitNum) || limitNum < 1) {
+  // Validate bbox parameter
+  if (bbox !== undefined && (typeof bbox !== 'string' || !parseBoundingBox(bbox))) {
+    return res.status(400).json({
+      error: 'Invalid bbox parameter',
+      message: 'Bbox must be minLon,minLat,maxLon,maxLat with latitudes in [-90, 90] and longitudes in [-180, 180]'
+    });
+  }
+
+  next();
+};
+
+/**
+ * Validates the from and to parameters of the history endpoint
+ */
+const validateHistoryParams = (req, res, next) => {
+  const { from, to } = req.query;
+
+  // Validate date range
+  for (const [name, value] of Object.entries({ from, to })) {
+    if (value !== undefined && (typeof value !== 'string' || isNaN(Date.parse(value)))) {
       return res.status(400).json({
-        error: 'Invalid limit parameter',
-        message: 'Limit must be a positive integer'
+        error: `Invalid ${name} parameter`,
+        message: `${name} must be an ISO 8601 date or date-time`
       });
     }
-    if (limitNum > 100) {
+  }
+
+  if (from !== undefined && to !== undefined && Date.parse(from) > Date.parse(to)) {
+    return res.status(400).json({
+      error: 'Invalid date range',
+      message: 'from must not be later than to'
+    });
+  }
+
+  next();
+};
+
+/**
+ * Validates the window parameter of the trends endpoint. History older than
+ * the retention period is gone, so longer windows are refused.
+ */
+const validateTrendParams = (req, res, next) => {
+  const { window } = req.query;
+
+  if (window === undefined) {
+    return next();
+  }
+
+  const duration = parseDuration(window);
+  if (duration === null) {
+    return res.status(400).json({
+      error: 'Invalid window parameter',
+      message: 'Window must be a duration such as 24h, 7d or 2w'
+    });
+  }
+  if (duration > config.history.retentionDays * DAY) {
+    return res.status(400).json({
+      error: 'Invalid window parameter',
+      message: `Window must not be longer than the ${config.history.retentionDays}d of history that is kept`
+    });
+  }
+
+  next();
+};
+
+/**
+ * Validates the reason filter of the rejection audit endpoint against the
+ * reason codes of the active rules, which can change on reload
+ */
+const validateRejectionParams = (req, res, next) => {
+  const { reason } = req.query;
+
+  if (reason !== undefined) {
+    const reasons = toList(reason);
+    const allowed = Object.keys(dataValidator.rejectionReasons);
+    if (reasons.length === 0 || reasons.some(value => !allowed.includes(value))) {
       return res.status(400).json({
-        error: 'Invalid limit parameter',
-        message: 'Limit too large (max: 100)'
+        error: 'Invalid reason parameter',
+        message: `Reason must be one of: ${allowed.join(', ')}`
       });
     }
   }
@@ -43,5 +148,9 @@ const validatePaginationParams = (req, res, next) => {
 };
 
 module.exports = {
-  validatePaginationParams
+  validateRequest,
+  validateCityFilters,
+  validateHistoryParams,
+  validateTrendParams,
+  validateRejectionParams
 };
@@ -0,0 +1,66 @@
+const express = require('express');
+const { getRejections, getRules, dryRunRules, getConfig, YAML_TYPES } = require('../controllers/adminController');
+const { listApiKeys, getApiKey, issueApiKey, revokeApiKey } = require('../controllers/apiKeysController');
+const { requireAdmin } = require('../middleware/adminAuth');
+const { validateRequest, validateRejectionParams } = require('../middleware/validation');
+
+const router = express.Router();
+
+router.use('/admin', requireAdmin);
+
+/**
+ * GET /admin/rejections
+ * Lists the entries rejected by the latest dataset refresh with their reason codes
+ * Requires an "Authorization: Bearer <ADMIN_API_TOKEN>" header
+ * Query parameters:
+ * - page: Page number (default: 1)
+ * - limit: Items per page (default: 10, max: 100)
+ * - reason: Only these reason codes (repeatable or comma-separated)
+ */
+router.get('/admin/rejections', validateRequest, validateRejectionParams, getRejections);
+
+/**
+ * GET /admin/rules
+ * Returns the active validation rule set with its revision and source file
+ */
+router.get('/admin/rules', validateRequest, getRules);
+
+/**
+ * POST /admin/rules/dry-run
+ * Evaluates a candidate rule set against the current dataset without applying it
+ * Body: rule set as JSON, or as YAML with a YAML content type
+ */
+router.post('/admin/rules/dry-run', express.text({ type: YAML_TYPES, limit: '1mb' }), validateRequest, dryRunRules);
+
+/**
+ * GET /admin/config
+ * Returns the effective configuration with secrets masked, and the source of each setting
+ */
+router.get('/admin/config', validateRequest, getConfig);
+
+/**
+ * GET /admin/keys
+ * Lists the API keys with their usage counts, and the available tiers
+ */
+router.get('/admin/keys', validateRequest, listApiKeys);
+
+/**
+ * POST /admin/keys
+ * Issues an API key. The plain key is only returned in this response.
+ * Body: { name, tier } (tier defaults to the configured default tier)
+ */
+router.post('/admin/keys', validateRequest, issueApiKey);
+
+/**
+ * GET /admin/keys/:id
+ * Returns one API key with its usage counts
+ */
+router.get('/admin/keys/:id', validateRequest, getApiKey);
+
+/**
+ * DELETE /admin/keys/:id
+ * Revokes an API key
+ */
+router.delete('/admin/keys/:id', validateRequest, revokeApiKey);
+
+module.exports = router;
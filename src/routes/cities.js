@@ -1,6 +1,7 @@
 const express = require('express');
-const { getCitiesPollution } = require('../controllers/citiesController');
-const { validatePaginationParams } = require('../middleware/validation');
+const { getCitiesPollution, getCityDetail, getCitiesBatch, getNearbyCities } = require('../controllers/citiesController');
+const { validateRequest, validateCityFilters } = require('../middleware/validation');
+const { resolveLanguage } = require('../middleware/language');
 
 const router = express.Router();
 
@@ -9,8 +10,50 @@ const router = express.Router();
  * Fetches and returns the most polluted cities by country
  * Query parameters:
  * - page: Page number (default: 1)
+ * - cursor: Position from a Link header or a nextCursor/prevCursor field, instead of page
  * - limit: Results per page (default: 10, max: 100)
+ * - sort: pollution, name or country (default: pollution)
+ * - order: asc or desc (default: desc for pollution, asc otherwise)
+ * - minPollution / maxPollution: Inclusive pollution bounds
+ * - q: Case- and accent-insensitive city name search
+ * - country: One or more countries, repeated or comma-separated
+ * - category: One or more air quality category ids, repeated or comma-separated
+ * - bbox: minLon,minLat,maxLon,maxLat; only cities with known coordinates inside the box
+ * - format: json, csv, ndjson or geojson (default: negotiated from Accept)
+ * - all: true to stream every matching city instead of one page
+ * - lang: Description language (default: from Accept-Language, then en)
  */
-router.get('/cities', validatePaginationParams, getCitiesPollution);
+// Pages carry Link headers to the next, prev, first and last pages and a strong
+// ETag; a matching If-None-Match is answered with 304 Not Modified
+router.get('/cities', validateRequest, resolveLanguage, validateCityFilters, getCitiesPollution);
 
-module.exports = router;
\ No newline at end of file
+/**
+ * GET /cities/near
+ * Returns validated cities around a point, nearest first, with their pollution
+ * Query parameters:
+ * - lat, lon: Centre point (required)
+ * - radius: Search radius in kilometres (default: 50, max: 20000)
+ * - limit: Maximum number of cities (default: 10, max: 100)
+ */
+router.get('/cities/near', validateRequest, getNearbyCities);
+
+/**
+ * POST /cities/batch
+ * Looks up many cities at once. The body is an array of { name, country }
+ * items (max 500); every item gets a matched or not_found result, in input order.
+ * Query parameters:
+ * - include: description to add Wikipedia descriptions to matched cities
+ * - lang: Description language (default: from Accept-Language, then en)
+ */
+router.post('/cities/batch', validateRequest, resolveLanguage, getCitiesBatch);
+
+/**
+ * GET /cities/:country/:city
+ * Returns a single city with its global and in-country rank, percentile
+ * and Wikipedia details. Unknown cities get a 404 with close-match suggestions.
+ * Query parameters:
+ * - lang: Description language (default: from Accept-Language, then en)
+ */
+router.get('/cities/:country/:city', validateRequest, resolveLanguage, getCityDetail);
+
+module.exports = router;
@@ -0,0 +1,27 @@
+const express = require('express');
+const { getCountries, getCountry } = require('../controllers/countriesController');
+const { validateRequest } = require('../middleware/validation');
+
+const router = express.Router();
+
+/**
+ * GET /countries
+ * Returns per-country pollution aggregates built from the validated city data
+ * Query parameters:
+ * - page: Page number (default: 1)
+ * - limit: Results per page (default: 10, max: 100)
+ * - sort: count, mean, median, max, min or country (default: mean)
+ * - order: asc or desc (default: desc)
+ */
+router.get('/countries', validateRequest, getCountries);
+
+/**
+ * GET /countries/:code
+ * Returns one country's aggregates and its cities ranked by pollution
+ * Query parameters:
+ * - page: Page number (default: 1)
+ * - limit: Results per page (default: 10, max: 100)
+ */
+router.get('/countries/:code', validateRequest, getCountry);
+
+module.exports = router;
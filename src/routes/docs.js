@@ -0,0 +1,22 @@
+const express = require('express');
+const swaggerUi = require('swagger-ui-express');
+const { getOpenApi } = require('../controllers/docsController');
+
+const router = express.Router();
+
+/**
+ * GET /openapi.json
+ * Returns the OpenAPI 3 document describing every endpoint
+ */
+router.get('/openapi.json', getOpenApi);
+
+/**
+ * GET /docs
+ * Interactive API documentation built from /openapi.json
+ */
+router.use('/docs', swaggerUi.serve, swaggerUi.setup(null, {
+  customSiteTitle: 'Cities Pollution API',
+  swaggerOptions: { url: '/openapi.json', validatorUrl: null }
+}));
+
+module.exports = router;
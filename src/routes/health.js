@@ -0,0 +1,26 @@
+const express = require('express');
+const { getLiveness, getReadiness } = require('../controllers/healthController');
+
+const router = express.Router();
+
+/**
+ * GET /health/live
+ * Liveness probe: the process is up and answering
+ */
+router.get('/health/live', getLiveness);
+
+/**
+ * GET /health/ready
+ * Readiness probe: a dataset is loaded, the pollution API login works, its
+ * circuit is closed and the cache backend answers. 503 otherwise, and while
+ * shutting down.
+ */
+router.get('/health/ready', getReadiness);
+
+/**
+ * GET /health
+ * Same as /health/live, kept for existing monitors
+ */
+router.get('/health', getLiveness);
+
+module.exports = router;
@@ -0,0 +1,26 @@
+const express = require('express');
+const { getCityHistory, getTrends } = require('../controllers/historyController');
+const { validateRequest, validateHistoryParams, validateTrendParams } = require('../middleware/validation');
+
+const router = express.Router();
+
+/**
+ * GET /cities/:country/:city/history
+ * Returns the city's recorded pollution as a time series
+ * Query parameters:
+ * - from: Start of the range, ISO 8601 (default: 7 days before to)
+ * - to: End of the range, ISO 8601 (default: now)
+ * - interval: hour, day or week (default: day)
+ */
+router.get('/cities/:country/:city/history', validateRequest, validateHistoryParams, getCityHistory);
+
+/**
+ * GET /trends
+ * Lists the cities whose pollution rose or fell the most
+ * Query parameters:
+ * - window: Time window ending now, e.g. 24h, 7d, 2w (default: 7d)
+ * - limit: Cities per direction (default: 10, max: 100)
+ */
+router.get('/trends', validateRequest, validateTrendParams, getTrends);
+
+module.exports = router;
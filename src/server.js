@@ -2,54 +2,98 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const compression = require('compression');
-const rateLimit = require('express-rate-limit');
 
 const logger = require('./utils/logger');
+const { config, warnings: configWarnings } = require('./config');
 const citiesRoutes = require('./routes/cities');
+const countriesRoutes = require('./routes/countries');
+const historyRoutes = require('./routes/history');
+const adminRoutes = require('./routes/admin');
+const docsRoutes = require('./routes/docs');
+const healthRoutes = require('./routes/health');
+const validationRules = require('./utils/validationRules');
+const datasetService = require('./services/datasetService');
+const historyService = require('./services/historyService');
+const geoService = require('./services/geoService');
+const wikipediaService = require('./services/wikipediaService');
+const apiKeyService = require('./services/apiKeyService');
+const healthService = require('./services/healthService');
+const cache = require('./utils/cache');
+const ConnectionDrainer = require('./utils/connectionDrainer');
 const { errorHandler, notFoundHandler } = require('./middleware/errorHandlers');
+const { recordHttpMetrics } = require('./middleware/metrics');
+const { assignRequestId } = require('./middleware/requestId');
+const { validateResponses } = require('./middleware/responseValidation');
+const { authenticateApiKey } = require('./middleware/apiKeyAuth');
+const { requireMetricsToken } = require('./middleware/adminAuth');
+const { getMetrics } = require('./controllers/metricsController');
 
 const app = express();
-const PORT = process.env.PORT || 3000;
+const PORT = config.server.port;
+
+/**
+ * Environment variables are strings, so "true", "false" and hop counts are
+ * converted; anything else is a list of trusted addresses or subnets
+ */
+const parseTrustProxy = (value) => {
+  if (value === 'true' || value === 'false') {
+    return value === 'true';
+  }
+  return /^\d+$/.test(value) ? Number(value) : value;
+};
+
+// Behind a load balancer req.ip is the proxy's address unless its X-Forwarded-For is trusted
+app.set('trust proxy', parseTrustProxy(config.server.trustProxy));
+
+// Settings read from renamed variables still apply until the variables are updated
+configWarnings.forEach(warning => logger.warn(warning));
+
+// Request ID for response headers and log correlation
+app.use(assignRequestId);
 
 // Security middleware
 app.use(helmet());
-app.use(cors());
+app.use(cors({
+  exposedHeaders: ['X-Request-Id', 'X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset', 'X-RateLimit-Tier', 'Retry-After']
+}));
 app.use(compression());
 
-// Rate limiting
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // Limit each IP to 100 requests per windowMs
-  message: 'Too many requests from this IP, please try again later.',
-  standardHeaders: true,
-  legacyHeaders: false
-});
-app.use(limiter);
+// Request metrics and the Prometheus scrape endpoint, public unless METRICS_TOKEN is set
+app.use(recordHttpMetrics);
+app.get('/metrics', requireMetricsToken, getMetrics);
 
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.status(200).json({
-    status: 'OK',
-    timestamp: new Date().toISOString(),
-    uptime: process.uptime(),
-    environment: process.env.NODE_ENV || 'development'
-  });
-});
+// Fail responses that drift from the OpenAPI document while developing
+if (config.server.env === 'development') {
+  app.use(validateResponses);
+}
+
+// Liveness and readiness probes
+app.use(healthRoutes);
+
+// OpenAPI document and interactive docs
+app.use(docsRoutes);
+
+// Admin routes use the admin token instead of API keys and quotas
+app.use('/api', adminRoutes);
 
-// API routes
+// API routes, limited per API key (or per IP for anonymous clients)
+app.use('/api', authenticateApiKey);
 app.use('/api', citiesRoutes);
+app.use('/api', countriesRoutes);
+app.use('/api', historyRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
   res.json({
     message: 'Cities Pollution API',
     version: '1.0.0',
-    documentation: '/cities for getting pollution data',
-    health: '/health for service status'
+    documentation: '/docs',
+    openapi: '/openapi.json',
+    health: '/health/live and /health/ready for service status'
   });
 });
 
@@ -58,20 +102,70 @@ app.use(notFoundHandler);
 app.use(errorHandler);
 
 // Start server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   logger.info(`Server running on port ${PORT}`);
-  logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
-});
+  logger.info(`Environment: ${config.server.env}`);
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
-  logger.info('SIGTERM signal received: closing HTTP server');
-  process.exit(0);
-});
+  // Build the ranked dataset up front and keep it fresh in the background,
+  // recording every refresh in the pollution history and locating new cities
+  historyService.start();
+  geoService.start();
+  datasetService.start();
 
-process.on('SIGINT', () => {
-  logger.info('SIGINT signal received: closing HTTP server');
-  process.exit(0);
+  // Re-apply the validation rules whenever their file changes
+  validationRules.watch();
 });
 
-module.exports = app;
\ No newline at end of file
+const drainer = new ConnectionDrainer(server);
+let shuttingDown = false;
+
+/**
+ * Graceful shutdown: fail readiness, stop background work, let requests in
+ * progress finish within SHUTDOWN_TIMEOUT, then drop queued Wikipedia lookups,
+ * save API key usage, close the cache and flush the logs before exiting.
+ * A second signal exits at once.
+ * @param {string} signal - Signal received
+ */
+const shutdown = async (signal) => {
+  if (shuttingDown) {
+    logger.warn(`${signal} signal received again: exiting without waiting`);
+    process.exit(1);
+  }
+  shuttingDown = true;
+  logger.info(`${signal} signal received: closing HTTP server`);
+  healthService.markShuttingDown();
+
+  datasetService.stop();
+  historyService.stop();
+  geoService.stop();
+  validationRules.unwatch();
+
+  let exitCode = 0;
+  try {
+    const { drained, cut } = await drainer.drain(config.server.shutdownTimeout);
+    if (drained) {
+      logger.info('HTTP server closed, all requests completed');
+    } else {
+      logger.warn(`Shutdown timeout of ${config.server.shutdownTimeout}ms reached, cut ${cut} requests in progress`);
+    }
+
+    const dropped = wikipediaService.stop();
+    if (dropped > 0) {
+      logger.info(`Dropped ${dropped} queued Wikipedia requests`);
+    }
+    await apiKeyService.flush();
+    await cache.close();
+    logger.info('Shutdown complete');
+  } catch (error) {
+    logger.error('Error during shutdown:', error);
+    exitCode = 1;
+  }
+
+  await logger.flush();
+  process.exit(exitCode);
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+module.exports = app;
@@ -0,0 +1,274 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { config } = require('../config');
+const QuotaLimiter = require('../utils/quotaLimiter');
+const { DEFAULT_TIERS_PATH, readTiers } = require('../utils/apiTiers');
+
+const KEY_PREFIX = 'cpa_';
+// Usage counters are written to the key file at most this often
+const USAGE_SAVE_DELAY = 10 * 1000;
+
+/**
+ * Service that issues, revokes and authenticates API keys and enforces the
+ * quota and burst limits of each key's tier. Keys are stored as SHA-256
+ * hashes in a local JSON file (API_KEYS_FILE) with their usage counts; the
+ * plain key is only returned when it is issued.
+ */
+class ApiKeyService {
+  /**
+   * @param {string} file - Path to the key file
+   * @param {string} tiersPath - Path to the tier definitions
+   */
+  constructor(file = config.apiKeys.file, tiersPath = config.apiKeys.tiers || DEFAULT_TIERS_PATH) {
+    this.file = file;
+    this.limiter = new QuotaLimiter();
+    this.keys = new Map();
+    this.byHash = new Map();
+    this.saving = Promise.resolve();
+    this.saveTimer = null;
+
+    this.loadTiers(tiersPath);
+    // Tier for requests without a key, or "off" to require a key
+    const { anonymousTier } = config.apiKeys;
+    this.anonymousTier = anonymousTier === 'off' ? null : this.getTier(anonymousTier);
+    if (anonymousTier !== 'off' && !this.anonymousTier) {
+      throw new Error(`API_ANONYMOUS_TIER must be "off" or one of: ${Object.keys(this.tiers).join(', ')}`);
+    }
+    this._loadKeys();
+  }
+
+  /**
+   * Loads and validates the tier definitions. Throws if they are invalid.
+   * @param {string} tiersPath - Path to the JSON file
+   */
+  loadTiers(tiersPath) {
+    const { tiers, defaultTier } = readTiers(tiersPath);
+    this.tiers = tiers;
+    this.defaultTier = defaultTier;
+    logger.info(`Loaded ${Object.keys(this.tiers).length} API tiers from ${tiersPath}`);
+  }
+
+  /**
+   * @param {string} name - Tier name
+   * @returns {Object|null} Tier, or null if it isn't defined
+   */
+  getTier(name) {
+    return Object.prototype.hasOwnProperty.call(this.tiers, name) ? this.tiers[name] : null;
+  }
+
+  /**
+   * Names of the defined tiers
+   */
+  get tierNames() {
+    return Object.keys(this.tiers);
+  }
+
+  /**
+   * Creates a key
+   * @param {Object} options - Key options
+   * @param {string} options.name - Who or what the key is for
+   * @param {string} options.tier - Tier name (default: the configured default tier)
+   * @returns {Promise<Object>} The key record with the plain key, which is not stored
+   */
+  async issue({ name, tier = this.defaultTier }) {
+    if (!this.getTier(tier)) {
+      throw new Error(`Unknown API tier: ${tier}`);
+    }
+
+    const key = KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+    const record = {
+      id: crypto.randomBytes(6).toString('hex'),
+      name,
+      tier,
+      prefix: key.slice(0, KEY_PREFIX.length + 6),
+      hash: this._hash(key),
+      createdAt: new Date().toISOString(),
+      revokedAt: null,
+      usage: { requests: 0, throttled: 0, lastUsedAt: null }
+    };
+
+    this.keys.set(record.id, record);
+    this.byHash.set(record.hash, record);
+    await this._save();
+    logger.info(`Issued API key ${record.id} (${record.prefix}...) for "${name}" on the ${tier} tier`);
+    return { key, ...this.describe(record) };
+  }
+
+  /**
+   * Revokes a key. Revoking a revoked key changes nothing.
+   * @param {string} id - Key ID
+   * @returns {Promise<Object|null>} The key record, or null if there is no such key
+   */
+  async revoke(id) {
+    const record = this.keys.get(id);
+    if (!record) {
+      return null;
+    }
+    if (!record.revokedAt) {
+      record.revokedAt = new Date().toISOString();
+      this.byHash.delete(record.hash);
+      this.limiter.forget(record.id);
+      await this._save();
+      logger.info(`Revoked API key ${record.id} (${record.prefix}...)`);
+    }
+    return this.describe(record);
+  }
+
+  /**
+   * @param {string} id - Key ID
+   * @returns {Object|null} The key record with its usage, or null if there is no such key
+   */
+  get(id) {
+    const record = this.keys.get(id);
+    return record ? this.describe(record) : null;
+  }
+
+  /**
+   * @returns {Array<Object>} Every key record with its usage, newest first
+   */
+  list() {
+    return Array.from(this.keys.values())
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .map(record => this.describe(record));
+  }
+
+  /**
+   * Finds the active key for a plain key
+   * @param {string} key - Plain key from the request
+   * @returns {Object|null} Key record, or null if the key is unknown, revoked or on an undefined tier
+   */
+  authenticate(key) {
+    if (typeof key !== 'string' || !key.startsWith(KEY_PREFIX)) {
+      return null;
+    }
+    const record = this.byHash.get(this._hash(key));
+    return record && this.getTier(record.tier) ? record : null;
+  }
+
+  /**
+   * Counts a request against a client's tier limits and records it in the key's usage
+   * @param {Object} client - { id, tier, key } where key is the key record, or null for anonymous clients
+   * @returns {Object} Limiter result, see QuotaLimiter.consume
+   */
+  consume(client) {
+    const result = this.limiter.consume(client.id, client.tier);
+    if (client.key) {
+      const { usage } = client.key;
+      usage[result.allowed ? 'requests' : 'throttled']++;
+      usage.lastUsedAt = new Date().toISOString();
+      this._scheduleSave();
+    }
+    return result;
+  }
+
+  /**
+   * Public view of a key record: everything but the hash, plus the current quota window
+   * @param {Object} record - Key record
+   * @returns {Object}
+   */
+  describe(record) {
+    const { hash, usage, ...fields } = record;
+    const tier = this.getTier(record.tier);
+    const quota = tier
+      ? { ...this.limiter.usage(record.id, tier), window: tier.quota.window }
+      : null;
+
+    return {
+      ...fields,
+      active: !record.revokedAt,
+      usage: {
+        ...usage,
+        quota: quota && { ...quota, resetAt: quota.resetAt && new Date(quota.resetAt).toISOString() }
+      }
+    };
+  }
+
+  /**
+   * Writes pending usage counts to the key file
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+      await this._save();
+    }
+    await this.saving;
+  }
+
+  /**
+   * @private
+   */
+  _hash(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+
+  /**
+   * Reads the key file, if there is one
+   * @private
+   */
+  _loadKeys() {
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return;
+      }
+      throw new Error(`Could not read API keys from ${this.file}: ${error.message}`);
+    }
+
+    for (const record of data.keys || []) {
+      if (!this.getTier(record.tier)) {
+        logger.warn(`API key ${record.id} uses unknown tier "${record.tier}", it will be refused until the tier is defined`);
+      }
+      this.keys.set(record.id, record);
+      if (!record.revokedAt) {
+        this.byHash.set(record.hash, record);
+      }
+    }
+    logger.info(`Loaded ${this.keys.size} API keys from ${this.file}`);
+  }
+
+  /**
+   * Writes the usage counts a little later, so busy keys don't write the file on every request
+   * @private
+   */
+  _scheduleSave() {
+    if (this.saveTimer) {
+      return;
+    }
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this._save().catch(() => {});
+    }, USAGE_SAVE_DELAY);
+    this.saveTimer.unref();
+  }
+
+  /**
+   * Writes the key file. Writes are queued so they never interleave.
+   * @private
+   */
+  _save() {
+    this.saving = this.saving.then(async () => {
+      const tmpFile = `${this.file}.${process.pid}.tmp`;
+      try {
+        await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+        // Write to a temp file first so a crash never leaves a partial key file
+        await fs.promises.writeFile(tmpFile, JSON.stringify({ version: 1, keys: Array.from(this.keys.values()) }, null, 2), { mode: 0o600 });
+        await fs.promises.rename(tmpFile, this.file);
+      } catch (error) {
+        logger.error(`Failed to save API keys to ${this.file}: ${error.message}`);
+        await fs.promises.unlink(tmpFile).catch(() => {});
+        throw error;
+      }
+    });
+    const saved = this.saving;
+    this.saving = this.saving.catch(() => {});
+    return saved;
+  }
+}
+
+module.exports = new ApiKeyService();
@@ -0,0 +1,115 @@
+const countryRegistry = require('../utils/countryRegistry');
+
+// Aggregates are computed once per dataset snapshot
+const aggregatesBySnapshot = new WeakMap();
+
+/**
+ * Service for per-country pollution aggregates built on the validated city dataset
+ */
+class CountryService {
+  constructor() {
+    this.sortFields = ['count', 'mean', 'median', 'max', 'min', 'country'];
+  }
+
+  /**
+   * Returns aggregates for every country in the snapshot
+   * @param {Object} snapshot - Dataset snapshot with ranked cities
+   * @returns {Array} Country aggregates, in no particular order
+   */
+  getCountryStats(snapshot) {
+    if (!aggregatesBySnapshot.has(snapshot)) {
+      aggregatesBySnapshot.set(snapshot, this._aggregate(snapshot.cities));
+    }
+    return aggregatesBySnapshot.get(snapshot);
+  }
+
+  /**
+   * Returns the aggregates and ranked cities of one country
+   * @param {Object} snapshot - Dataset snapshot with ranked cities
+   * @param {string} country - Country name, alias or ISO alpha-2/alpha-3 code
+   * @returns {Object|null} Country aggregate with its ranked cities, or null if unknown
+   */
+  getCountry(snapshot, country) {
+    const key = countryRegistry.matchKey(country);
+    const stats = this.getCountryStats(snapshot).find(entry => entry.countryCode === key);
+    if (!stats) {
+      return null;
+    }
+
+    return {
+      ...stats,
+      cities: snapshot.cities.filter(city => city.countryCode === key)
+    };
+  }
+
+  /**
+   * Sorts country aggregates by a field
+   * @param {Array} stats - Country aggregates
+   * @param {string} field - One of sortFields
+   * @param {string} order - 'asc' or 'desc'
+   * @returns {Array} New sorted array
+   */
+  sortCountryStats(stats, field = 'mean', order = 'desc') {
+    const direction = order === 'asc' ? 1 : -1;
+    const compare = field === 'country'
+      ? (a, b) => a.country.localeCompare(b.country)
+      : (a, b) => a[field] - b[field];
+
+    return [...stats].sort((a, b) => direction * compare(a, b) || a.country.localeCompare(b.country));
+  }
+
+  /**
+   * Groups cities by country and computes pollution statistics
+   * @private
+   */
+  _aggregate(cities) {
+    const groups = new Map();
+    for (const city of cities) {
+      const key = city.countryCode;
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key).push(city);
+    }
+
+    return Array.from(groups.values()).map((countryCities) => {
+      // Snapshot cities are already ranked from most to least polluted
+      const values = countryCities.map(city => city.pollution);
+      const worstCity = countryCities[0];
+
+      return {
+        country: worstCity.country,
+        countryCode: worstCity.countryCode,
+        count: values.length,
+        mean: this._round(values.reduce((sum, value) => sum + value, 0) / values.length),
+        median: this._round(this._median(values)),
+        max: values[0],
+        min: values[values.length - 1],
+        worstCity: {
+          name: worstCity.name,
+          pollution: worstCity.pollution
+        }
+      };
+    });
+  }
+
+  /**
+   * Median of values sorted in descending order
+   * @private
+   */
+  _median(values) {
+    const middle = Math.floor(values.length / 2);
+    return values.length % 2 === 0
+      ? (values[middle - 1] + values[middle]) / 2
+      : values[middle];
+  }
+
+  /**
+   * @private
+   */
+  _round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+module.exports = new CountryService();
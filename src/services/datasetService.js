@@ -0,0 +1,232 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const pollutionService = require('./pollutionService');
+const dataValidator = require('../utils/dataValidator');
+const validationRules = require('../utils/validationRules');
+const logger = require('../utils/logger');
+const { config } = require('../config');
+
+// Earlier snapshots kept so list cursors issued against them keep working
+const RETAINED_SNAPSHOTS = 3;
+// Minimum time between the background refreshes that requests start after a failure
+const RETRY_DELAY = 10 * 1000;
+
+/**
+ * Service that builds a globally ranked snapshot of all valid cities
+ * by walking every page of the upstream pollution API.
+ * Emits 'snapshot' with each freshly built snapshot.
+ */
+class DatasetService extends EventEmitter {
+  constructor() {
+    super();
+    this.pageSize = config.pollutionApi.pageSize;
+    this.refreshInterval = config.dataset.refreshInterval;
+    this.snapshot = null;
+    // Recent snapshots by version, oldest first
+    this.retained = new Map();
+    this.refreshPromise = null;
+    this.lastError = null;
+    this.lastErrorAt = null;
+    this.timer = null;
+    this.onRulesReload = () => this.revalidate();
+  }
+
+  /**
+   * Starts periodic background refreshes of the snapshot and re-applies the
+   * validation rules whenever they are reloaded
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    validationRules.on('reload', this.onRulesReload);
+    this.refresh().catch(() => {});
+    this.timer = setInterval(() => {
+      this.refresh().catch(() => {});
+    }, this.refreshInterval);
+    this.timer.unref();
+  }
+
+  /**
+   * Stops periodic background refreshes
+   */
+  stop() {
+    validationRules.off('reload', this.onRulesReload);
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Returns the current snapshot, building it first if none exists yet.
+   * If the last refresh failed, the previous snapshot is served and a new
+   * refresh is started in the background, at most once per RETRY_DELAY and
+   * not while the pollution API circuit is open.
+   * @returns {Promise<Object>} Snapshot with ranked cities
+   */
+  async getSnapshot() {
+    if (this.snapshot) {
+      if (this.lastError && !this.refreshPromise && this._canRetry()) {
+        this.refresh().catch(() => {});
+      }
+      return this.snapshot;
+    }
+    return this.refresh();
+  }
+
+  /**
+   * Returns the current or a recently replaced snapshot by its version
+   * @param {string} version - Snapshot version
+   * @returns {Object|null} Snapshot, or null once it is no longer retained
+   */
+  getSnapshotVersion(version) {
+    return this.retained.get(version) || null;
+  }
+
+  /**
+   * Returns true when the served snapshot is older data kept after a failed refresh
+   * @returns {boolean}
+   */
+  isStale() {
+    return Boolean(this.snapshot && this.lastError);
+  }
+
+  /**
+   * Rebuilds the snapshot. Concurrent callers share the same in-flight refresh.
+   * @returns {Promise<Object>} Freshly built snapshot
+   */
+  refresh() {
+    if (!this.refreshPromise) {
+      this.refreshPromise = this._build()
+        .then((snapshot) => {
+          this.lastError = null;
+          this.lastErrorAt = null;
+          return this._publish(snapshot);
+        })
+        .catch((error) => {
+          this.lastError = error;
+          this.lastErrorAt = Date.now();
+          logger.error(`Failed to refresh pollution dataset: ${error.message}`);
+          throw error;
+        })
+        .finally(() => {
+          this.refreshPromise = null;
+        });
+    }
+    return this.refreshPromise;
+  }
+
+  /**
+   * Re-applies the active validation rules to the raw entries of the current
+   * snapshot, without fetching the upstream again. Falls back to a full refresh
+   * when there is no snapshot yet; an in-flight refresh already uses the new rules.
+   * @returns {Promise<Object>} Revalidated snapshot
+   */
+  async revalidate() {
+    if (this.refreshPromise || !this.snapshot) {
+      return this.refresh().catch(() => this.snapshot);
+    }
+
+    const { rawEntries, updatedAt } = this.snapshot;
+    logger.info(`Re-applying validation rules revision ${validationRules.current.revision} to ${rawEntries.length} entries`);
+    return this._publish({ ...this._process(rawEntries), updatedAt });
+  }
+
+  /**
+   * @private
+   */
+  _canRetry() {
+    return Date.now() - this.lastErrorAt >= RETRY_DELAY && !pollutionService.isSuspended();
+  }
+
+  /**
+   * @private
+   */
+  _publish(snapshot) {
+    snapshot.version = this._version(snapshot.cities);
+    this.retained.delete(snapshot.version);
+    this.retained.set(snapshot.version, snapshot);
+    if (this.retained.size > RETAINED_SNAPSHOTS) {
+      this.retained.delete(this.retained.keys().next().value);
+    }
+
+    this.snapshot = snapshot;
+    this.emit('snapshot', snapshot);
+    return snapshot;
+  }
+
+  /**
+   * Fetches every upstream page, validates and ranks the combined result
+   * @private
+   */
+  async _build() {
+    const startedAt = Date.now();
+    const rawEntries = [];
+
+    let page = 1;
+    let totalPages = 1;
+    do {
+      const data = await pollutionService.fetchPollutionData(page, this.pageSize);
+      rawEntries.push(...data.results);
+      totalPages = (data.meta && parseInt(data.meta.totalPages, 10)) || page;
+      page++;
+    } while (page <= totalPages);
+
+    const snapshot = this._process(rawEntries);
+    logger.info(`Built pollution dataset: ${snapshot.total} valid cities from ${totalPages} upstream pages in ${Date.now() - startedAt}ms`);
+
+    return { ...snapshot, updatedAt: new Date().toISOString() };
+  }
+
+  /**
+   * Validates and ranks raw entries. The raw entries are kept so the rules can
+   * be re-applied or dry-run against the same data.
+   * @private
+   */
+  _process(rawEntries) {
+    const { cities, rejections } = dataValidator.auditCities(rawEntries);
+    cities.sort((a, b) => b.pollution - a.pollution);
+
+    return {
+      cities,
+      total: cities.length,
+      rawCount: rawEntries.length,
+      rawEntries,
+      rulesRevision: validationRules.current.revision,
+      rejections: this._summarizeRejections(rejections)
+    };
+  }
+
+  /**
+   * Derives the snapshot version from its ranked cities, so a refresh that
+   * brings the same data keeps the version, also across restarts
+   * @private
+   */
+  _version(cities) {
+    return crypto.createHash('sha1').update(JSON.stringify(cities)).digest('base64url').slice(0, 12);
+  }
+
+  /**
+   * Counts rejections by reason and keeps the first entries for inspection
+   * @private
+   */
+  _summarizeRejections(rejections) {
+    const byReason = {};
+    for (const { reason } of rejections) {
+      byReason[reason] = (byReason[reason] || 0) + 1;
+    }
+
+    // Only the first entries are kept for inspection; the counts cover all of them
+    const { maxRejectionEntries } = config.dataset;
+    return {
+      total: rejections.length,
+      byReason,
+      entries: rejections.slice(0, maxRejectionEntries),
+      truncated: rejections.length > maxRejectionEntries
+    };
+  }
+}
+
+module.exports = new DatasetService();
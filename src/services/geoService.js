@@ -0,0 +1,140 @@
+const datasetService = require('./datasetService');
+const wikipediaService = require('./wikipediaService');
+const cache = require('../utils/cache');
+const logger = require('../utils/logger');
+const { config } = require('../config');
+const { foldText } = require('../utils/textNormalizer');
+const { haversineKm } = require('../utils/geo');
+
+/**
+ * Service that resolves and caches the coordinates of every validated city,
+ * using the Wikipedia summaries, and answers distance queries
+ */
+class GeoService {
+  constructor() {
+    this.coordinates = new Map();
+    this.version = 0;
+    this.decorated = { snapshot: null, version: -1, cities: [] };
+    this.resolving = null;
+    this.stopped = false;
+    this.onSnapshot = (snapshot) => {
+      this.resolve(snapshot.cities).catch((error) => {
+        logger.error(`Failed to resolve city coordinates: ${error.message}`);
+      });
+    };
+  }
+
+  /**
+   * Starts resolving coordinates for every new dataset snapshot
+   */
+  start() {
+    this.stopped = false;
+    datasetService.on('snapshot', this.onSnapshot);
+  }
+
+  /**
+   * Stops listening for dataset snapshots and ends a running resolve after its current lookup
+   */
+  stop() {
+    this.stopped = true;
+    datasetService.off('snapshot', this.onSnapshot);
+  }
+
+  /**
+   * Resolves coordinates for cities that don't have any yet. Lookups go through
+   * the cache first and then through the rate-limited Wikipedia queue, one at a time.
+   * @param {Array} cities - Validated cities
+   * @returns {Promise<void>}
+   */
+  resolve(cities) {
+    if (this.resolving) {
+      return this.resolving;
+    }
+
+    this.resolving = (async () => {
+      let resolved = 0;
+      for (const city of cities) {
+        if (this.stopped) {
+          break;
+        }
+        const key = this._key(city);
+        if (this.coordinates.has(key)) {
+          continue;
+        }
+
+        const cacheKey = `geo_${key}`;
+        let coordinates = await cache.get(cacheKey);
+        if (coordinates === undefined) {
+          const summary = await wikipediaService.getCitySummary(city.name, city.country).catch(() => null);
+          coordinates = summary ? summary.coordinates : null;
+          if (this.stopped) {
+            break;
+          }
+          await cache.set(cacheKey, coordinates, coordinates ? config.cache.ttl.coordinates : config.cache.ttl.coordinatesMiss);
+        }
+
+        if (coordinates) {
+          this.coordinates.set(key, coordinates);
+          this.version++;
+          resolved++;
+        }
+      }
+      logger.info(`Resolved coordinates for ${resolved} more cities (${this.coordinates.size} known)`);
+    })().finally(() => {
+      this.resolving = null;
+    });
+
+    return this.resolving;
+  }
+
+  /**
+   * Returns the known coordinates of a city
+   * @param {Object} city - City with name and country
+   * @returns {{lat: number, lon: number}|null}
+   */
+  getCoordinates(city) {
+    return this.coordinates.get(this._key(city)) || null;
+  }
+
+  /**
+   * Returns the snapshot's cities with their coordinates attached (null when unknown).
+   * The result is reused until the snapshot or the set of known coordinates changes.
+   * @param {Object} snapshot - Dataset snapshot
+   * @returns {Array} Cities with a coordinates field
+   */
+  withCoordinates(snapshot) {
+    const { decorated } = this;
+    if (decorated.snapshot !== snapshot || decorated.version !== this.version) {
+      this.decorated = {
+        snapshot,
+        version: this.version,
+        cities: snapshot.cities.map(city => ({ ...city, coordinates: this.getCoordinates(city) }))
+      };
+    }
+    return this.decorated.cities;
+  }
+
+  /**
+   * Finds cities within a radius of a point, nearest first
+   * @param {Object} snapshot - Dataset snapshot
+   * @param {{lat: number, lon: number}} origin - Centre point
+   * @param {number} radiusKm - Search radius in kilometres
+   * @returns {Array} Cities with coordinates and distanceKm
+   */
+  findNearby(snapshot, origin, radiusKm) {
+    return this.withCoordinates(snapshot)
+      .filter(city => city.coordinates)
+      .map(city => ({ ...city, distanceKm: Math.round(haversineKm(origin, city.coordinates) * 10) / 10 }))
+      .filter(city => city.distanceKm <= radiusKm)
+      .sort((a, b) => a.distanceKm - b.distanceKm || b.pollution - a.pollution);
+  }
+
+  /**
+   * @private
+   */
+  _key(city) {
+    return `${foldText(city.name)}_${foldText(city.country)}`;
+  }
+}
+
+module.exports = new GeoService();
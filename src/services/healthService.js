@@ -0,0 +1,103 @@
+const cache = require('../utils/cache');
+const datasetService = require('./datasetService');
+const pollutionService = require('./pollutionService');
+const { config } = require('../config');
+
+// Longest wait for the cache backend to answer a readiness check
+const CACHE_PING_TIMEOUT = 1000;
+
+/**
+ * Service behind the liveness and readiness probes. The process is live while
+ * it can answer at all; it is ready to receive traffic once a dataset has been
+ * loaded, while the pollution API accepts our login and its circuit is closed,
+ * while the cache backend answers, and until shutdown begins.
+ */
+class HealthService {
+  constructor() {
+    this.shuttingDown = false;
+  }
+
+  /**
+   * Marks the service as shutting down, so readiness fails while requests drain
+   */
+  markShuttingDown() {
+    this.shuttingDown = true;
+  }
+
+  /**
+   * @returns {Object} Liveness report
+   */
+  getLiveness() {
+    return {
+      status: 'OK',
+      timestamp: new Date().toISOString(),
+      uptime: process.uptime(),
+      environment: config.server.env
+    };
+  }
+
+  /**
+   * Runs every readiness check
+   * @returns {Promise<Object>} { ready, status, timestamp, checks }, where each
+   *   check has status "pass" or "fail" and details
+   */
+  async getReadiness() {
+    const { auth, circuit } = pollutionService.getStatus();
+    const checks = {
+      dataset: this._checkDataset(),
+      pollutionApiAuth: {
+        status: auth.ok === false ? 'fail' : 'pass',
+        lastAttemptAt: auth.at,
+        error: auth.error
+      },
+      pollutionApiCircuit: {
+        status: circuit.state === 'open' ? 'fail' : 'pass',
+        ...circuit
+      },
+      cache: await this._checkCache()
+    };
+
+    const failing = Object.values(checks).some(check => check.status === 'fail');
+    const ready = !this.shuttingDown && !failing;
+    return {
+      ready,
+      status: this.shuttingDown ? 'shutting down' : (ready ? 'ready' : 'not ready'),
+      timestamp: new Date().toISOString(),
+      checks
+    };
+  }
+
+  /**
+   * @private
+   */
+  _checkDataset() {
+    const { snapshot, lastError } = datasetService;
+    return {
+      status: snapshot ? 'pass' : 'fail',
+      updatedAt: snapshot ? snapshot.updatedAt : null,
+      cities: snapshot ? snapshot.total : 0,
+      error: snapshot || !lastError ? null : lastError.message
+    };
+  }
+
+  /**
+   * @private
+   */
+  async _checkCache() {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`No answer within ${CACHE_PING_TIMEOUT}ms`)), CACHE_PING_TIMEOUT);
+    });
+
+    try {
+      await Promise.race([cache.ping(), timeout]);
+      return { status: 'pass', backend: cache.name, error: null };
+    } catch (error) {
+      return { status: 'fail', backend: cache.name, error: error.message };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+module.exports = new HealthService();
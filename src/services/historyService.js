@@ -0,0 +1,305 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const datasetService = require('./datasetService');
+const logger = require('../utils/logger');
+const { config } = require('../config');
+const countryRegistry = require('../utils/countryRegistry');
+const { nameKey } = require('../utils/textNormalizer');
+
+const DAY = 24 * 60 * 60 * 1000;
+const INTERVALS = {
+  hour: 60 * 60 * 1000,
+  day: DAY,
+  week: 7 * DAY
+};
+
+/**
+ * Service that persists every refreshed dataset as a timestamped snapshot
+ * in append-only NDJSON files (one file per UTC day) and answers time-series queries
+ */
+class HistoryService {
+  constructor() {
+    this.directory = config.history.directory;
+    this.retentionDays = config.history.retentionDays;
+    this.intervals = Object.keys(INTERVALS);
+    this.lastRecordedAt = null;
+    this.onSnapshot = (snapshot) => {
+      // Snapshots revalidated under new rules keep their timestamp and are recorded once
+      if (snapshot.updatedAt && snapshot.updatedAt === this.lastRecordedAt) {
+        return;
+      }
+      this.lastRecordedAt = snapshot.updatedAt;
+      this.record(snapshot).catch((error) => {
+        logger.error(`Failed to record pollution history: ${error.message}`);
+      });
+    };
+  }
+
+  /**
+   * Starts recording every dataset snapshot
+   */
+  start() {
+    datasetService.on('snapshot', this.onSnapshot);
+  }
+
+  /**
+   * Stops recording snapshots
+   */
+  stop() {
+    datasetService.off('snapshot', this.onSnapshot);
+  }
+
+  /**
+   * Appends a snapshot to the history and prunes files past the retention period
+   * @param {Object} snapshot - Dataset snapshot
+   */
+  async record(snapshot) {
+    const timestamp = snapshot.updatedAt || new Date().toISOString();
+    const line = JSON.stringify({
+      timestamp,
+      cities: snapshot.cities.map(city => [city.name, city.country, city.pollution])
+    });
+
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    await fs.promises.appendFile(this._fileFor(new Date(timestamp)), line + '\n');
+    logger.debug(`Recorded pollution history snapshot at ${timestamp}`);
+
+    await this.prune();
+  }
+
+  /**
+   * Deletes day files older than the retention period
+   */
+  async prune() {
+    const cutoff = this._dayKey(new Date(Date.now() - this.retentionDays * DAY));
+    for (const file of await this._listFiles()) {
+      if (path.basename(file, '.ndjson') < cutoff) {
+        try {
+          await fs.promises.unlink(file);
+          logger.info(`Pruned pollution history file ${path.basename(file)}`);
+        } catch (error) {
+          logger.warn(`Could not prune pollution history file ${path.basename(file)}: ${error.message}`);
+        }
+      }
+    }
+  }
+
+  /**
+   * Returns a city's pollution time series aggregated into buckets
+   * @param {string} country - Country name or code
+   * @param {string} cityName - City name
+   * @param {Object} options - Query options
+   * @param {Date} options.from - Start of the range (inclusive)
+   * @param {Date} options.to - End of the range (inclusive)
+   * @param {string} options.interval - Bucket size: hour, day or week
+   * @returns {Promise<Object|null>} Series with min, max and avg per bucket, or null if the city has no samples
+   */
+  async getCityHistory(country, cityName, { from, to, interval }) {
+    const countryKeyOf = this._countryMatcher();
+    const countryKey = countryKeyOf(country);
+    const cityNameKey = nameKey(cityName);
+    const buckets = new Map();
+    let city = null;
+
+    await this._scan(from, to, (timestamp, entries) => {
+      const entry = entries.find(([name, entryCountry]) =>
+        nameKey(name) === cityNameKey && countryKeyOf(entryCountry) === countryKey
+      );
+      if (!entry) {
+        return;
+      }
+
+      city = city || { name: entry[0], ...this._describeCountry(entry[1]) };
+      const start = this._bucketStart(timestamp, interval);
+      const bucket = buckets.get(start) || { min: Infinity, max: -Infinity, sum: 0, samples: 0 };
+      bucket.min = Math.min(bucket.min, entry[2]);
+      bucket.max = Math.max(bucket.max, entry[2]);
+      bucket.sum += entry[2];
+      bucket.samples++;
+      buckets.set(start, bucket);
+    });
+
+    if (!city) {
+      return null;
+    }
+
+    return {
+      ...city,
+      interval,
+      from: from.toISOString(),
+      to: to.toISOString(),
+      series: Array.from(buckets.entries())
+        .sort(([a], [b]) => a - b)
+        .map(([start, bucket]) => ({
+          start: new Date(start).toISOString(),
+          min: bucket.min,
+          max: bucket.max,
+          avg: Math.round((bucket.sum / bucket.samples) * 100) / 100,
+          samples: bucket.samples
+        }))
+    };
+  }
+
+  /**
+   * Finds the cities whose pollution rose or fell the most between the first
+   * and last snapshot of a time window
+   * @param {Object} options - Query options
+   * @param {number} options.window - Window length in milliseconds, ending now
+   * @param {number} options.limit - Number of cities per direction
+   * @returns {Promise<Object>} Rising and falling cities
+   */
+  async getTrends({ window, limit }) {
+    const to = new Date();
+    const from = new Date(to.getTime() - window);
+    const series = new Map();
+    const countryKeyOf = this._countryMatcher();
+
+    await this._scan(from, to, (timestamp, entries) => {
+      for (const [name, country, pollution] of entries) {
+        const key = `${nameKey(name)}|${countryKeyOf(country)}`;
+        const point = series.get(key);
+        if (!point) {
+          series.set(key, { name, country, first: pollution, last: pollution, firstAt: timestamp, lastAt: timestamp });
+        } else {
+          point.last = pollution;
+          point.lastAt = timestamp;
+        }
+      }
+    });
+
+    const changes = Array.from(series.values())
+      .filter(point => point.lastAt > point.firstAt)
+      .map(point => ({
+        name: point.name,
+        ...this._describeCountry(point.country),
+        from: point.first,
+        to: point.last,
+        change: Math.round((point.last - point.first) * 100) / 100,
+        changePercent: point.first > 0
+          ? Math.round(((point.last - point.first) / point.first) * 10000) / 100
+          : null,
+        since: new Date(point.firstAt).toISOString(),
+        until: new Date(point.lastAt).toISOString()
+      }));
+
+    return {
+      from: from.toISOString(),
+      to: to.toISOString(),
+      rising: changes.filter(item => item.change > 0).sort((a, b) => b.change - a.change).slice(0, limit),
+      falling: changes.filter(item => item.change < 0).sort((a, b) => a.change - b.change).slice(0, limit)
+    };
+  }
+
+  /**
+   * Returns a countryRegistry.matchKey memoized for one query, since the same
+   * country values repeat in every recorded snapshot. Older records may hold raw
+   * codes ("PL") where newer ones hold canonical names ("Poland").
+   * @private
+   */
+  _countryMatcher() {
+    const keys = new Map();
+    return (country) => {
+      if (!keys.has(country)) {
+        keys.set(country, countryRegistry.matchKey(country));
+      }
+      return keys.get(country);
+    };
+  }
+
+  /**
+   * Canonical country name and code of a recorded country value
+   * @private
+   */
+  _describeCountry(value) {
+    const country = countryRegistry.resolve(value);
+    return country
+      ? { country: country.name, countryCode: country.alpha2 }
+      : { country: value, countryCode: null };
+  }
+
+  /**
+   * Streams every snapshot between from and to, in chronological order
+   * @private
+   */
+  async _scan(from, to, onSnapshot) {
+    const fromKey = this._dayKey(from);
+    const toKey = this._dayKey(to);
+    const files = (await this._listFiles()).filter((file) => {
+      const day = path.basename(file, '.ndjson');
+      return day >= fromKey && day <= toKey;
+    });
+
+    for (const file of files) {
+      const lines = readline.createInterface({
+        input: fs.createReadStream(file),
+        crlfDelay: Infinity
+      });
+
+      for await (const line of lines) {
+        if (!line.trim()) {
+          continue;
+        }
+        let snapshot;
+        try {
+          snapshot = JSON.parse(line);
+        } catch (error) {
+          logger.warn(`Skipping corrupt history line in ${path.basename(file)}`);
+          continue;
+        }
+        const timestamp = Date.parse(snapshot.timestamp);
+        if (timestamp >= from.getTime() && timestamp <= to.getTime()) {
+          onSnapshot(timestamp, snapshot.cities);
+        }
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _listFiles() {
+    try {
+      const names = await fs.promises.readdir(this.directory);
+      return names
+        .filter(name => /^\d{4}-\d{2}-\d{2}\.ndjson$/.test(name))
+        .sort()
+        .map(name => path.join(this.directory, name));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Start of the UTC bucket containing the timestamp
+   * @private
+   */
+  _bucketStart(timestamp, interval) {
+    if (interval === 'week') {
+      // Weeks start on Monday
+      const dayStart = timestamp - (timestamp % DAY);
+      const weekday = (new Date(dayStart).getUTCDay() + 6) % 7;
+      return dayStart - weekday * DAY;
+    }
+    return timestamp - (timestamp % INTERVALS[interval]);
+  }
+
+  /**
+   * @private
+   */
+  _dayKey(date) {
+    return date.toISOString().slice(0, 10);
+  }
+
+  /**
+   * @private
+   */
+  _fileFor(date) {
+    return path.join(this.directory, `${this._dayKey(date)}.ndjson`);
+  }
+}
+
+module.exports = new HistoryService();
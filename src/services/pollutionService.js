@@ -1,67 +1,249 @@
-const axios = require('axios'); 
-const logger = require('../utils/logger'); 
-const POLLUTION_API_BASE_URL = 
-  process.env.POLLUTION_API_BASE_URL || 'https://be-recruitment-task.onrender.com'; 
-  const AUTH_CREDENTIALS = { 
-    username: process.env.POLLUTION_API_USERNAME || 'testuser', 
-    password: process.env.POLLUTION_API_PASSWORD || 'testpass' 
+const axios = require('axios');
+const logger = require('../utils/logger');
+const { config } = require('../config');
+const { instrumentHttpClient } = require('../utils/metrics');
+const { getRequestId } = require('../utils/requestContext');
+const { CircuitBreaker } = require('../utils/circuitBreaker');
+
+// Tokens are refreshed this long before they actually expire
+const TOKEN_EXPIRY_SKEW = 30 * 1000;
+// Fallback lifetime when the login response carries no expiry information
+const DEFAULT_TOKEN_TTL = 5 * 60 * 1000;
+
+const RETRY_OPTIONS = {
+  retries: config.pollutionApi.maxRetries,
+  baseDelay: 500,
+  maxDelay: 5000
 };
 
+// Network error codes that are worth retrying and count against the circuit breaker
+const TRANSIENT_ERROR_CODES = new Set(['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EAI_AGAIN']);
+
 class PollutionService {
   constructor() {
-    this.baseURL = POLLUTION_API_BASE_URL;
-    this.username = AUTH_CREDENTIALS.username;
-    this.password = AUTH_CREDENTIALS.password;
+    this.baseURL = config.pollutionApi.url;
+    this.username = config.pollutionApi.username;
+    this.password = config.pollutionApi.password;
     this.token = null;
+    this.tokenExpiresAt = 0;
+    this.authPromise = null;
+    // Outcome of the latest login, for the readiness check
+    this.lastLogin = { ok: null, at: null, error: null };
+    this.retryOptions = RETRY_OPTIONS;
 
-    this.client = axios.create({
+    this.client = instrumentHttpClient(axios.create({
       baseURL: this.baseURL,
-      timeout: 30000,
+      timeout: config.pollutionApi.timeout,
       headers: { 'User-Agent': 'Cities-Pollution-API/1.0.0' }
+    }), 'pollution-api', config => (config.url.startsWith('/auth') ? 'login' : 'pollution'));
+
+    // Forward the ID of the request that triggered the call
+    this.client.interceptors.request.use((config) => {
+      const requestId = getRequestId();
+      if (requestId) {
+        config.headers['X-Request-Id'] = requestId;
+      }
+      return config;
+    });
+
+    this.circuitBreaker = new CircuitBreaker('pollution-api', {
+      failureThreshold: config.pollutionApi.circuitThreshold,
+      resetTimeout: config.pollutionApi.circuitReset,
+      isFailure: error => this._isUpstreamFailure(error)
     });
   }
 
+  /**
+   * Logs in and stores a fresh token. Concurrent callers share one login request.
+   * @returns {Promise<string>} Bearer token
+   */
   async authenticate() {
-    logger.info('Authenticating with pollution API...');
-    const res = await axios.post(`${this.baseURL}/auth/login`, {
-      username: this.username,
-      password: this.password
-    });
-    this.token = res.data.token;
-    logger.info(`Got token: ${this.token}`);
+    if (!this.authPromise) {
+      this.authPromise = this._login().finally(() => {
+        this.authPromise = null;
+      });
+    }
+    return this.authPromise;
+  }
+
+  /**
+   * Upstream status for health checks
+   * @returns {{auth: Object, circuit: Object}} Outcome of the latest login
+   *   ({ ok, at, error }, ok is null before the first login) and the circuit state
+   */
+  getStatus() {
+    return {
+      auth: { ...this.lastLogin },
+      circuit: this.circuitBreaker.getStatus()
+    };
+  }
+
+  /**
+   * Returns true while the circuit breaker rejects calls, so callers can skip them
+   * @returns {boolean}
+   */
+  isSuspended() {
+    return this.circuitBreaker.isOpen();
   }
 
+  /**
+   * Fetches one page of pollution data, going through the circuit breaker and retry policy
+   * @param {number} page - Upstream page number
+   * @param {number} limit - Upstream page size
+   * @param {string|null} country - Optional country filter
+   * @returns {Promise<Object>} Upstream response body with meta and results
+   */
   async fetchPollutionData(page, limit, country = null) {
     try {
-      if (!this.token) {
-        await this.authenticate();
-      }
+      const data = await this.circuitBreaker.execute(() => this._withRetry(async () => {
+        logger.info(`Fetching pollution data from ${this.baseURL}/pollution`);
+        const response = await this._authorizedGet('/pollution', { country, page, limit });
 
-      logger.info(`Fetching pollution data from ${this.baseURL}/pollution`);
-      const response = await this.client.get(`/pollution`, {
-        headers: {
-          Authorization: `Bearer ${this.token}`
-        },
-        params: {
-          country,
-          page,
-          limit
+        if (!response.data || !Array.isArray(response.data.results)) {
+          throw new Error('Invalid response format: expected array');
         }
+        return response.data;
+      }));
+
+      logger.info(`Fetched ${data.results.length} pollution entries`);
+
+      return data;
+
+    } catch (error) {
+      logger.error('Failed to fetch pollution data:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Performs the login request
+   * @private
+   */
+  async _login() {
+    logger.info('Authenticating with pollution API...');
+    let res;
+    try {
+      res = await this.client.post('/auth/login', {
+        username: this.username,
+        password: this.password
       });
+    } catch (error) {
+      this.lastLogin = { ok: false, at: new Date().toISOString(), error: error.message };
+      throw error;
+    }
+    this.lastLogin = { ok: true, at: new Date().toISOString(), error: null };
+    this.token = res.data.token;
+    this.tokenExpiresAt = this._resolveTokenExpiry(res.data);
+    logger.info(`Got token, valid until ${new Date(this.tokenExpiresAt).toISOString()}`);
+    return this.token;
+  }
+
+  /**
+   * Works out when a token expires, from the login response or the JWT payload
+   * @private
+   */
+  _resolveTokenExpiry(data) {
+    if (data.expiresIn) {
+      return Date.now() + Number(data.expiresIn) * 1000;
+    }
 
-      if (!response.data || !Array.isArray(response.data.results)) {
-        throw new Error('Invalid response format: expected array');
+    try {
+      const payload = JSON.parse(Buffer.from(String(data.token).split('.')[1], 'base64url').toString('utf8'));
+      if (payload.exp) {
+        return payload.exp * 1000;
       }
+    } catch (error) {
+      // Opaque token, fall back to the default lifetime
+    }
+
+    return Date.now() + DEFAULT_TOKEN_TTL;
+  }
+
+  /**
+   * Returns true if the current token is missing or about to expire
+   * @private
+   */
+  _isTokenExpired() {
+    return !this.token || Date.now() >= this.tokenExpiresAt - TOKEN_EXPIRY_SKEW;
+  }
 
-      logger.info(`Fetched ${response.data.results.length} pollution entries`);
+  /**
+   * GET request with a valid token. A 401 triggers one re-login and replay.
+   * @private
+   */
+  async _authorizedGet(path, params) {
+    if (this._isTokenExpired()) {
+      await this.authenticate();
+    }
 
-      return response.data;
+    const request = () => this.client.get(path, {
+      headers: { Authorization: `Bearer ${this.token}` },
+      params
+    });
 
+    try {
+      return await request();
     } catch (error) {
-      logger.error('Failed to fetch pollution data:', error.message);
-      throw error;
+      if (error.response?.status !== 401) {
+        throw error;
+      }
+      logger.warn('Pollution API rejected token, re-authenticating');
+      this.token = null;
+      await this.authenticate();
+      return request();
+    }
+  }
+
+  /**
+   * Retries transient failures with exponential backoff and full jitter
+   * @private
+   */
+  async _withRetry(fn) {
+    const { retries, baseDelay, maxDelay } = this.retryOptions;
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await fn();
+      } catch (error) {
+        if (attempt >= retries || !this._isTransientError(error)) {
+          throw error;
+        }
+        const delay = Math.random() * Math.min(maxDelay, baseDelay * 2 ** attempt);
+        logger.warn(`Pollution API request failed (${error.message}), retry ${attempt + 1}/${retries} in ${Math.round(delay)}ms`);
+        await this._delay(delay);
+      }
     }
   }
+
+  /**
+   * @private
+   */
+  _isTransientError(error) {
+    if (error.response) {
+      return error.response.status >= 500 || error.response.status === 429;
+    }
+    return TRANSIENT_ERROR_CODES.has(error.code);
+  }
+
+  /**
+   * Failures that say the upstream is down: no answer at all (network errors and
+   * timeouts) or a 5xx. Client errors and unexpected bodies don't open the circuit.
+   * @private
+   */
+  _isUpstreamFailure(error) {
+    if (error.response) {
+      return error.response.status >= 500;
+    }
+    return Boolean(error.isAxiosError) || TRANSIENT_ERROR_CODES.has(error.code);
+  }
+
+  /**
+   * Utility function to add delay
+   * @private
+   */
+  _delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
 }
 
 module.exports = new PollutionService();
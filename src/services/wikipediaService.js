@@ -1,86 +1,248 @@
 const axios = require('axios');
 const cache = require('../utils/cache');
 const logger = require('../utils/logger');
+const { config } = require('../config');
+const metrics = require('../utils/metrics');
+const SingleFlight = require('../utils/singleFlight');
+const { bindContext } = require('../utils/requestContext');
+const { scoreCandidate } = require('../utils/wikipediaMatcher');
 
-const WIKIPEDIA_API_BASE_URL = 'https://en.wikipedia.org/api/rest_v1';
+const DEFAULT_LANGUAGE = 'en';
+
+// A candidate scoring this high ends the search early
+const GOOD_MATCH_CONFIDENCE = 0.9;
+// Maximum number of page summaries fetched per city and language
+const MAX_CANDIDATES = 5;
 
 /**
  * Service for interacting with Wikipedia API
  */
 class WikipediaService {
   constructor() {
-    this.client = axios.create({
-      baseURL: WIKIPEDIA_API_BASE_URL,
-      timeout: 10000, // 10 second timeout
-      headers: {
-        'User-Agent': 'Cities-Pollution-API/1.0.0 (https://example.com/contact)'
-      }
-    });
+    // {lang} is replaced with the Wikipedia language code
+    this.baseUrlTemplate = config.wikipedia.apiUrl;
+    this.searchUrlTemplate = config.wikipedia.searchUrl;
+    // Pages scoring below this are not accepted as describing the city
+    this.minConfidence = config.wikipedia.minConfidence;
+    this.defaultLanguage = DEFAULT_LANGUAGE;
+    this.fallbackLanguages = config.wikipedia.fallbackLanguages.map(language => language.toLowerCase());
+    // One HTTP client per Wikipedia language edition
+    this.clients = new Map();
 
     // Add rate limiting protection
     this.requestQueue = [];
     this.isProcessing = false;
-    this.minRequestInterval = 100; // Minimum 100ms between requests
+    this.stopped = false;
+    this.minRequestInterval = config.wikipedia.requestInterval;
+
+    // Concurrent lookups for the same city share one set of requests
+    this.flights = new SingleFlight();
   }
 
   /**
    * Gets a short description for a city from Wikipedia
    * @param {string} cityName - Name of the city
    * @param {string} countryName - Name of the country
+   * @param {string} language - Preferred Wikipedia language code
    * @returns {Promise<string|null>} City description or null if not found
    */
-  async getCityDescription(cityName, countryName) {
-    const cacheKey = `wiki_${cityName}_${countryName}`.toLowerCase();
-    
+  async getCityDescription(cityName, countryName, language = this.defaultLanguage) {
+    const summary = await this.getCitySummary(cityName, countryName, language);
+    return summary ? summary.description : null;
+  }
+
+  /**
+   * Gets the Wikipedia page summary for a city, trying the preferred language
+   * first and then each fallback language
+   * @param {string} cityName - Name of the city
+   * @param {string} countryName - Name of the country
+   * @param {string} language - Preferred Wikipedia language code
+   * @returns {Promise<Object|null>} Summary with title, description, full extract,
+   *   page url, thumbnail, coordinates, the language it was found in and the match
+   *   confidence, or null if no page confidently describes the city
+   */
+  async getCitySummary(cityName, countryName, language = this.defaultLanguage) {
+    for (const lang of this.getLanguageChain(language)) {
+      const summary = await this._getSummaryInLanguage(cityName, countryName, lang);
+      if (summary) {
+        return summary;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Languages tried for a request, in order, without duplicates
+   * @param {string} language - Preferred Wikipedia language code
+   * @returns {Array<string>}
+   */
+  getLanguageChain(language) {
+    return Array.from(new Set([language, ...this.fallbackLanguages]));
+  }
+
+  /**
+   * Gets the summary from one language edition, through the cache
+   * @private
+   */
+  async _getSummaryInLanguage(cityName, countryName, language) {
+    const cacheKey = `wiki_match_${language}_${cityName}_${countryName}`.toLowerCase();
+
     // Check cache first (cache for 24 hours)
-    const cachedDescription = cache.get(cacheKey);
-    if (cachedDescription) {
-      logger.debug(`Cache hit for Wikipedia description: ${cityName}`);
-      return cachedDescription;
+    const cachedSummary = await cache.get(cacheKey);
+    if (cachedSummary !== undefined) {
+      logger.debug(`Cache hit for Wikipedia summary: ${cityName}`);
+      return cachedSummary;
     }
 
+    const { value } = await this.flights.do(
+      cacheKey,
+      () => this._lookupSummary(cityName, countryName, language, cacheKey)
+    );
+    return value;
+  }
+
+  /**
+   * Finds the page that best describes the city and caches the outcome.
+   * The plain city name and "City, Country" titles are tried first; if neither is a
+   * confident match, titles from the opensearch API are ranked as well.
+   * Disambiguation pages and pages that don't describe a populated place in the
+   * expected country are rejected.
+   * @private
+   */
+  async _lookupSummary(cityName, countryName, language, cacheKey) {
     try {
-      // Try different search terms
-      const searchTerms = [
-        cityName,
-        `${cityName}, ${countryName}`,
-        `${cityName} ${countryName}`
-      ];
-
-      for (const searchTerm of searchTerms) {
-        try {
-          const description = await this._fetchDescriptionByTitle(searchTerm);
-          if (description) {
-            // Cache successful results for 24 hours
-            cache.set(cacheKey, description, 24 * 60 * 60 * 1000);
-            logger.debug(`Got Wikipedia description for: ${cityName}`);
-            return description;
+      const expected = { cityName, country: countryName, language };
+      const tried = new Set();
+      let best = null;
+      // Set when a request failed, so not finding the city proves nothing
+      let failed = false;
+
+      const evaluate = async (titles) => {
+        for (const title of titles) {
+          if (tried.has(title) || tried.size >= MAX_CANDIDATES) {
+            continue;
+          }
+          tried.add(title);
+
+          try {
+            const page = await this._fetchPageSummary(title, language);
+            const confidence = scoreCandidate(page, expected);
+            logger.debug(`Wikipedia candidate "${title}" (${language}) for ${cityName}: confidence ${confidence}`);
+            if (confidence > 0 && (!best || confidence > best.confidence)) {
+              best = { page, confidence };
+            }
+          } catch (error) {
+            failed = true;
+            logger.debug(`Failed to get summary with term "${title}": ${error.message}`);
+          }
+
+          if (best && best.confidence >= GOOD_MATCH_CONFIDENCE) {
+            return;
           }
-        } catch (error) {
-          logger.debug(`Failed to get description with term "${searchTerm}": ${error.message}`);
-          continue;
         }
+      };
+
+      await evaluate([cityName, `${cityName}, ${countryName}`]);
+
+      if (!best || best.confidence < GOOD_MATCH_CONFIDENCE) {
+        const titles = await this._searchTitles(cityName, language).catch((error) => {
+          failed = true;
+          logger.debug(`Wikipedia search failed for "${cityName}": ${error.message}`);
+          return [];
+        });
+        await evaluate(titles);
       }
 
-      // If no description found, cache null result for 1 hour to avoid repeated requests
-      cache.set(cacheKey, null, 60 * 60 * 1000);
-      logger.debug(`No Wikipedia description found for: ${cityName}`);
+      if (best && best.confidence >= this.minConfidence) {
+        const summary = this._toSummary(best.page, language, best.confidence);
+        await cache.set(cacheKey, summary, config.cache.ttl.wikipedia);
+        logger.debug(`Matched ${language} Wikipedia page "${summary.title}" for ${cityName} (confidence ${best.confidence})`);
+        return summary;
+      }
+
+      // Lookups cut short by a shutdown or a failed request say nothing about the city
+      if (this.stopped || failed) {
+        logger.debug(`No ${language} Wikipedia page matched ${cityName}, but some lookups failed; not caching the miss`);
+        return null;
+      }
+
+      // Every lookup completed without a match, so cache the miss to avoid repeated requests
+      await cache.set(cacheKey, null, config.cache.ttl.wikipediaMiss);
+      logger.debug(`No ${language} Wikipedia page confidently matches: ${cityName}`);
       return null;
 
     } catch (error) {
-      logger.warn(`Error getting Wikipedia description for ${cityName}: ${error.message}`);
+      logger.warn(`Error getting Wikipedia summary for ${cityName}: ${error.message}`);
       return null;
     }
   }
 
   /**
-   * Fetches description by Wikipedia title
+   * Fetches the raw page summary for a title, or null if the page doesn't exist
    * @private
    */
-  async _fetchDescriptionByTitle(title) {
-    // Add request to queue to implement rate limiting
+  async _fetchPageSummary(title, language) {
+    return this._enqueue(async () => {
+      try {
+        const encodedTitle = encodeURIComponent(title);
+        const response = await this._clientFor(language).get(`/page/summary/${encodedTitle}`);
+        return response.data && response.data.extract ? response.data : null;
+      } catch (error) {
+        if (error.response?.status === 404) {
+          return null; // Not found is acceptable
+        }
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Searches page titles with the opensearch API
+   * @private
+   */
+  async _searchTitles(query, language) {
+    return this._enqueue(async () => {
+      const response = await this._clientFor(language).get(this.searchUrlTemplate.replace('{lang}', language), {
+        params: {
+          action: 'opensearch',
+          search: query,
+          limit: MAX_CANDIDATES,
+          namespace: 0,
+          redirects: 'resolve',
+          format: 'json'
+        }
+      });
+      return Array.isArray(response.data) && Array.isArray(response.data[1]) ? response.data[1] : [];
+    });
+  }
+
+  /**
+   * Stops the request queue on shutdown: queued requests are rejected and new
+   * ones refused. The request in progress, if any, still completes.
+   * @returns {number} Queued requests dropped
+   */
+  stop() {
+    this.stopped = true;
+    const pending = this.requestQueue.splice(0);
+    metrics.wikipediaQueueDepth.set(0);
+    for (const { reject } of pending) {
+      reject(new Error('Wikipedia request queue was stopped'));
+    }
+    return pending.length;
+  }
+
+  /**
+   * Adds a request to the rate-limited queue
+   * @private
+   */
+  _enqueue(task) {
+    if (this.stopped) {
+      return Promise.reject(new Error('Wikipedia request queue was stopped'));
+    }
     return new Promise((resolve, reject) => {
-      this.requestQueue.push({ title, resolve, reject });
+      // Run the task in the context of the request that queued it
+      this.requestQueue.push({ task: bindContext(task), resolve, reject });
+      metrics.wikipediaQueueDepth.set(this.requestQueue.length);
       this._processQueue();
     });
   }
@@ -97,35 +259,13 @@ class WikipediaService {
     this.isProcessing = true;
 
     while (this.requestQueue.length > 0) {
-      const { title, resolve, reject } = this.requestQueue.shift();
+      const { task, resolve, reject } = this.requestQueue.shift();
+      metrics.wikipediaQueueDepth.set(this.requestQueue.length);
 
       try {
-        const encodedTitle = encodeURIComponent(title);
-        const response = await this.client.get(`/page/summary/${encodedTitle}`);
-        
-        if (response.data && response.data.extract) {
-          // Clean up the extract (remove extra whitespace, limit length)
-          let extract = response.data.extract.trim();
-          if (extract.length > 300) {
-            extract = extract.substring(0, 300).trim();
-            // Try to end at a sentence boundary
-            const lastPeriod = extract.lastIndexOf('.');
-            if (lastPeriod > 200) {
-              extract = extract.substring(0, lastPeriod + 1);
-            } else {
-              extract += '...';
-            }
-          }
-          resolve(extract);
-        } else {
-          resolve(null);
-        }
+        resolve(await task());
       } catch (error) {
-        if (error.response?.status === 404) {
-          resolve(null); // Not found is acceptable
-        } else {
-          reject(error);
-        }
+        reject(error);
       }
 
       // Wait before processing next request
@@ -135,6 +275,66 @@ class WikipediaService {
     this.isProcessing = false;
   }
 
+  /**
+   * Returns the HTTP client for a language edition, creating it on first use
+   * @private
+   */
+  _clientFor(language) {
+    if (!this.clients.has(language)) {
+      this.clients.set(language, metrics.instrumentHttpClient(axios.create({
+        baseURL: this.baseUrlTemplate.replace('{lang}', language),
+        timeout: config.wikipedia.timeout,
+        headers: {
+          'User-Agent': 'Cities-Pollution-API/1.0.0 (https://example.com/contact)'
+        }
+      }), 'wikipedia', config => (config.params && config.params.action === 'opensearch' ? 'search' : 'summary')));
+    }
+    return this.clients.get(language);
+  }
+
+  /**
+   * Maps a REST summary response to the fields we expose
+   * @private
+   */
+  _toSummary(data, language, confidence) {
+    const extract = data.extract.trim();
+
+    return {
+      title: data.title,
+      language,
+      confidence,
+      description: this._shortenExtract(extract),
+      extract,
+      url: data.content_urls?.desktop?.page || null,
+      thumbnail: data.thumbnail
+        ? { url: data.thumbnail.source, width: data.thumbnail.width, height: data.thumbnail.height }
+        : null,
+      coordinates: data.coordinates
+        ? { lat: data.coordinates.lat, lon: data.coordinates.lon }
+        : null
+    };
+  }
+
+  /**
+   * Limits an extract to roughly 300 characters, ending at a sentence boundary if possible
+   * @private
+   */
+  _shortenExtract(extract) {
+    if (extract.length <= 300) {
+      return extract;
+    }
+
+    let shortened = extract.substring(0, 300).trim();
+    // Try to end at a sentence boundary
+    const lastPeriod = shortened.lastIndexOf('.');
+    if (lastPeriod > 200) {
+      shortened = shortened.substring(0, lastPeriod + 1);
+    } else {
+      shortened += '...';
+    }
+    return shortened;
+  }
+
   /**
    * Utility function to add delay
    * @private
@@ -144,4 +344,4 @@ class WikipediaService {
   }
 }
 
-module.exports = new WikipediaService();
\ No newline at end of file
+module.exports = new WikipediaService();
@@ -0,0 +1,98 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const { config: appConfig } = require('../config');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'config', 'airQualityCategories.json');
+
+/**
+ * Maps raw pollution values to air-quality categories with a colour,
+ * severity index and health advice. The breakpoint table is loaded from a
+ * JSON file (AIR_QUALITY_CONFIG, defaults to the US EPA AQI bands).
+ */
+class AirQualityClassifier {
+  /**
+   * @param {string} configPath - Path to the breakpoint table
+   */
+  constructor(configPath = appConfig.airQuality.categories || DEFAULT_CONFIG_PATH) {
+    this.configPath = configPath;
+    this.load(configPath);
+  }
+
+  /**
+   * Loads and validates a breakpoint table. Throws if the table is invalid.
+   * @param {string} configPath - Path to the JSON file
+   */
+  load(configPath) {
+    const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    this.validateConfig(config);
+
+    this.scale = config.scale || 'custom';
+    this.categories = [...config.categories].sort((a, b) => a.min - b.min);
+    logger.info(`Loaded ${this.categories.length} air quality categories (${this.scale}) from ${configPath}`);
+  }
+
+  /**
+   * Checks that a breakpoint table is well formed
+   * @param {Object} config - Parsed table
+   */
+  validateConfig(config) {
+    if (!config || !Array.isArray(config.categories) || config.categories.length === 0) {
+      throw new Error('Air quality config must contain a non-empty "categories" array');
+    }
+
+    const ids = new Set();
+    for (const category of config.categories) {
+      for (const field of ['id', 'label', 'color', 'advice']) {
+        if (typeof category[field] !== 'string' || !category[field]) {
+          throw new Error(`Air quality category is missing "${field}": ${JSON.stringify(category)}`);
+        }
+      }
+      if (typeof category.min !== 'number' || typeof category.severity !== 'number') {
+        throw new Error(`Air quality category "${category.id}" needs numeric "min" and "severity"`);
+      }
+      if (ids.has(category.id)) {
+        throw new Error(`Duplicate air quality category "${category.id}"`);
+      }
+      ids.add(category.id);
+    }
+
+    if (!config.categories.some(category => category.min <= 0)) {
+      throw new Error('Air quality categories must start at 0 or below');
+    }
+  }
+
+  /**
+   * Category ids, from least to most severe
+   * @returns {Array<string>}
+   */
+  get categoryIds() {
+    return this.categories.map(category => category.id);
+  }
+
+  /**
+   * Classifies a pollution value. Each category covers values from its min
+   * up to the next category's min.
+   * @param {number} value - Pollution value
+   * @returns {Object} Air quality block
+   */
+  classify(value) {
+    let match = this.categories[0];
+    for (const category of this.categories) {
+      if (value >= category.min) {
+        match = category;
+      }
+    }
+
+    return {
+      category: match.label,
+      categoryId: match.id,
+      color: match.color,
+      severity: match.severity,
+      advice: match.advice,
+      scale: this.scale
+    };
+  }
+}
+
+module.exports = new AirQualityClassifier();
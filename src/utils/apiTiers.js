@@ -0,0 +1,48 @@
+const fs = require('fs');
+const path = require('path');
+const { config } = require('../config');
+const { parseDuration } = require('./duration');
+
+const DEFAULT_TIERS_PATH = path.join(__dirname, '..', 'config', 'apiTiers.json');
+
+/**
+ * Reads and validates the API tier definitions (API_TIERS_CONFIG, defaults to
+ * src/config/apiTiers.json). Throws if they are invalid.
+ * @param {string} tiersPath - Path to the JSON file
+ * @returns {{tiers: Object, defaultTier: string}} Tiers by name, with quota windows in ms
+ */
+const readTiers = (tiersPath = config.apiKeys.tiers || DEFAULT_TIERS_PATH) => {
+  const tiersFile = JSON.parse(fs.readFileSync(tiersPath, 'utf8'));
+  if (!tiersFile || !tiersFile.tiers || typeof tiersFile.tiers !== 'object' || Object.keys(tiersFile.tiers).length === 0) {
+    throw new Error('API tier config must contain a non-empty "tiers" object');
+  }
+
+  const tiers = {};
+  for (const [name, tier] of Object.entries(tiersFile.tiers)) {
+    const { quota = {}, burst = {} } = tier;
+    const windowMs = parseDuration(quota.window);
+    if (!Number.isInteger(quota.limit) || quota.limit < 1 || windowMs === null) {
+      throw new Error(`API tier "${name}" needs quota.limit (positive integer) and quota.window (e.g. 15m, 1d)`);
+    }
+    if (!Number.isInteger(burst.capacity) || burst.capacity < 1 || !(burst.refillPerSecond > 0)) {
+      throw new Error(`API tier "${name}" needs burst.capacity (positive integer) and burst.refillPerSecond (positive number)`);
+    }
+    tiers[name] = {
+      name,
+      description: tier.description || null,
+      quota: { limit: quota.limit, window: quota.window, windowMs },
+      burst: { capacity: burst.capacity, refillPerSecond: burst.refillPerSecond }
+    };
+  }
+
+  const defaultTier = tiersFile.defaultTier || Object.keys(tiers)[0];
+  if (!tiers[defaultTier]) {
+    throw new Error(`API tier config defaultTier "${defaultTier}" is not a defined tier`);
+  }
+  return { tiers, defaultTier };
+};
+
+module.exports = {
+  DEFAULT_TIERS_PATH,
+  readTiers
+};
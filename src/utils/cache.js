@@ -1,91 +0,0 @@
-/**
- * Simple in-memory cache implementation
- */
-class MemoryCache {
-  constructor() {
-    this.cache = new Map();
-    this.timers = new Map();
-  }
-
-  /**
-   * Set a value in cache with optional TTL
-   * @param {string} key - Cache key
-   * @param {*} value - Value to cache
-   * @param {number} ttl - Time to live in milliseconds
-   */
-  set(key, value, ttl = null) {
-    // Clear existing timer if present
-    if (this.timers.has(key)) {
-      clearTimeout(this.timers.get(key));
-      this.timers.delete(key);
-    }
-
-    this.cache.set(key, value);
-
-    // Set expiration timer if TTL provided
-    if (ttl && ttl > 0) {
-      const timer = setTimeout(() => {
-        this.delete(key);
-      }, ttl);
-      this.timers.set(key, timer);
-    }
-  }
-
-  /**
-   * Get a value from cache
-   * @param {string} key - Cache key
-   * @returns {*} Cached value or undefined
-   */
-  get(key) {
-    return this.cache.get(key);
-  }
-
-  /**
-   * Check if key exists in cache
-   * @param {string} key - Cache key
-   * @returns {boolean} True if key exists
-   */
-  has(key) {
-    return this.cache.has(key);
-  }
-
-  /**
-   * Delete a value from cache
-   * @param {string} key - Cache key
-   * @returns {boolean} True if key existed and was deleted
-   */
-  delete(key) {
-    // Clear timer if present
-    if (this.timers.has(key)) {
-      clearTimeout(this.timers.get(key));
-      this.timers.delete(key);
-    }
-    
-    return this.cache.delete(key);
-  }
-
-  /**
-   * Clear all cache entries
-   */
-  clear() {
-    // Clear all timers
-    for (const timer of this.timers.values()) {
-      clearTimeout(timer);
-    }
-    this.timers.clear();
-    this.cache.clear();
-  }
-
-  /**
-   * Get cache statistics
-   * @returns {Object} Cache statistics
-   */
-  stats() {
-    return {
-      size: this.cache.size,
-      keys: Array.from(this.cache.keys())
-    };
-  }
-}
-
-module.exports = new MemoryCache();
@@ -0,0 +1,306 @@
+const fs = require('fs').promises;
+const { constants: fsConstants } = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../logger');
+
+// How often expired entries that nobody reads again are removed
+const SWEEP_INTERVAL = 60 * 1000;
+
+/**
+ * File-backed cache that keeps one JSON file per key so entries survive restarts.
+ * An in-memory index of the entries, built from the directory at start, bounds
+ * the cache by entry count and size with LRU eviction and lets expired files
+ * be swept without reading them.
+ */
+class FileCache {
+  /**
+   * @param {Object} options - Cache options
+   * @param {string} options.directory - Directory holding the cache files
+   * @param {number} options.maxEntries - Maximum number of entries (0 for unlimited)
+   * @param {number} options.maxBytes - Maximum total size of the files in bytes (0 for unlimited)
+   */
+  constructor({ directory, maxEntries = 0, maxBytes = 0 }) {
+    this.name = 'file';
+    this.directory = directory;
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    // { key, size, expiresAt } per file; Map iteration order doubles as recency order: oldest first
+    this.index = new Map();
+    this.bytes = 0;
+    this.hits = 0;
+    this.misses = 0;
+    this.evictions = 0;
+    this.ready = fs.mkdir(this.directory, { recursive: true }).then(() => this._loadIndex());
+
+    this.sweepTimer = setInterval(() => {
+      this.sweep().catch((error) => {
+        logger.warn(`File cache sweep failed: ${error.message}`);
+      });
+    }, SWEEP_INTERVAL);
+    this.sweepTimer.unref();
+  }
+
+  /**
+   * Set a value in cache with optional TTL
+   * @param {string} key - Cache key
+   * @param {*} value - Value to cache
+   * @param {number} ttl - Time to live in milliseconds
+   */
+  async set(key, value, ttl = null) {
+    await this.ready;
+
+    const file = this._fileFor(key);
+    const tmpFile = `${file}.${process.pid}.${Date.now()}.tmp`;
+    const entry = {
+      key,
+      value,
+      expiresAt: ttl && ttl > 0 ? Date.now() + ttl : null
+    };
+    const contents = JSON.stringify(entry);
+
+    try {
+      // Write to a temp file first so readers never see a partial entry
+      await fs.writeFile(tmpFile, contents);
+      await fs.rename(tmpFile, file);
+      this._track(file, { key, size: Buffer.byteLength(contents), expiresAt: entry.expiresAt });
+      await this._evict();
+    } catch (error) {
+      logger.warn(`File cache write failed for ${key}: ${error.message}`);
+      await fs.unlink(tmpFile).catch(() => {});
+    }
+  }
+
+  /**
+   * Get a value from cache
+   * @param {string} key - Cache key
+   * @returns {Promise<*>} Cached value or undefined
+   */
+  async get(key) {
+    const entry = await this._read(this._fileFor(key));
+    if (!entry || entry.key !== key) {
+      this.misses++;
+      return undefined;
+    }
+
+    // Move to the most recently used position
+    const file = this._fileFor(key);
+    const indexed = this.index.get(file);
+    if (indexed) {
+      this.index.delete(file);
+      this.index.set(file, indexed);
+    }
+    this.hits++;
+    return entry.value;
+  }
+
+  /**
+   * Check if key exists in cache
+   * @param {string} key - Cache key
+   * @returns {Promise<boolean>} True if key exists
+   */
+  async has(key) {
+    const entry = await this._read(this._fileFor(key));
+    return Boolean(entry && entry.key === key);
+  }
+
+  /**
+   * Delete a value from cache
+   * @param {string} key - Cache key
+   * @returns {Promise<boolean>} True if key existed and was deleted
+   */
+  async delete(key) {
+    const file = this._fileFor(key);
+    this._untrack(file);
+    try {
+      await fs.unlink(file);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Clear all cache entries
+   */
+  async clear() {
+    await this.ready;
+    for (const file of await this._listFiles()) {
+      await fs.unlink(file).catch(() => {});
+    }
+    this.index.clear();
+    this.bytes = 0;
+  }
+
+  /**
+   * Get cache statistics from the index, without reading the files
+   * @returns {Promise<Object>} Cache statistics
+   */
+  async stats() {
+    await this.ready;
+    return {
+      backend: this.name,
+      directory: this.directory,
+      size: this.index.size,
+      bytes: this.bytes,
+      maxEntries: this.maxEntries,
+      maxBytes: this.maxBytes,
+      hits: this.hits,
+      misses: this.misses,
+      evictions: this.evictions,
+      keys: this.listKeys()
+    };
+  }
+
+  /**
+   * Keys of the indexed entries, for the per-prefix entry metrics
+   * @returns {Array<string>} Keys, including expired entries not yet swept
+   */
+  listKeys() {
+    return Array.from(this.index.values(), entry => entry.key);
+  }
+
+  /**
+   * Removes the files of expired entries, which would otherwise stay until read again
+   * @returns {Promise<number>} Entries removed
+   */
+  async sweep() {
+    await this.ready;
+    const now = Date.now();
+    const expired = Array.from(this.index)
+      .filter(([, entry]) => entry.expiresAt !== null && entry.expiresAt <= now)
+      .map(([file]) => file);
+
+    for (const file of expired) {
+      this._untrack(file);
+      await fs.unlink(file).catch(() => {});
+    }
+    if (expired.length > 0) {
+      logger.debug(`Swept ${expired.length} expired file cache entries`);
+    }
+    return expired.length;
+  }
+
+  /**
+   * Checks that the cache directory exists and is writable. Throws if it isn't.
+   */
+  async ping() {
+    await this.ready;
+    await fs.access(this.directory, fsConstants.W_OK);
+  }
+
+  /**
+   * Stops the sweep; entries are kept for the next start
+   */
+  async close() {
+    clearInterval(this.sweepTimer);
+  }
+
+  /**
+   * Reads an entry file, removing it if it has expired or is unreadable
+   * @private
+   */
+  async _read(file) {
+    let entry;
+    try {
+      entry = JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      this._untrack(file);
+      if (error.code !== 'ENOENT') {
+        logger.warn(`Discarding unreadable cache file ${file}: ${error.message}`);
+        await fs.unlink(file).catch(() => {});
+      }
+      return null;
+    }
+
+    if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      this._untrack(file);
+      await fs.unlink(file).catch(() => {});
+      return null;
+    }
+    return entry;
+  }
+
+  /**
+   * Indexes the entries left by earlier runs, least recently written first,
+   * dropping expired ones and any beyond the bounds
+   * @private
+   */
+  async _loadIndex() {
+    const found = [];
+    for (const file of await this._listFiles()) {
+      const entry = await this._read(file);
+      const stat = entry && await fs.stat(file).catch(() => null);
+      if (stat) {
+        found.push({ file, mtime: stat.mtimeMs, entry: { key: entry.key, size: stat.size, expiresAt: entry.expiresAt } });
+      }
+    }
+
+    found.sort((a, b) => a.mtime - b.mtime);
+    for (const { file, entry } of found) {
+      this._track(file, entry);
+    }
+    await this._evict();
+    if (found.length > 0) {
+      logger.info(`File cache holds ${this.index.size} entries (${this.bytes} bytes) from earlier runs`);
+    }
+  }
+
+  /**
+   * Adds or replaces an entry in the index as the most recently used one
+   * @private
+   */
+  _track(file, entry) {
+    this._untrack(file);
+    this.index.set(file, entry);
+    this.bytes += entry.size;
+  }
+
+  /**
+   * @private
+   */
+  _untrack(file) {
+    const entry = this.index.get(file);
+    if (entry) {
+      this.bytes -= entry.size;
+      this.index.delete(file);
+    }
+  }
+
+  /**
+   * Removes least recently used entries until the cache is within its bounds
+   * @private
+   */
+  async _evict() {
+    while (
+      (this.maxEntries && this.index.size > this.maxEntries) ||
+      (this.maxBytes && this.bytes > this.maxBytes)
+    ) {
+      const oldestFile = this.index.keys().next().value;
+      this._untrack(oldestFile);
+      this.evictions++;
+      await fs.unlink(oldestFile).catch(() => {});
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _listFiles() {
+    const names = await fs.readdir(this.directory);
+    return names
+      .filter(name => name.endsWith('.json'))
+      .map(name => path.join(this.directory, name));
+  }
+
+  /**
+   * Maps a key to a filesystem-safe file name
+   * @private
+   */
+  _fileFor(key) {
+    const hash = crypto.createHash('sha1').update(key).digest('hex');
+    return path.join(this.directory, `${hash}.json`);
+  }
+}
+
+module.exports = FileCache;
@@ -0,0 +1,60 @@
+const logger = require('../logger');
+const { config } = require('../../config');
+const metrics = require('../metrics');
+const MemoryCache = require('./memoryCache');
+const FileCache = require('./fileCache');
+const RedisCache = require('./redisCache');
+
+/**
+ * Cache factory. Every backend implements the same async interface:
+ * get, set, has, delete, clear, stats, ping and close. listKeys is synchronous
+ * and returns null when the backend can't list its keys without scanning storage.
+ *
+ * The backend is chosen with CACHE_BACKEND (memory, file or redis).
+ */
+const createCache = (backend = config.cache.backend) => {
+  switch (backend) {
+    case 'memory':
+      return new MemoryCache({
+        maxEntries: config.cache.maxEntries,
+        maxBytes: config.cache.maxBytes
+      });
+    case 'file':
+      return new FileCache({
+        directory: config.cache.fileDir,
+        maxEntries: config.cache.fileMaxEntries,
+        maxBytes: config.cache.fileMaxBytes
+      });
+    case 'redis':
+      return new RedisCache({
+        url: config.cache.redisUrl,
+        prefix: config.cache.redisKeyPrefix,
+        scanInterval: config.cache.redisScanInterval
+      });
+    default:
+      throw new Error(`Unknown cache backend "${backend}" (expected memory, file or redis)`);
+  }
+};
+
+/**
+ * Counts hits and misses per key prefix for every backend
+ * @param {Object} cache - Cache backend
+ * @returns {Object} The same backend
+ */
+const instrumentCache = (cache) => {
+  const get = cache.get.bind(cache);
+  cache.get = async (key) => {
+    const value = await get(key);
+    metrics.cacheRequests.inc({
+      prefix: metrics.cacheKeyPrefix(key),
+      result: value === undefined ? 'miss' : 'hit'
+    });
+    return value;
+  };
+  return cache;
+};
+
+const cache = instrumentCache(createCache());
+logger.info(`Using ${cache.name} cache backend`);
+
+module.exports = cache;
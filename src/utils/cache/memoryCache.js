@@ -0,0 +1,182 @@
+/**
+ * In-memory cache with TTL and LRU eviction bounded by entry count and size
+ */
+class MemoryCache {
+  /**
+   * @param {Object} options - Cache options
+   * @param {number} options.maxEntries - Maximum number of entries (0 for unlimited)
+   * @param {number} options.maxBytes - Maximum approximate size in bytes (0 for unlimited)
+   */
+  constructor({ maxEntries = 0, maxBytes = 0 } = {}) {
+    this.name = 'memory';
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    // Map iteration order doubles as recency order: oldest first
+    this.cache = new Map();
+    this.bytes = 0;
+    this.hits = 0;
+    this.misses = 0;
+    this.evictions = 0;
+  }
+
+  /**
+   * Set a value in cache with optional TTL
+   * @param {string} key - Cache key
+   * @param {*} value - Value to cache
+   * @param {number} ttl - Time to live in milliseconds
+   */
+  async set(key, value, ttl = null) {
+    this._remove(key);
+
+    const size = this._sizeOf(key, value);
+    if (this.maxBytes && size > this.maxBytes) {
+      return;
+    }
+
+    this.cache.set(key, {
+      value,
+      size,
+      expiresAt: ttl && ttl > 0 ? Date.now() + ttl : null
+    });
+    this.bytes += size;
+
+    this._evict();
+  }
+
+  /**
+   * Get a value from cache
+   * @param {string} key - Cache key
+   * @returns {Promise<*>} Cached value or undefined
+   */
+  async get(key) {
+    const entry = this._getEntry(key);
+    if (!entry) {
+      this.misses++;
+      return undefined;
+    }
+
+    // Move to the most recently used position
+    this.cache.delete(key);
+    this.cache.set(key, entry);
+    this.hits++;
+    return entry.value;
+  }
+
+  /**
+   * Check if key exists in cache
+   * @param {string} key - Cache key
+   * @returns {Promise<boolean>} True if key exists
+   */
+  async has(key) {
+    return Boolean(this._getEntry(key));
+  }
+
+  /**
+   * Delete a value from cache
+   * @param {string} key - Cache key
+   * @returns {Promise<boolean>} True if key existed and was deleted
+   */
+  async delete(key) {
+    return this._remove(key);
+  }
+
+  /**
+   * Clear all cache entries
+   */
+  async clear() {
+    this.cache.clear();
+    this.bytes = 0;
+  }
+
+  /**
+   * Get cache statistics
+   * @returns {Promise<Object>} Cache statistics
+   */
+  async stats() {
+    return {
+      backend: this.name,
+      size: this.cache.size,
+      bytes: this.bytes,
+      maxEntries: this.maxEntries,
+      maxBytes: this.maxBytes,
+      hits: this.hits,
+      misses: this.misses,
+      evictions: this.evictions,
+      keys: Array.from(this.cache.keys())
+    };
+  }
+
+  /**
+   * Keys currently held, for the per-prefix entry metrics
+   * @returns {Array<string>} Keys, including expired entries not yet dropped
+   */
+  listKeys() {
+    return Array.from(this.cache.keys());
+  }
+
+  /**
+   * Checks that the backend can serve requests; always true in memory
+   */
+  async ping() {}
+
+  /**
+   * Drops every entry, which is all the in-memory backend holds
+   */
+  async close() {
+    await this.clear();
+  }
+
+  /**
+   * Returns the live entry for a key, dropping it if it has expired
+   * @private
+   */
+  _getEntry(key) {
+    const entry = this.cache.get(key);
+    if (!entry) {
+      return null;
+    }
+    if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      this._remove(key);
+      return null;
+    }
+    return entry;
+  }
+
+  /**
+   * @private
+   */
+  _remove(key) {
+    const entry = this.cache.get(key);
+    if (!entry) {
+      return false;
+    }
+    this.bytes -= entry.size;
+    return this.cache.delete(key);
+  }
+
+  /**
+   * Evicts least recently used entries until the cache is within its bounds
+   * @private
+   */
+  _evict() {
+    while (
+      (this.maxEntries && this.cache.size > this.maxEntries) ||
+      (this.maxBytes && this.bytes > this.maxBytes)
+    ) {
+      const oldestKey = this.cache.keys().next().value;
+      this._remove(oldestKey);
+      this.evictions++;
+    }
+  }
+
+  /**
+   * Approximates the memory footprint of an entry from its serialized size
+   * @private
+   */
+  _sizeOf(key, value) {
+    const serialized = value === undefined ? '' : JSON.stringify(value);
+    return Buffer.byteLength(key) + Buffer.byteLength(serialized || '');
+  }
+}
+
+module.exports = MemoryCache;
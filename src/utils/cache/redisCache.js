@@ -0,0 +1,188 @@
+const logger = require('../logger');
+
+/**
+ * Cache adapter for Redis and Redis-protocol compatible servers (KeyDB, Dragonfly, Valkey).
+ * Values are stored as JSON under a common key prefix so several instances can share them.
+ * Connection problems degrade to cache misses instead of failing requests.
+ */
+class RedisCache {
+  /**
+   * @param {Object} options - Cache options
+   * @param {string} options.url - Connection URL, e.g. redis://localhost:6379/0
+   * @param {string} options.prefix - Prefix applied to every key
+   * @param {number} options.scanInterval - How often the keys are listed for listKeys, in ms (0 to never)
+   */
+  constructor({ url, prefix = 'cities-pollution:', scanInterval = 0 }) {
+    // Required lazily so the dependency is only loaded when this backend is configured
+    const Redis = require('ioredis');
+
+    this.name = 'redis';
+    this.prefix = prefix;
+    this.hits = 0;
+    this.misses = 0;
+    this.client = new Redis(url, {
+      maxRetriesPerRequest: 1,
+      enableOfflineQueue: false,
+      lazyConnect: false
+    });
+
+    this.client.on('error', (error) => {
+      logger.warn(`Redis cache error: ${error.message}`);
+    });
+
+    // Keys found by the last scan; scanning on every metrics scrape would be too slow
+    this.keys = null;
+    this.scanTimer = null;
+    if (scanInterval > 0) {
+      this.client.once('ready', () => this._refreshKeys());
+      this.scanTimer = setInterval(() => this._refreshKeys(), scanInterval);
+      this.scanTimer.unref();
+    }
+  }
+
+  /**
+   * Set a value in cache with optional TTL
+   * @param {string} key - Cache key
+   * @param {*} value - Value to cache
+   * @param {number} ttl - Time to live in milliseconds
+   */
+  async set(key, value, ttl = null) {
+    try {
+      const payload = JSON.stringify({ value });
+      if (ttl && ttl > 0) {
+        await this.client.set(this.prefix + key, payload, 'PX', Math.ceil(ttl));
+      } else {
+        await this.client.set(this.prefix + key, payload);
+      }
+    } catch (error) {
+      logger.warn(`Redis cache write failed for ${key}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a value from cache
+   * @param {string} key - Cache key
+   * @returns {Promise<*>} Cached value or undefined
+   */
+  async get(key) {
+    try {
+      const payload = await this.client.get(this.prefix + key);
+      if (payload === null) {
+        this.misses++;
+        return undefined;
+      }
+      this.hits++;
+      return JSON.parse(payload).value;
+    } catch (error) {
+      logger.warn(`Redis cache read failed for ${key}: ${error.message}`);
+      this.misses++;
+      return undefined;
+    }
+  }
+
+  /**
+   * Check if key exists in cache
+   * @param {string} key - Cache key
+   * @returns {Promise<boolean>} True if key exists
+   */
+  async has(key) {
+    try {
+      return (await this.client.exists(this.prefix + key)) === 1;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Delete a value from cache
+   * @param {string} key - Cache key
+   * @returns {Promise<boolean>} True if key existed and was deleted
+   */
+  async delete(key) {
+    try {
+      return (await this.client.del(this.prefix + key)) === 1;
+    } catch (error) {
+      logger.warn(`Redis cache delete failed for ${key}: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Clear all cache entries under this instance's prefix
+   */
+  async clear() {
+    const keys = await this._scanKeys();
+    if (keys.length > 0) {
+      await this.client.del(...keys);
+    }
+  }
+
+  /**
+   * Get cache statistics
+   * @returns {Promise<Object>} Cache statistics
+   */
+  async stats() {
+    const keys = await this._scanKeys().catch(() => []);
+    return {
+      backend: this.name,
+      status: this.client.status,
+      size: keys.length,
+      hits: this.hits,
+      misses: this.misses,
+      keys: keys.map(key => key.slice(this.prefix.length))
+    };
+  }
+
+  /**
+   * Keys found by the last periodic scan, which may miss the writes since then
+   * @returns {Array<string>|null} Keys, or null before the first scan or after a failed one
+   */
+  listKeys() {
+    return this.keys;
+  }
+
+  /**
+   * Checks that the server answers. Throws if it doesn't.
+   */
+  async ping() {
+    await this.client.ping();
+  }
+
+  /**
+   * Closes the connection; entries are kept for other instances and the next start
+   */
+  async close() {
+    clearInterval(this.scanTimer);
+    await this.client.quit().catch(() => this.client.disconnect());
+  }
+
+  /**
+   * Replaces the listed keys with a fresh scan
+   * @private
+   */
+  async _refreshKeys() {
+    try {
+      this.keys = (await this._scanKeys()).map(key => key.slice(this.prefix.length));
+    } catch (error) {
+      logger.warn(`Redis key scan failed: ${error.message}`);
+      this.keys = null;
+    }
+  }
+
+  /**
+   * Lists every key under the prefix without blocking the server
+   * @private
+   */
+  async _scanKeys() {
+    const keys = [];
+    let cursor = '0';
+    do {
+      const [nextCursor, batch] = await this.client.scan(cursor, 'MATCH', `${this.prefix}*`, 'COUNT', 500);
+      keys.push(...batch);
+      cursor = nextCursor;
+    } while (cursor !== '0');
+    return keys;
+  }
+}
+
+module.exports = RedisCache;
@@ -0,0 +1,88 @@
+const logger = require('../logger');
+const SingleFlight = require('../singleFlight');
+
+const flights = new SingleFlight();
+
+/**
+ * Reads a key through the cache with stale-while-revalidate semantics.
+ *
+ * - fresh entry: served as a hit
+ * - expired entry still inside the grace period: served as stale while one
+ *   background refresh runs
+ * - missing entry: loaded once, concurrent callers share the same load
+ *
+ * @param {Object} cache - Cache backend
+ * @param {string} key - Cache key
+ * @param {Function} loader - Async function producing the value
+ * @param {Object} options - Timing options
+ * @param {number} options.ttl - Freshness lifetime in milliseconds
+ * @param {number} options.grace - How long an expired entry may still be served, in milliseconds
+ * @returns {Promise<{value: *, status: string, age: number, ttl: number, collapsed: boolean}>}
+ *   status is one of 'hit', 'stale' or 'miss'; age and ttl are in seconds
+ */
+const getOrRevalidate = async (cache, key, loader, { ttl, grace = 0 }) => {
+  const entry = await cache.get(key);
+
+  if (entry && typeof entry.storedAt === 'number') {
+    const ageMs = Date.now() - entry.storedAt;
+    const result = {
+      value: entry.value,
+      age: Math.floor(ageMs / 1000),
+      ttl: Math.floor((ttl - ageMs) / 1000),
+      collapsed: false
+    };
+
+    if (ageMs < ttl) {
+      return { ...result, status: 'hit' };
+    }
+
+    if (ageMs < ttl + grace) {
+      revalidate(cache, key, loader, { ttl, grace });
+      return { ...result, status: 'stale' };
+    }
+  }
+
+  const { value, shared } = await flights.do(key, () => load(cache, key, loader, { ttl, grace }));
+  return { value, status: 'miss', age: 0, ttl: Math.floor(ttl / 1000), collapsed: shared };
+};
+
+/**
+ * Starts a background refresh unless one is already running for the key
+ */
+const revalidate = (cache, key, loader, options) => {
+  flights.do(key, () => load(cache, key, loader, options))
+    .catch((error) => {
+      logger.warn(`Background revalidation failed for ${key}: ${error.message}`);
+    });
+};
+
+/**
+ * Runs the loader and stores its value with a timestamp
+ */
+const load = async (cache, key, loader, { ttl, grace }) => {
+  const value = await loader();
+  await cache.set(key, { value, storedAt: Date.now() }, ttl + grace);
+  return value;
+};
+
+/**
+ * Formats an RFC 9211 Cache-Status header value for a lookup result
+ * @param {Object} result - Result of getOrRevalidate
+ * @returns {string} Header value
+ */
+const formatCacheStatus = (result) => {
+  const cacheName = 'cities-pollution-api';
+  switch (result.status) {
+    case 'hit':
+      return `${cacheName}; hit; ttl=${result.ttl}`;
+    case 'stale':
+      return `${cacheName}; hit; ttl=${result.ttl}; detail=stale-while-revalidate`;
+    default:
+      return `${cacheName}; fwd=uri-miss; stored${result.collapsed ? '; collapsed' : ''}`;
+  }
+};
+
+module.exports = {
+  getOrRevalidate,
+  formatCacheStatus
+};
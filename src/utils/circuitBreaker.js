@@ -0,0 +1,136 @@
+const logger = require('./logger');
+
+const STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open'
+};
+
+/**
+ * Error thrown when a call is rejected because the circuit is open
+ */
+class CircuitOpenError extends Error {
+  constructor(name, retryAt) {
+    super(`Circuit "${name}" is open, upstream calls are suspended`);
+    this.name = 'CircuitOpenError';
+    this.statusCode = 503;
+    this.retryAt = retryAt;
+  }
+}
+
+/**
+ * Circuit breaker that stops calling a failing upstream for a cool-down period.
+ * Once the period is over a single trial call is let through; other calls keep
+ * failing fast until it settles.
+ */
+class CircuitBreaker {
+  /**
+   * @param {string} name - Name used in logs and errors
+   * @param {Object} options - Breaker options
+   * @param {number} options.failureThreshold - Consecutive failures before opening
+   * @param {number} options.resetTimeout - Time in milliseconds before a trial call is allowed
+   * @param {Function} options.isFailure - Decides whether an error counts against the
+   *   upstream (default: every error). Errors it rejects, such as 4xx answers, show the
+   *   upstream is reachable and count as successes.
+   */
+  constructor(name, { failureThreshold = 5, resetTimeout = 30000, isFailure = () => true } = {}) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.resetTimeout = resetTimeout;
+    this.isFailure = isFailure;
+    this.state = STATES.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Runs the given function through the breaker
+   * @param {Function} fn - Async function performing the upstream call
+   * @returns {Promise<*>} Result of fn
+   */
+  async execute(fn) {
+    if (this.isOpen()) {
+      throw new CircuitOpenError(this.name, new Date(this.openedAt + this.resetTimeout));
+    }
+
+    const trial = this.state !== STATES.CLOSED;
+    if (trial) {
+      this.state = STATES.HALF_OPEN;
+      this.trialInFlight = true;
+      logger.info(`Circuit "${this.name}" half-open, allowing trial request`);
+    }
+
+    try {
+      const result = await fn();
+      this._onSuccess();
+      return result;
+    } catch (error) {
+      if (this.isFailure(error)) {
+        this._onFailure();
+      } else {
+        this._onSuccess();
+      }
+      throw error;
+    } finally {
+      if (trial) {
+        this.trialInFlight = false;
+      }
+    }
+  }
+
+  /**
+   * Returns true while calls are being rejected: during the cool-down period
+   * and while the trial call is in flight
+   * @returns {boolean}
+   */
+  isOpen() {
+    if (this.state === STATES.HALF_OPEN) {
+      return this.trialInFlight;
+    }
+    return this.state === STATES.OPEN && Date.now() - this.openedAt < this.resetTimeout;
+  }
+
+  /**
+   * Current state, for health checks
+   * @returns {{state: string, failures: number, retryAt: string|null}} retryAt is when
+   *   an open circuit allows its next trial request
+   */
+  getStatus() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      retryAt: this.state === STATES.OPEN ? new Date(this.openedAt + this.resetTimeout).toISOString() : null
+    };
+  }
+
+  /**
+   * @private
+   */
+  _onSuccess() {
+    if (this.state !== STATES.CLOSED) {
+      logger.info(`Circuit "${this.name}" closed`);
+    }
+    this.state = STATES.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  /**
+   * @private
+   */
+  _onFailure() {
+    this.failures++;
+    if (this.state === STATES.HALF_OPEN || this.failures >= this.failureThreshold) {
+      this.state = STATES.OPEN;
+      this.openedAt = Date.now();
+      logger.warn(`Circuit "${this.name}" opened after ${this.failures} consecutive failures`);
+    }
+  }
+}
+
+module.exports = {
+  CircuitBreaker,
+  CircuitOpenError,
+  STATES
+};
@@ -0,0 +1,138 @@
+const { foldText, nameKey } = require('./textNormalizer');
+const countryRegistry = require('./countryRegistry');
+const { parseBoundingBox, isInBoundingBox } = require('./geo');
+
+const SORT_FIELDS = ['pollution', 'name', 'country'];
+
+// Natural direction for each sort field when no order is given
+const DEFAULT_ORDER = {
+  pollution: 'desc',
+  name: 'asc',
+  country: 'asc'
+};
+
+/**
+ * Identifies a city the way duplicate entries are merged: by its name key and
+ * the registry key of its country, so "Łódź, Poland" and "Lodz, PL" are one city
+ * @param {string} name - City name
+ * @param {string} country - Country name or code
+ * @returns {string} City key
+ */
+const cityKey = (name, country) => `${nameKey(name)}|${countryRegistry.matchKey(country)}`;
+
+/**
+ * Splits a query value that may be repeated (?a=1&a=2) or comma-separated (?a=1,2)
+ * @param {string|Array|undefined} value - Raw query value
+ * @returns {Array<string>} Trimmed, non-empty values
+ */
+const toList = (value) => {
+  if (value === undefined) {
+    return [];
+  }
+  return [].concat(value)
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+};
+
+/**
+ * Turns validated request query parameters into normalized list criteria
+ * @param {Object} query - Express req.query
+ * @param {string} language - Resolved description language
+ * @returns {Object} Criteria for applyCityQuery
+ */
+const parseCityQuery = (query, language = 'en') => {
+  const sort = query.sort || 'pollution';
+  const page = parseInt(query.page) || 1;
+  const limit = parseInt(query.limit) || 10;
+
+  return {
+    language,
+    page,
+    limit,
+    offset: (page - 1) * limit,
+    sort,
+    order: query.order || DEFAULT_ORDER[sort],
+    minPollution: query.minPollution !== undefined ? parseFloat(query.minPollution) : null,
+    maxPollution: query.maxPollution !== undefined ? parseFloat(query.maxPollution) : null,
+    q: query.q ? nameKey(query.q) || null : null,
+    countries: Array.from(new Set(toList(query.country).map(value => countryRegistry.matchKey(value)))).sort(),
+    categories: Array.from(new Set(toList(query.category))).sort(),
+    bbox: query.bbox ? parseBoundingBox(query.bbox) : null
+  };
+};
+
+/**
+ * Filters and sorts ranked cities according to the criteria. Pagination is left to the caller.
+ * The bbox filter only matches cities that carry known coordinates.
+ * @param {Array} cities - Cities ranked by pollution, highest first
+ * @param {Object} criteria - Result of parseCityQuery
+ * @returns {Array} Matching cities in the requested order
+ */
+const applyCityQuery = (cities, criteria) => {
+  const { sort, order, minPollution, maxPollution, q, countries, categories, bbox } = criteria;
+  const countrySet = new Set(countries);
+  const categorySet = new Set(categories);
+
+  const matching = cities.filter((city) => {
+    if (countrySet.size > 0 && !countrySet.has(city.countryCode)) return false;
+    if (minPollution !== null && city.pollution < minPollution) return false;
+    if (maxPollution !== null && city.pollution > maxPollution) return false;
+    if (q && !nameKey(city.name).includes(q)) return false;
+    if (categorySet.size > 0 && !categorySet.has(city.airQuality.categoryId)) return false;
+    if (bbox && !(city.coordinates && isInBoundingBox(city.coordinates, bbox))) return false;
+    return true;
+  });
+
+  const direction = order === 'asc' ? 1 : -1;
+  const compare = sort === 'pollution'
+    ? (a, b) => a.pollution - b.pollution
+    : (a, b) => foldText(a[sort]).localeCompare(foldText(b[sort]));
+
+  // Ties keep the pollution ranking
+  return matching
+    .map((city, index) => ({ city, index }))
+    .sort((a, b) => direction * compare(a.city, b.city) || a.index - b.index)
+    .map(entry => entry.city);
+};
+
+/**
+ * Describes the filters and sort order of the criteria, leaving out the
+ * position, page size and language, which don't change the matching cities
+ * @param {Object} criteria - Result of parseCityQuery
+ * @returns {string} Key that is unique for each filter combination
+ */
+const cityFilterKey = (criteria) => {
+  const { sort, order, minPollution, maxPollution, q, countries, categories, bbox } = criteria;
+  return [
+    `${sort}:${order}`,
+    `min:${minPollution ?? ''}`,
+    `max:${maxPollution ?? ''}`,
+    `q:${q || ''}`,
+    `country:${countries.join(',')}`,
+    `category:${categories.join(',')}`,
+    `bbox:${bbox ? [bbox.minLon, bbox.minLat, bbox.maxLon, bbox.maxLat].join(',') : ''}`
+  ].join('_');
+};
+
+/**
+ * Builds a cache key that is unique for each page of each filter combination
+ * within a dataset snapshot
+ * @param {Object} criteria - Result of parseCityQuery
+ * @param {string} version - Version of the snapshot the page is built from
+ * @returns {string} Cache key
+ */
+const cityQueryCacheKey = (criteria, version) => {
+  const { language, offset, limit } = criteria;
+  return ['cities', version, language, offset, limit, cityFilterKey(criteria)].join('_');
+};
+
+module.exports = {
+  SORT_FIELDS,
+  cityKey,
+  toList,
+  parseCityQuery,
+  applyCityQuery,
+  cityFilterKey,
+  cityQueryCacheKey
+};
@@ -0,0 +1,85 @@
+/**
+ * Tracks the connections of an HTTP server so it can be closed gracefully:
+ * new connections are refused, idle keep-alive connections are closed at once
+ * and busy ones as soon as their last response has been sent.
+ */
+class ConnectionDrainer {
+  /**
+   * @param {Object} server - HTTP server
+   */
+  constructor(server) {
+    this.server = server;
+    // Requests in progress per open connection
+    this.connections = new Map();
+    this.draining = false;
+
+    server.on('connection', (socket) => {
+      this.connections.set(socket, 0);
+      socket.once('close', () => this.connections.delete(socket));
+    });
+
+    server.on('request', (req, res) => {
+      const { socket } = req;
+      this.connections.set(socket, (this.connections.get(socket) || 0) + 1);
+      if (this.draining) {
+        res.setHeader('Connection', 'close');
+      }
+
+      res.once('close', () => {
+        const active = (this.connections.get(socket) || 1) - 1;
+        this.connections.set(socket, active);
+        if (this.draining && active === 0) {
+          socket.end();
+        }
+      });
+    });
+  }
+
+  /**
+   * Requests in progress across all connections
+   */
+  get inFlight() {
+    let total = 0;
+    for (const active of this.connections.values()) {
+      total += active;
+    }
+    return total;
+  }
+
+  /**
+   * Stops accepting connections and waits for the requests in progress.
+   * Connections still busy after the timeout are cut.
+   * @param {number} timeout - Longest wait in milliseconds
+   * @returns {Promise<{drained: boolean, cut: number}>} Whether every request
+   *   finished in time, and how many were cut otherwise
+   */
+  async drain(timeout) {
+    this.draining = true;
+    const closed = new Promise(resolve => this.server.close(() => resolve()));
+
+    for (const [socket, active] of this.connections) {
+      if (active === 0) {
+        socket.end();
+      }
+    }
+
+    let timer;
+    const timedOut = new Promise((resolve) => {
+      timer = setTimeout(() => resolve(true), timeout);
+    });
+    const expired = await Promise.race([closed.then(() => false), timedOut]);
+    clearTimeout(timer);
+    if (!expired) {
+      return { drained: true, cut: 0 };
+    }
+
+    const cut = this.inFlight;
+    for (const socket of this.connections.keys()) {
+      socket.destroy();
+    }
+    await closed;
+    return { drained: false, cut };
+  }
+}
+
+module.exports = ConnectionDrainer;
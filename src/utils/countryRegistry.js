@@ -0,0 +1,66 @@
+const path = require('path');
+const logger = require('./logger');
+const { nameKey } = require('./textNormalizer');
+
+const COUNTRIES_PATH = path.join(__dirname, '..', 'config', 'countries.json');
+
+/**
+ * ISO 3166 country registry. Resolves alpha-2 and alpha-3 codes, English
+ * names and common aliases ("DE", "DEU", "Germany", "deutschland ") to one
+ * canonical country.
+ */
+class CountryRegistry {
+  /**
+   * @param {Array} countries - Entries with alpha2, alpha3, name and aliases
+   */
+  constructor(countries = require(COUNTRIES_PATH)) {
+    this.countries = countries;
+    this.lookup = new Map();
+
+    for (const country of countries) {
+      for (const form of [country.alpha2, country.alpha3, country.name, ...country.aliases]) {
+        const key = nameKey(form);
+        const existing = this.lookup.get(key);
+        if (existing && existing !== country) {
+          logger.warn(`Country form "${form}" is ambiguous between ${existing.alpha2} and ${country.alpha2}, keeping ${existing.alpha2}`);
+          continue;
+        }
+        this.lookup.set(key, country);
+      }
+    }
+  }
+
+  /**
+   * Finds the country for a code, name or alias
+   * @param {string} value - Any known form of the country
+   * @returns {{alpha2: string, alpha3: string, name: string, aliases: Array<string>}|null}
+   */
+  resolve(value) {
+    if (typeof value !== 'string') {
+      return null;
+    }
+    return this.lookup.get(nameKey(value)) || null;
+  }
+
+  /**
+   * Checks whether a value names a known country
+   * @param {string} value - Any form of the country
+   * @returns {boolean}
+   */
+  isKnown(value) {
+    return this.resolve(value) !== null;
+  }
+
+  /**
+   * Key for comparing country values: the alpha-2 code when the country is
+   * known, otherwise the folded text
+   * @param {string} value - Any form of the country
+   * @returns {string} Comparison key
+   */
+  matchKey(value) {
+    const country = this.resolve(value);
+    return country ? country.alpha2 : nameKey(value);
+  }
+}
+
+module.exports = new CountryRegistry();
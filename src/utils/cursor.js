@@ -0,0 +1,52 @@
+/**
+ * Opaque cursor tokens for the cities list. A cursor pins a position in one
+ * dataset snapshot, so pages don't shift when the data is refreshed while a
+ * client is scrolling, and is only valid with the filters it was issued for.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Short digest of the list filters, which keeps tokens short whatever the query
+ */
+const digest = filters => crypto.createHash('sha1').update(filters).digest('base64url').slice(0, 10);
+
+/**
+ * @param {Object} position - Where the cursor points
+ * @param {string} position.version - Snapshot version
+ * @param {number} position.offset - Index of the first city of the page
+ * @param {string} position.filters - cityFilterKey of the list criteria
+ * @returns {string} URL-safe token
+ */
+const encodeCursor = ({ version, offset, filters }) =>
+  Buffer.from(JSON.stringify({ v: version, o: offset, f: digest(filters) })).toString('base64url');
+
+/**
+ * @param {string} token - Token produced by encodeCursor
+ * @returns {{version: string, offset: number, filters: string}|null} The position,
+ *   with the digest of its filters, or null when the token is malformed
+ */
+const decodeCursor = (token) => {
+  try {
+    const { v, o, f } = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+    if (typeof v !== 'string' || !Number.isInteger(o) || o < 0 || typeof f !== 'string') {
+      return null;
+    }
+    return { version: v, offset: o, filters: f };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * @param {Object} cursor - Result of decodeCursor
+ * @param {string} filters - cityFilterKey of the current list criteria
+ * @returns {boolean} True when the cursor was issued for these filters
+ */
+const isCursorFor = (cursor, filters) => cursor.filters === digest(filters);
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  isCursorFor
+};
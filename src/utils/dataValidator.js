@@ -1,79 +1,143 @@
 const logger = require('./logger');
+const { config } = require('../config');
+const airQuality = require('./airQuality');
+const countryRegistry = require('./countryRegistry');
+const validationRules = require('./validationRules');
+const metrics = require('./metrics');
+const { nameKey } = require('./textNormalizer');
+const { cityKey } = require('./cityQuery');
+
+// Machine-readable reasons an entry can be rejected for
+const REJECTION_REASONS = {
+  NOT_AN_OBJECT: 'Entry is not an object',
+  MISSING_FIELD: 'Name, country or pollution is missing',
+  NAME_NOT_STRING: 'Name is not a string',
+  NAME_LENGTH: 'Name is empty or outside the length allowed by the validation rules',
+  NAME_NUMERIC: 'Name is purely or mostly numeric',
+  NAME_NO_LETTERS: 'Name contains no letters',
+  NAME_PLACEHOLDER: 'Name is a test or null placeholder such as "test" or "n/a"',
+  NAME_SPECIAL_CHARACTERS: 'Name consists of brackets only',
+  NAME_ADMINISTRATIVE_DIVISION: 'Name ends with region, province, state, county or district',
+  NAME_DENYLISTED: 'Name is on the denylist of the validation rules',
+  SUSPICIOUS_WORD: 'Single-word name containing a non-city word such as "ocean" or "station"',
+  COUNTRY_INVALID: 'Country is not a string of 2 to 100 characters',
+  COUNTRY_UNKNOWN: 'Country is not a known ISO 3166 code, name or alias',
+  POLLUTION_NOT_NUMERIC: 'Pollution is not a finite number',
+  POLLUTION_OUT_OF_RANGE: 'Pollution is outside the range allowed by the validation rules'
+};
 
 /**
- * Utility class for validating and filtering city data
+ * Utility class for validating and filtering city data. Name patterns, suspicious
+ * words, the pollution range, allowlists and denylists come from the validation
+ * rules file (see validationRules).
  */
 class DataValidator {
   constructor() {
-    // Common patterns that indicate non-city entries
-    this.invalidPatterns = [
-      /^[0-9]+$/,                    // Pure numbers
-      /^[^a-zA-Z]*$/,                // No letters
-      /^\s*$/,                       // Empty or whitespace only
-      /^(test|sample|dummy|fake)$/i, // Test data indicators
-      /^(n\/a|null|undefined)$/i,    // Null indicators
-      /^[<>{}[\]()]+$/,              // Special characters only
-      /(region|province|state|county|district)$/i // Administrative divisions
-    ];
-
-    // Words that commonly appear in non-city entries
-    this.suspiciousWords = [
-      'ocean', 'sea', 'river', 'lake', 'mountain', 'desert', 'forest',
-      'airport', 'station', 'port', 'base', 'facility',
-      'region', 'area', 'zone', 'sector', 'district'
-    ];
-
-    // Valid country names or codes (simplified list - could be expanded)
-    this.validCountryCodes = new Set([
-      'AD', 'AE', 'AF', 'AG', 'AI', 'AL', 'AM', 'AO', 'AQ', 'AR', 'AS', 'AT',
-      'AU', 'AW', 'AX', 'AZ', 'BA', 'BB', 'BD', 'BE', 'BF', 'BG', 'BH', 'BI',
-      'BJ', 'BL', 'BM', 'BN', 'BO', 'BQ', 'BR', 'BS', 'BT', 'BV', 'BW', 'BY',
-      'BZ', 'CA', 'CC', 'CD', 'CF', 'CG', 'CH', 'CI', 'CK', 'CL', 'CM', 'CN',
-      'CO', 'CR', 'CU', 'CV', 'CW', 'CX', 'CY', 'CZ', 'DE', 'DJ', 'DK', 'DM',
-      'DO', 'DZ', 'EC', 'EE', 'EG', 'EH', 'ER', 'ES', 'ET', 'FI', 'FJ', 'FK',
-      'FM', 'FO', 'FR', 'GA', 'GB', 'GD', 'GE', 'GF', 'GG', 'GH', 'GI', 'GL',
-      'GM', 'GN', 'GP', 'GQ', 'GR', 'GS', 'GT', 'GU', 'GW', 'GY', 'HK', 'HM',
-      'HN', 'HR', 'HT', 'HU', 'ID', 'IE', 'IL', 'IM', 'IN', 'IO', 'IQ', 'IR',
-      'IS', 'IT', 'JE', 'JM', 'JO', 'JP', 'KE', 'KG', 'KH', 'KI', 'KM', 'KN',
-      'KP', 'KR', 'KW', 'KY', 'KZ', 'LA', 'LB', 'LC', 'LI', 'LK', 'LR', 'LS',
-      'LT', 'LU', 'LV', 'LY', 'MA', 'MC', 'MD', 'ME', 'MF', 'MG', 'MH', 'MK',
-      'ML', 'MM', 'MN', 'MO', 'MP', 'MQ', 'MR', 'MS', 'MT', 'MU', 'MV', 'MW',
-      'MX', 'MY', 'MZ', 'NA', 'NC', 'NE', 'NF', 'NG', 'NI', 'NL', 'NO', 'NP',
-      'NR', 'NU', 'NZ', 'OM', 'PA', 'PE', 'PF', 'PG', 'PH', 'PK', 'PL', 'PM',
-      'PN', 'PR', 'PS', 'PT', 'PW', 'PY', 'QA', 'RE', 'RO', 'RS', 'RU', 'RW',
-      'SA', 'SB', 'SC', 'SD', 'SE', 'SG', 'SH', 'SI', 'SJ', 'SK', 'SL', 'SM',
-      'SN', 'SO', 'SR', 'SS', 'ST', 'SV', 'SX', 'SY', 'SZ', 'TC', 'TD', 'TF',
-      'TG', 'TH', 'TJ', 'TK', 'TL', 'TM', 'TN', 'TO', 'TR', 'TT', 'TV', 'TW',
-      'TZ', 'UA', 'UG', 'UM', 'US', 'UY', 'UZ', 'VA', 'VC', 'VE', 'VG', 'VI',
-      'VN', 'VU', 'WF', 'WS', 'YE', 'YT', 'ZA', 'ZM', 'ZW'
-    ]);
+    // How duplicate entries of one city are merged into a single record
+    this.mergePolicy = config.dataset.mergePolicy;
   }
 
   /**
-   * Filters and validates city data from raw pollution data
+   * Every reason code an entry can currently be rejected for, including the
+   * custom reasons of the active rules' name patterns
+   * @returns {Object} Descriptions keyed by reason code
+   */
+  get rejectionReasons() {
+    const reasons = { ...REJECTION_REASONS };
+    for (const { reason, description } of validationRules.current.base.patterns) {
+      if (!reasons[reason]) {
+        reasons[reason] = description || 'Name matches a pattern of the validation rules';
+      }
+    }
+    return reasons;
+  }
+
+  /**
+   * Filters and validates city data from raw pollution data, then merges
+   * duplicate entries of the same city
    * @param {Array} rawData - Raw data from pollution API
    * @returns {Array} Array of valid city objects
    */
   filterValidCities(rawData) {
+    return this.auditCities(rawData).cities;
+  }
+
+  /**
+   * Like filterValidCities, but also reports every rejected entry with its reason
+   * @param {Array} rawData - Raw data from pollution API
+   * @param {Object} options - Audit options
+   * @param {Object} options.rules - Compiled validation rules (default: the active rules)
+   * @param {boolean} options.dryRun - Evaluate without logging, e.g. for candidate rules
+   * @returns {{cities: Array, rejections: Array<{reason: string, entry: *}>}}
+   */
+  auditCities(rawData, { rules = validationRules.current, dryRun = false } = {}) {
     if (!Array.isArray(rawData)) {
       logger.warn('Invalid input: expected array');
-      return [];
+      return { cities: [], rejections: [] };
     }
 
-    const validCities = [];
-    let filteredCount = 0;
+    const validEntries = [];
+    const rejections = [];
 
     for (const entry of rawData) {
-      if (this.isValidCity(entry)) {
-        validCities.push(this.normalizeCity(entry));
+      const reason = this.validateCity(entry, rules);
+      if (reason === null) {
+        validEntries.push(entry);
       } else {
-        filteredCount++;
-        logger.debug(`Filtered out invalid entry: ${JSON.stringify(entry)}`);
+        rejections.push({ reason, entry });
+        if (!dryRun) {
+          logger.debug(`Filtered out invalid entry (${reason}): ${JSON.stringify(entry)}`);
+        }
       }
     }
 
-    logger.info(`Filtered out ${filteredCount} invalid entries, kept ${validCities.length} valid cities`);
-    return validCities;
+    const validCities = this.mergeDuplicates(validEntries, this.mergePolicy, { dryRun });
+    if (dryRun) {
+      return { cities: validCities, rejections };
+    }
+
+    this._recordMetrics(rawData.length, validCities.length, rejections);
+    logger.info(`Filtered out ${rejections.length} invalid entries, merged ${validEntries.length - validCities.length} duplicates, kept ${validCities.length} valid cities`);
+    return { cities: validCities, rejections };
+  }
+
+  /**
+   * Groups valid entries that name the same city in the same country, ignoring
+   * case, spacing, diacritics and common transliterations, and merges each group
+   * into one normalized record. Merged records list the raw variants they absorbed.
+   * @param {Array} entries - Valid raw entries, in feed order
+   * @param {string} policy - Merge policy: latest, max or mean
+   * @param {Object} options - Merge options
+   * @param {boolean} options.dryRun - Merge without logging
+   * @returns {Array} Normalized cities, one per group
+   */
+  mergeDuplicates(entries, policy = this.mergePolicy, { dryRun = false } = {}) {
+    const groups = new Map();
+
+    for (const entry of entries) {
+      const key = cityKey(entry.name, entry.country);
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key).push(entry);
+    }
+
+    return Array.from(groups.values()).map((group) => {
+      if (group.length === 1) {
+        return this.normalizeCity(group[0]);
+      }
+
+      const merged = this.normalizeCity(this._mergeGroup(group, policy));
+      merged.variants = group.map(entry => ({
+        name: entry.name,
+        country: entry.country,
+        pollution: parseFloat(entry.pollution)
+      }));
+      if (!dryRun) {
+        logger.debug(`Merged ${group.length} entries for ${merged.name} (${merged.country}) using the ${policy} policy`);
+      }
+      return merged;
+    });
   }
 
   /**
@@ -82,28 +146,36 @@ class DataValidator {
    * @returns {boolean} True if entry is a valid city
    */
   isValidCity(entry) {
+    return this.validateCity(entry) === null;
+  }
+
+  /**
+   * Validates an entry and explains why it isn't a valid city. The country is
+   * checked first because the rules can differ per country.
+   * @param {Object} entry - Data entry to validate
+   * @param {Object} rules - Compiled validation rules (default: the active rules)
+   * @returns {string|null} Rejection reason code (see rejectionReasons), or null if valid
+   */
+  validateCity(entry, rules = validationRules.current) {
     // Check if entry is an object
     if (!entry || typeof entry !== 'object') {
-      return false;
+      return 'NOT_AN_OBJECT';
     }
     // Check required fields
     const { name, country, pollution } = entry;
-    
-    if (!name || pollution === undefined || pollution === null) {
-      return false;
-    }
 
-    // Validate city name
-    if (!this.isValidCityName(name)) {
-      return false;
+    if (!name || !country || pollution === undefined || pollution === null) {
+      return 'MISSING_FIELD';
     }
 
-    // Validate pollution value
-    if (!this.isValidPollutionValue(pollution)) {
-      return false;
+    const countryReason = this.checkCountry(country);
+    if (countryReason) {
+      return countryReason;
     }
 
-    return true;
+    const countryRules = rules.forCountry(countryRegistry.resolve(country).alpha2);
+    return this.checkCityName(name, countryRules) ||
+      this.checkPollutionValue(pollution, countryRules);
   }
 
   /**
@@ -112,85 +184,95 @@ class DataValidator {
    * @returns {boolean} True if valid city name
    */
   isValidCityName(name) {
+    return this.checkCityName(name) === null;
+  }
+
+  /**
+   * Allowlisted names skip the name rules; denylisted names are always rejected
+   * @param {string} name - City name to validate
+   * @param {Object} rules - Effective rules for the city's country
+   * @returns {string|null} Rejection reason code, or null if valid
+   */
+  checkCityName(name, rules = validationRules.current.base) {
     if (typeof name !== 'string') {
-      return false;
+      return 'NAME_NOT_STRING';
     }
 
     const trimmedName = name.trim();
+    const key = nameKey(trimmedName);
 
-    // Check minimum length
-    if (trimmedName.length < 1 || trimmedName.length > 100) {
-      return false;
+    if (rules.deny.has(key)) {
+      return 'NAME_DENYLISTED';
+    }
+    if (rules.allow.has(key)) {
+      return null;
+    }
+
+    // Check length
+    if (trimmedName.length < rules.minLength || trimmedName.length > rules.maxLength) {
+      return 'NAME_LENGTH';
     }
 
     // Check against invalid patterns
-    for (const pattern of this.invalidPatterns) {
-      if (pattern.test(trimmedName)) {
-        return false;
+    for (const { regex, reason } of rules.patterns) {
+      if (regex.test(trimmedName)) {
+        return reason;
       }
     }
 
     // Check for suspicious words
     const lowerName = trimmedName.toLowerCase();
-    for (const word of this.suspiciousWords) {
+    for (const word of rules.suspiciousWords) {
       if (lowerName.includes(word)) {
         // Allow if it's part of a longer city name (e.g., "Port City")
         if (trimmedName.split(/\s+/).length === 1) {
-          return false;
+          return 'SUSPICIOUS_WORD';
         }
       }
     }
 
     // Must contain at least one letter
     if (!/[a-zA-Z]/.test(trimmedName)) {
-      return false;
+      return 'NAME_NO_LETTERS';
     }
 
     // Should not be mostly numbers
     const letterCount = (trimmedName.match(/[a-zA-Z]/g) || []).length;
     const numberCount = (trimmedName.match(/[0-9]/g) || []).length;
     if (numberCount > letterCount) {
-      return false;
+      return 'NAME_NUMERIC';
     }
 
-    return true;
+    return null;
   }
 
   /**
-   * Validates country name or code
+   * Validates country name or code: any ISO 3166 alpha-2 or alpha-3 code,
+   * English name or common alias known to the country registry
    * @param {string} country - Country to validate
    * @returns {boolean} True if valid country
    */
   isValidCountry(country) {
+    return this.checkCountry(country) === null;
+  }
+
+  /**
+   * @param {string} country - Country to validate
+   * @returns {string|null} Rejection reason code, or null if valid
+   */
+  checkCountry(country) {
     if (typeof country !== 'string') {
-      return false;
+      return 'COUNTRY_INVALID';
     }
 
     const trimmedCountry = country.trim();
 
     // Check minimum length
     if (trimmedCountry.length < 2 || trimmedCountry.length > 100) {
-      return false;
+      return 'COUNTRY_INVALID';
     }
 
-    // Check against invalid patterns
-    for (const pattern of this.invalidPatterns) {
-      if (pattern.test(trimmedCountry)) {
-        return false;
-      }
-    }
-
-    // If it looks like a country code, validate it
-    if (trimmedCountry.length === 2 && /^[A-Z]{2}$/.test(trimmedCountry)) {
-      return this.validCountryCodes.has(trimmedCountry);
-    }
-
-    // For country names, must contain letters
-    if (!/[a-zA-Z]/.test(trimmedCountry)) {
-      return false;
-    }
-
-    return true;
+    return countryRegistry.isKnown(trimmedCountry) ? null : 'COUNTRY_UNKNOWN';
   }
 
   /**
@@ -199,34 +281,88 @@ class DataValidator {
    * @returns {boolean} True if valid pollution value
    */
   isValidPollutionValue(pollution) {
+    return this.checkPollutionValue(pollution) === null;
+  }
+
+  /**
+   * @param {*} pollution - Pollution value to validate
+   * @param {Object} rules - Effective rules for the city's country
+   * @returns {string|null} Rejection reason code, or null if valid
+   */
+  checkPollutionValue(pollution, rules = validationRules.current.base) {
     // Convert to number if it's a string
     const numericValue = typeof pollution === 'string' ? parseFloat(pollution) : pollution;
 
     // Must be a valid number
-    if (isNaN(numericValue) || !isFinite(numericValue)) {
-      return false;
+    if (typeof numericValue !== 'number' || isNaN(numericValue) || !isFinite(numericValue)) {
+      return 'POLLUTION_NOT_NUMERIC';
     }
 
-    // Reasonable range for pollution values (0-1000)
-    if (numericValue < 0 || numericValue > 1000) {
-      return false;
+    // Reasonable range for pollution values (0-1000 by default)
+    if (numericValue < rules.pollution.min || numericValue > rules.pollution.max) {
+      return 'POLLUTION_OUT_OF_RANGE';
     }
 
-    return true;
+    return null;
   }
 
   /**
-   * Normalizes city data to consistent format
+   * Normalizes city data to consistent format. The country becomes its canonical
+   * English name plus the ISO 3166 alpha-2 countryCode.
    * @param {Object} city - Raw city data
    * @returns {Object} Normalized city data
    */
   normalizeCity(city) {
+    const pollution = parseFloat(city.pollution);
+    const country = countryRegistry.resolve(city.country);
+
     return {
-      name: String(city.name).trim(),
-      country: String(city.country).trim(),
-      pollution: parseFloat(city.pollution)
+      name: String(city.name).trim().replace(/\s+/g, ' '),
+      country: country.name,
+      countryCode: country.alpha2,
+      pollution,
+      airQuality: airQuality.classify(pollution)
     };
   }
+
+  /**
+   * Picks the entry that represents a duplicate group. Later feed entries are
+   * considered more recent.
+   * @private
+   */
+  _mergeGroup(group, policy) {
+    const latest = group[group.length - 1];
+
+    if (policy === 'max') {
+      return group.reduce((best, entry) => (parseFloat(entry.pollution) > parseFloat(best.pollution) ? entry : best));
+    }
+
+    if (policy === 'mean') {
+      const sum = group.reduce((total, entry) => total + parseFloat(entry.pollution), 0);
+      return { ...latest, pollution: Math.round((sum / group.length) * 100) / 100 };
+    }
+
+    return latest;
+  }
+
+  /**
+   * Publishes the accepted, rejected and merged counts of a refresh
+   * @private
+   */
+  _recordMetrics(rawCount, acceptedCount, rejections) {
+    metrics.validationEntries.set({ result: 'accepted' }, acceptedCount);
+    metrics.validationEntries.set({ result: 'rejected' }, rejections.length);
+    metrics.validationEntries.set({ result: 'merged' }, rawCount - rejections.length - acceptedCount);
+
+    const counts = {};
+    for (const { reason } of rejections) {
+      counts[reason] = (counts[reason] || 0) + 1;
+    }
+    metrics.validationRejections.reset();
+    for (const reason of Object.keys(this.rejectionReasons)) {
+      metrics.validationRejections.set({ reason }, counts[reason] || 0);
+    }
+  }
 }
 
 module.exports = new DataValidator();
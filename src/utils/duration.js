@@ -0,0 +1,23 @@
+const UNITS = {
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Parses a short duration such as "90m", "24h", "7d" or "2w"
+ * @param {string} value - Duration string
+ * @returns {number|null} Duration in milliseconds, or null if invalid
+ */
+const parseDuration = (value) => {
+  const match = /^(\d+)([mhdw])$/.exec(String(value).trim());
+  if (!match || parseInt(match[1], 10) === 0) {
+    return null;
+  }
+  return parseInt(match[1], 10) * UNITS[match[2]];
+};
+
+module.exports = {
+  parseDuration
+};
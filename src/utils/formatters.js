@@ -0,0 +1,132 @@
+/**
+ * Serializers for the output formats of the cities list.
+ * Each format is written as head + items + tail so that both a single page
+ * and a full export can be streamed the same way.
+ */
+
+const FORMATS = {
+  json: 'application/json',
+  csv: 'text/csv',
+  ndjson: 'application/x-ndjson',
+  geojson: 'application/geo+json'
+};
+
+const CSV_COLUMNS = ['name', 'country', 'countryCode', 'pollution', 'category', 'description', 'latitude', 'longitude'];
+
+/**
+ * Picks the output format from the format parameter or the Accept header
+ * @param {Object} req - Express request
+ * @returns {string|null} Format name, or null if the Accept header matches none
+ */
+const negotiateFormat = (req) => {
+  if (req.query.format) {
+    return req.query.format;
+  }
+
+  const contentType = req.accepts(Object.values(FORMATS));
+  if (!contentType) {
+    return null;
+  }
+  return Object.keys(FORMATS).find(format => FORMATS[format] === contentType);
+};
+
+/**
+ * Escapes a CSV field. Text starting with a formula character (or a tab or
+ * carriage return, which spreadsheets skip before one) is prefixed with a
+ * quote so spreadsheets don't evaluate it.
+ * @param {*} value - Field value
+ * @returns {string} Escaped field
+ */
+const csvEscape = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+};
+
+/**
+ * @param {Object} city - Enriched city
+ * @returns {string} CSV row including the line break
+ */
+const toCsvRow = (city) => {
+  const values = {
+    ...city,
+    category: city.airQuality ? city.airQuality.category : null,
+    latitude: city.coordinates ? city.coordinates.lat : null,
+    longitude: city.coordinates ? city.coordinates.lon : null
+  };
+  return CSV_COLUMNS.map(column => csvEscape(values[column])).join(',') + '\r\n';
+};
+
+/**
+ * Converts a city to a GeoJSON Feature. Cities without known coordinates get a null geometry.
+ * @param {Object} city - Enriched city
+ * @returns {Object} GeoJSON Feature
+ */
+const toGeoJsonFeature = (city) => {
+  const { coordinates, ...properties } = city;
+  return {
+    type: 'Feature',
+    geometry: coordinates
+      ? { type: 'Point', coordinates: [coordinates.lon, coordinates.lat] }
+      : null,
+    properties
+  };
+};
+
+/**
+ * Returns the head/item/tail serializer for a format
+ * @param {string} format - One of the FORMATS keys
+ * @param {Object} meta - Top-level members for the JSON and GeoJSON envelopes
+ * @returns {{contentType: string, head: string, item: Function, tail: string}}
+ */
+const getSerializer = (format, meta = {}) => {
+  const envelope = JSON.stringify(meta).slice(1, -1);
+  const prefix = envelope ? `${envelope},` : '';
+
+  switch (format) {
+    case 'csv':
+      return {
+        contentType: `${FORMATS.csv}; charset=utf-8`,
+        head: CSV_COLUMNS.join(',') + '\r\n',
+        item: city => toCsvRow(city),
+        tail: ''
+      };
+    case 'ndjson':
+      return {
+        contentType: FORMATS.ndjson,
+        head: '',
+        item: city => JSON.stringify(city) + '\n',
+        tail: ''
+      };
+    case 'geojson':
+      return {
+        contentType: FORMATS.geojson,
+        head: `{"type":"FeatureCollection",${prefix}"features":[`,
+        item: (city, index) => (index > 0 ? ',' : '') + JSON.stringify(toGeoJsonFeature(city)),
+        tail: ']}'
+      };
+    default:
+      return {
+        contentType: `${FORMATS.json}; charset=utf-8`,
+        head: `{${prefix}"cities":[`,
+        item: (city, index) => (index > 0 ? ',' : '') + JSON.stringify(city),
+        tail: ']}'
+      };
+  }
+};
+
+module.exports = {
+  FORMATS,
+  negotiateFormat,
+  csvEscape,
+  getSerializer
+};
@@ -0,0 +1,58 @@
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = degrees => (degrees * Math.PI) / 180;
+
+/**
+ * Great-circle distance between two points using the haversine formula
+ * @param {{lat: number, lon: number}} a - First point
+ * @param {{lat: number, lon: number}} b - Second point
+ * @returns {number} Distance in kilometres
+ */
+const haversineKm = (a, b) => {
+  const dLat = toRadians(b.lat - a.lat);
+  const dLon = toRadians(b.lon - a.lon);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+};
+
+/**
+ * Parses a "minLon,minLat,maxLon,maxLat" bounding box (GeoJSON order)
+ * @param {string} value - Raw bbox parameter
+ * @returns {Object|null} Bounding box, or null if invalid
+ */
+const parseBoundingBox = (value) => {
+  const parts = String(value).split(',').map(part => part.trim());
+  if (parts.length !== 4 || parts.some(part => part === '' || !isFinite(Number(part)))) {
+    return null;
+  }
+
+  const [minLon, minLat, maxLon, maxLat] = parts.map(Number);
+  if (minLat < -90 || maxLat > 90 || minLat > maxLat ||
+      Math.abs(minLon) > 180 || Math.abs(maxLon) > 180) {
+    return null;
+  }
+  return { minLon, minLat, maxLon, maxLat };
+};
+
+/**
+ * Checks whether a point lies inside a bounding box. A box whose minLon is
+ * greater than its maxLon crosses the antimeridian.
+ * @param {{lat: number, lon: number}} point - Point to test
+ * @param {Object} bbox - Result of parseBoundingBox
+ * @returns {boolean}
+ */
+const isInBoundingBox = (point, bbox) => {
+  if (point.lat < bbox.minLat || point.lat > bbox.maxLat) {
+    return false;
+  }
+  return bbox.minLon <= bbox.maxLon
+    ? point.lon >= bbox.minLon && point.lon <= bbox.maxLon
+    : point.lon >= bbox.minLon || point.lon <= bbox.maxLon;
+};
+
+module.exports = {
+  haversineKm,
+  parseBoundingBox,
+  isInBoundingBox
+};
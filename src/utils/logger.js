@@ -1,4 +1,7 @@
 const winston = require('winston');
+const { config } = require('../config');
+const { getRequestId } = require('./requestContext');
+const { redact, isSecretKey } = require('./redact');
 
 // Define custom log levels
 const logLevels = {
@@ -8,20 +11,53 @@ const logLevels = {
   debug: 3
 };
 
+// Adds the ID of the request being handled, if any
+const requestIdFormat = winston.format((info) => {
+  const requestId = getRequestId();
+  if (requestId && !info.requestId) {
+    info.requestId = requestId;
+  }
+  return info;
+});
+
+// Masks tokens, passwords and Authorization headers in the message and metadata
+const redactFormat = winston.format((info) => {
+  for (const key of Object.keys(info)) {
+    if (key !== 'level') {
+      info[key] = isSecretKey(key) ? '[REDACTED]' : redact(info[key]);
+    }
+  }
+  return info;
+});
+
+// LOG_FORMAT=json writes one JSON object per line for log collectors
+const outputFormat = config.logging.format === 'json'
+  ? [
+      winston.format.timestamp(),
+      winston.format.errors({ stack: true }),
+      requestIdFormat(),
+      redactFormat(),
+      winston.format.json()
+    ]
+  : [
+      winston.format.timestamp({
+        format: 'YYYY-MM-DD HH:mm:ss'
+      }),
+      winston.format.errors({ stack: true }),
+      requestIdFormat(),
+      redactFormat(),
+      winston.format.colorize(),
+      winston.format.printf((info) => {
+        const requestId = info.requestId ? ` [${info.requestId}]` : '';
+        return `${info.timestamp} [${info.level}]${requestId}: ${info.message}`;
+      })
+    ];
+
 // Create logger configuration
 const loggerConfig = {
   levels: logLevels,
-  level: process.env.LOG_LEVEL || 'info',
-  format: winston.format.combine(
-    winston.format.timestamp({
-      format: 'YYYY-MM-DD HH:mm:ss'
-    }),
-    winston.format.errors({ stack: true }),
-    winston.format.colorize(),
-    winston.format.printf((info) => {
-      return `${info.timestamp} [${info.level}]: ${info.message}`;
-    })
-  ),
+  level: config.logging.level,
+  format: winston.format.combine(...outputFormat),
   transports: [
     new winston.transports.Console({
       handleExceptions: true
@@ -31,7 +67,7 @@ const loggerConfig = {
 };
 
 // Add file transport for production
-if (process.env.NODE_ENV === 'production') {
+if (config.server.env === 'production') {
   loggerConfig.transports.push(
     new winston.transports.File({
       filename: 'logs/error.log',
@@ -45,6 +81,38 @@ if (process.env.NODE_ENV === 'production') {
 
 const logger = winston.createLogger(loggerConfig);
 
+// Longest wait for the transports to write out their last lines
+const FLUSH_TIMEOUT = 2000;
+
+/**
+ * Ends the logger once every transport has written its pending lines, so
+ * nothing is lost when the process exits. Nothing can be logged afterwards.
+ * @returns {Promise<void>}
+ */
+logger.flush = () => {
+  const finished = stream => new Promise((resolve) => {
+    if (stream.writableFinished) {
+      resolve();
+    } else {
+      stream.once('finish', resolve);
+    }
+  });
+  // File transports finish before their file stream (_dest) has been written out
+  const flushed = Promise.all([...logger.transports].map(async (transport) => {
+    await finished(transport);
+    if (transport._dest) {
+      await finished(transport._dest);
+    }
+  }));
+
+  let timer;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(resolve, FLUSH_TIMEOUT);
+  });
+  logger.end();
+  return Promise.race([flushed, timeout]).finally(() => clearTimeout(timer));
+};
+
 // Log unhandled promise rejections
 process.on('unhandledRejection', (error) => {
   logger.error('Unhandled Promise Rejection:', error);
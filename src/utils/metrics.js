@@ -0,0 +1,149 @@
+const client = require('prom-client');
+
+/**
+ * Prometheus metrics served at /metrics. Metrics are defined here and
+ * recorded by the modules they describe.
+ */
+const register = new client.Registry();
+client.collectDefaultMetrics({ register });
+
+const LATENCY_BUCKETS = [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const httpRequests = new client.Counter({
+  name: 'http_requests_total',
+  help: 'HTTP requests handled, by route and status',
+  labelNames: ['method', 'route', 'status'],
+  registers: [register]
+});
+
+const httpRequestDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request latency, by route and status',
+  labelNames: ['method', 'route', 'status'],
+  buckets: LATENCY_BUCKETS,
+  registers: [register]
+});
+
+const upstreamRequests = new client.Counter({
+  name: 'upstream_requests_total',
+  help: 'Requests to upstream APIs, by outcome',
+  labelNames: ['upstream', 'operation', 'outcome'],
+  registers: [register]
+});
+
+const upstreamRequestDuration = new client.Histogram({
+  name: 'upstream_request_duration_seconds',
+  help: 'Upstream API latency, by outcome',
+  labelNames: ['upstream', 'operation', 'outcome'],
+  buckets: LATENCY_BUCKETS,
+  registers: [register]
+});
+
+const wikipediaQueueDepth = new client.Gauge({
+  name: 'wikipedia_queue_depth',
+  help: 'Wikipedia requests waiting in the rate-limited queue',
+  registers: [register]
+});
+
+const cacheRequests = new client.Counter({
+  name: 'cache_requests_total',
+  help: 'Cache lookups, by key prefix and result (hit or miss)',
+  labelNames: ['prefix', 'result'],
+  registers: [register]
+});
+
+const cacheEntries = new client.Gauge({
+  name: 'cache_entries',
+  help: 'Cached entries, by key prefix',
+  labelNames: ['prefix'],
+  registers: [register]
+});
+
+const validationEntries = new client.Gauge({
+  name: 'city_validation_entries',
+  help: 'Upstream entries of the latest refresh, by result (accepted, rejected or merged)',
+  labelNames: ['result'],
+  registers: [register]
+});
+
+const validationRejections = new client.Gauge({
+  name: 'city_validation_rejections',
+  help: 'Entries rejected by the latest refresh, by reason code',
+  labelNames: ['reason'],
+  registers: [register]
+});
+
+/**
+ * Prefix of a cache key, the part before the first underscore
+ * ("wiki_match_en_..." -> "wiki")
+ * @param {string} key - Cache key
+ * @returns {string} Key prefix
+ */
+const cacheKeyPrefix = key => String(key).split('_')[0];
+
+/**
+ * Classifies the outcome of an upstream request
+ * @param {Object|null} response - Axios response, if any
+ * @param {Error} error - Axios error, if the request failed
+ * @returns {string} success, not_found, client_error, server_error, timeout or network_error
+ */
+const upstreamOutcome = (response, error) => {
+  const status = response ? response.status : null;
+  if (status !== null) {
+    if (status < 400) return 'success';
+    if (status === 404) return 'not_found';
+    return status < 500 ? 'client_error' : 'server_error';
+  }
+  return error && ['ECONNABORTED', 'ETIMEDOUT'].includes(error.code) ? 'timeout' : 'network_error';
+};
+
+/**
+ * Records latency and outcome of every request made through an axios instance
+ * @param {Object} httpClient - Axios instance
+ * @param {string} upstream - Upstream label, e.g. pollution-api
+ * @param {Function} operationOf - Maps a request config to an operation label
+ * @returns {Object} The same axios instance
+ */
+const instrumentHttpClient = (httpClient, upstream, operationOf) => {
+  httpClient.interceptors.request.use((config) => {
+    config.metadata = { startedAt: process.hrtime.bigint() };
+    return config;
+  });
+
+  const observe = (config, response, error) => {
+    if (!config || !config.metadata) {
+      return;
+    }
+    const labels = { upstream, operation: operationOf(config), outcome: upstreamOutcome(response, error) };
+    upstreamRequests.inc(labels);
+    upstreamRequestDuration.observe(labels, Number(process.hrtime.bigint() - config.metadata.startedAt) / 1e9);
+  };
+
+  httpClient.interceptors.response.use(
+    (response) => {
+      observe(response.config, response, null);
+      return response;
+    },
+    (error) => {
+      observe(error.config, error.response || null, error);
+      return Promise.reject(error);
+    }
+  );
+
+  return httpClient;
+};
+
+module.exports = {
+  register,
+  httpRequests,
+  httpRequestDuration,
+  upstreamRequests,
+  upstreamRequestDuration,
+  wikipediaQueueDepth,
+  cacheRequests,
+  cacheEntries,
+  validationEntries,
+  validationRejections,
+  cacheKeyPrefix,
+  instrumentHttpClient
+};
@@ -0,0 +1,208 @@
+const Ajv = require('ajv/dist/2020');
+const addFormats = require('ajv-formats');
+const spec = require('../docs/openapi');
+const { toList } = require('./cityQuery');
+
+// Component schemas are registered under this ID and referenced as SPEC_ID#/components/...
+const SPEC_ID = 'openapi.json';
+const NON_STRING_TYPES = ['number', 'integer', 'boolean'];
+
+/**
+ * Creates an Ajv instance that understands the OpenAPI document's schemas
+ * @param {Object} options - Ajv options
+ * @returns {Object} Ajv instance
+ */
+const createAjv = (options) => {
+  const ajv = new Ajv({ allErrors: true, allowUnionTypes: true, ...options });
+  addFormats(ajv);
+  ajv.addKeyword('example');
+  ajv.addKeyword('components');
+  ajv.addSchema({ $id: SPEC_ID, components: spec.components });
+  return ajv;
+};
+
+/**
+ * Points local component references at the registered document
+ * @param {*} schema - Schema from the document
+ * @returns {*} Copy with absolute references
+ */
+const resolveRefs = (schema) => {
+  if (Array.isArray(schema)) {
+    return schema.map(resolveRefs);
+  }
+  if (!schema || typeof schema !== 'object') {
+    return schema;
+  }
+  return Object.fromEntries(Object.entries(schema).map(([key, value]) => (
+    key === '$ref' && value.startsWith('#/') ? [key, `${SPEC_ID}${value}`] : [key, resolveRefs(value)]
+  )));
+};
+
+/**
+ * Human-readable rule for a parameter, used in 400 messages
+ * ("limit must be an integer between 1 and 100")
+ * @param {string} name - Parameter name
+ * @param {Object} schema - Parameter schema
+ * @returns {string} Message
+ */
+const describeParameter = (name, schema) => {
+  if (schema.type === 'array') {
+    const { items, maxItems } = schema;
+    if (items.enum) {
+      return `${name} must be one or more of: ${items.enum.join(', ')}`;
+    }
+    const count = maxItems ? `1 to ${maxItems} values` : 'one or more values';
+    const length = items.maxLength ? ` of ${items.minLength || 1} to ${items.maxLength} characters` : '';
+    return `${name} must be ${count}${length}`;
+  }
+  if (schema.enum) {
+    return `${name} must be one of: ${schema.enum.join(', ')}`;
+  }
+  if (schema.type === 'boolean') {
+    return `${name} must be true or false`;
+  }
+  if (schema.type === 'integer' || schema.type === 'number') {
+    const kind = schema.type === 'integer' ? 'an integer' : 'a number';
+    const { minimum, maximum } = schema;
+    if (minimum !== undefined && maximum !== undefined) {
+      return `${name} must be ${kind} between ${minimum} and ${maximum}`;
+    }
+    if (minimum === 0) {
+      return `${name} must be a non-negative ${schema.type}`;
+    }
+    return minimum !== undefined ? `${name} must be ${kind} of at least ${minimum}` : `${name} must be ${kind}`;
+  }
+  if (schema.maxLength) {
+    return `${name} must be between ${schema.minLength || 1} and ${schema.maxLength} characters`;
+  }
+  return `${name} has an invalid format`;
+};
+
+/**
+ * @param {Array} errors - Ajv errors
+ * @returns {Array<string>} One line per error, e.g. "/cities/0/name must be string"
+ */
+const formatErrors = errors => errors.map((error) => {
+  const property = error.params.additionalProperty;
+  return `${error.instancePath || '/'} ${error.message}${property ? ` (${property})` : ''}`;
+});
+
+/**
+ * Checks requests and responses against the OpenAPI document. Parameters are
+ * coerced from their query string form before they are checked.
+ */
+class OpenApiValidator {
+  /**
+   * @param {Object} document - OpenAPI document
+   */
+  constructor(document = spec) {
+    // Parameters arrive as strings; bodies are checked as sent
+    this.parameterAjv = createAjv({ coerceTypes: true });
+    this.ajv = createAjv();
+    this.operations = new Map();
+
+    for (const [path, operations] of Object.entries(document.paths)) {
+      for (const [method, operation] of Object.entries(operations)) {
+        this.operations.set(`${method.toUpperCase()} ${path}`, this._compile(operation));
+      }
+    }
+  }
+
+  /**
+   * Finds the operation for an Express route
+   * @param {string} method - HTTP method
+   * @param {string} routePath - Express route path, e.g. /api/cities/:country/:city
+   * @returns {Object|null} Compiled operation
+   */
+  operationFor(method, routePath) {
+    const path = routePath.replace(/:(\w+)/g, '{$1}');
+    return this.operations.get(`${method.toUpperCase()} ${path}`) || null;
+  }
+
+  /**
+   * Checks a request's path and query parameters and its JSON body
+   * @param {Object} operation - Compiled operation from operationFor
+   * @param {Object} req - Express request
+   * @returns {Object|null} 400 response body, or null if the request is valid
+   */
+  checkRequest(operation, req) {
+    for (const { name, location, required, schema, validate } of operation.parameters) {
+      const raw = (location === 'path' ? req.params : req.query)[name];
+      if (raw === undefined) {
+        if (required) {
+          return { error: `Missing ${name} parameter`, message: `${name} is required` };
+        }
+        continue;
+      }
+
+      const value = schema.type === 'array' ? toList(raw) : raw;
+      const blank = typeof value === 'string' && value.trim() === '' && NON_STRING_TYPES.includes(schema.type);
+      if (blank || !validate({ value })) {
+        return { error: `Invalid ${name} parameter`, message: describeParameter(name, schema) };
+      }
+    }
+
+    if (operation.bodyTypes && !req.is(operation.bodyTypes)) {
+      const message = `Request body must be ${operation.bodyTypes.join(' or ')}`;
+      return { error: 'Invalid request body', message, details: [message] };
+    }
+    if (operation.body && req.is('application/json') && !operation.body(req.body)) {
+      const details = formatErrors(operation.body.errors);
+      return { error: 'Invalid request body', message: details.join('; '), details };
+    }
+    return null;
+  }
+
+  /**
+   * Checks a JSON response body against the documented response for its status
+   * @param {Object} operation - Compiled operation from operationFor
+   * @param {number} status - Response status code
+   * @param {*} body - Response body
+   * @returns {Array<string>|null} Problems found, or null if the response matches
+   */
+  checkResponse(operation, status, body) {
+    const { responses } = operation;
+    const validate = responses.has(String(status)) ? responses.get(String(status)) : responses.get('default');
+    if (validate === undefined) {
+      return [`status ${status} is not documented`];
+    }
+    if (validate === null) {
+      return [`status ${status} is not documented as JSON`];
+    }
+    return validate(body) ? null : formatErrors(validate.errors);
+  }
+
+  /**
+   * Compiles the parameter, body and response schemas of an operation
+   * @private
+   */
+  _compile(operation) {
+    const parameters = (operation.parameters || []).map(parameter => ({
+      name: parameter.name,
+      location: parameter.in,
+      required: Boolean(parameter.required),
+      schema: parameter.schema,
+      validate: this.parameterAjv.compile({
+        type: 'object',
+        properties: { value: resolveRefs(parameter.schema) }
+      })
+    }));
+
+    const { requestBody } = operation;
+    const bodySchema = requestBody?.content['application/json']?.schema;
+    const body = bodySchema ? this.ajv.compile(resolveRefs(bodySchema)) : null;
+    // Content types a required body must have
+    const bodyTypes = requestBody?.required ? Object.keys(requestBody.content) : null;
+
+    // null marks a documented status without a JSON body
+    const responses = new Map();
+    for (const [status, response] of Object.entries(operation.responses)) {
+      const schema = response.content?.['application/json']?.schema;
+      responses.set(status, schema ? this.ajv.compile(resolveRefs(schema)) : null);
+    }
+
+    return { id: operation.operationId, parameters, body, bodyTypes, responses };
+  }
+}
+
+module.exports = new OpenApiValidator();
@@ -0,0 +1,114 @@
+// How often clients with an ended window and a full burst allowance are forgotten
+const PRUNE_INTERVAL = 60 * 1000;
+
+/**
+ * Per-client request limits: a fixed-window quota (e.g. 1000 requests per
+ * day, counted from the client's first request in the window) and a token
+ * bucket that caps bursts. State is kept in memory, per instance.
+ */
+class QuotaLimiter {
+  constructor() {
+    this.clients = new Map();
+    this.pruneTimer = setInterval(() => this.prune(), PRUNE_INTERVAL);
+    this.pruneTimer.unref();
+  }
+
+  /**
+   * Counts a request against a client's limits
+   * @param {string} clientId - Client identifier, e.g. a key ID or ip:<address>
+   * @param {Object} tier - Tier with quota { limit, windowMs } and burst { capacity, refillPerSecond }
+   * @returns {{allowed: boolean, reason: string|null, limit: number, remaining: number, resetAt: number, retryAfter: number}}
+   *   reason is 'quota' or 'burst' when the request is refused; resetAt is in epoch milliseconds
+   *   and retryAfter in seconds
+   */
+  consume(clientId, tier) {
+    const now = Date.now();
+    const state = this._stateFor(clientId, tier, now);
+    const { limit } = tier.quota;
+    const resetAt = state.windowStart + tier.quota.windowMs;
+
+    if (state.used >= limit) {
+      return { allowed: false, reason: 'quota', limit, remaining: 0, resetAt, retryAfter: Math.ceil((resetAt - now) / 1000) };
+    }
+    if (state.tokens < 1) {
+      const retryAfter = Math.ceil((1 - state.tokens) / tier.burst.refillPerSecond);
+      return { allowed: false, reason: 'burst', limit, remaining: limit - state.used, resetAt, retryAfter };
+    }
+
+    state.tokens -= 1;
+    state.used += 1;
+    return { allowed: true, reason: null, limit, remaining: limit - state.used, resetAt, retryAfter: 0 };
+  }
+
+  /**
+   * Reports a client's quota use without counting a request
+   * @param {string} clientId - Client identifier
+   * @param {Object} tier - Client tier
+   * @returns {{used: number, limit: number, resetAt: number|null}} resetAt is null before the first request
+   */
+  usage(clientId, tier) {
+    const state = this.clients.get(clientId);
+    if (!state || Date.now() - state.windowStart >= tier.quota.windowMs) {
+      return { used: 0, limit: tier.quota.limit, resetAt: null };
+    }
+    return { used: state.used, limit: tier.quota.limit, resetAt: state.windowStart + tier.quota.windowMs };
+  }
+
+  /**
+   * Forgets a client, e.g. a revoked key
+   * @param {string} clientId - Client identifier
+   */
+  forget(clientId) {
+    this.clients.delete(clientId);
+  }
+
+  /**
+   * Drops clients whose window has ended and whose burst allowance is full again
+   */
+  prune() {
+    const now = Date.now();
+    for (const [clientId, state] of this.clients) {
+      if (now - state.windowStart >= state.tier.quota.windowMs && this._refill(state, now) >= state.tier.burst.capacity) {
+        this.clients.delete(clientId);
+      }
+    }
+  }
+
+  /**
+   * Returns a client's state with the quota window rolled over and the burst bucket refilled
+   * @private
+   */
+  _stateFor(clientId, tier, now) {
+    let state = this.clients.get(clientId);
+    // Tier objects are rebuilt whenever the tiers are read, so compare what they allow
+    if (!state || !this._sameLimits(state.tier, tier)) {
+      state = { tier, windowStart: now, used: 0, tokens: tier.burst.capacity, refilledAt: now };
+      this.clients.set(clientId, state);
+    }
+    if (now - state.windowStart >= tier.quota.windowMs) {
+      state.windowStart = now;
+      state.used = 0;
+    }
+    state.tokens = this._refill(state, now);
+    state.refilledAt = now;
+    return state;
+  }
+
+  /**
+   * @private
+   */
+  _sameLimits(a, b) {
+    return a.quota.limit === b.quota.limit && a.quota.windowMs === b.quota.windowMs &&
+      a.burst.capacity === b.burst.capacity && a.burst.refillPerSecond === b.burst.refillPerSecond;
+  }
+
+  /**
+   * @private
+   */
+  _refill(state, now) {
+    const { capacity, refillPerSecond } = state.tier.burst;
+    return Math.min(capacity, state.tokens + ((now - state.refilledAt) / 1000) * refillPerSecond);
+  }
+}
+
+module.exports = QuotaLimiter;
@@ -0,0 +1,72 @@
+/**
+ * Helpers that mask secrets before anything is logged
+ */
+
+const REDACTED = '[REDACTED]';
+
+// Keys whose values are always masked, compared lowercase without - and _
+const SECRET_KEYS = ['token', 'password', 'passwd', 'secret', 'authorization', 'apikey', 'cookie', 'setcookie'];
+
+// Secrets embedded in free text
+const SECRET_PATTERNS = [
+  [/\b(Bearer|Basic)\s+[A-Za-z0-9._~+/=-]+/gi, `$1 ${REDACTED}`],
+  [/\b((?:access_|refresh_|api_?)?token|password|secret|api_?key)(["']?\s*[=:]\s*["']?)[^\s"'&,;]+/gi, `$1$2${REDACTED}`],
+  [/\beyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+/g, REDACTED], // JWTs
+  [/\b([a-z][a-z0-9+.-]*:\/\/[^\s:@/]*:)[^\s@/]+@/gi, `$1${REDACTED}@`] // URL credentials
+];
+
+/**
+ * @param {string} key - Object key
+ * @returns {boolean} True if the key names a secret (token, accessToken, api-key, ...)
+ */
+const isSecretKey = (key) => {
+  const normalized = String(key).toLowerCase().replace(/[-_]/g, '');
+  return SECRET_KEYS.some(secret => normalized.endsWith(secret));
+};
+
+/**
+ * Masks secrets in free text
+ * @param {string} text - Text to clean
+ * @returns {string} Text with secrets replaced
+ */
+const redactText = (text) => {
+  return SECRET_PATTERNS.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), text);
+};
+
+/**
+ * Returns a copy of a value with secret fields and embedded secrets masked.
+ * Errors keep their name, message and stack.
+ * @param {*} value - Value to clean
+ * @param {WeakSet} seen - Objects already visited, for circular references
+ * @returns {*} Cleaned copy
+ */
+const redact = (value, seen = new WeakSet()) => {
+  if (typeof value === 'string') {
+    return redactText(value);
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  if (seen.has(value)) {
+    return '[Circular]';
+  }
+  seen.add(value);
+
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, seen));
+  }
+
+  const copy = value instanceof Error
+    ? { name: value.name, message: redactText(value.message), stack: value.stack && redactText(value.stack) }
+    : {};
+  for (const [key, item] of Object.entries(value)) {
+    copy[key] = isSecretKey(key) ? REDACTED : redact(item, seen);
+  }
+  return copy;
+};
+
+module.exports = {
+  redact,
+  redactText,
+  isSecretKey
+};
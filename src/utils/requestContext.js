@@ -0,0 +1,38 @@
+const { AsyncLocalStorage, AsyncResource } = require('async_hooks');
+
+/**
+ * Per-request context (currently the request ID) that follows a request through
+ * every async call it makes, so service code and log lines can read it without
+ * passing it around.
+ */
+const storage = new AsyncLocalStorage();
+
+/**
+ * Runs a function inside a new context
+ * @param {Object} context - Context values, e.g. { requestId }
+ * @param {Function} fn - Function to run
+ * @returns {*} The function's return value
+ */
+const runWithContext = (context, fn) => storage.run(context, fn);
+
+/**
+ * @returns {string|null} ID of the request being handled, or null outside a request
+ */
+const getRequestId = () => {
+  const context = storage.getStore();
+  return context ? context.requestId : null;
+};
+
+/**
+ * Binds a function to the current context, for work that is queued now and
+ * run later from another call chain
+ * @param {Function} fn - Function to bind
+ * @returns {Function} Bound function
+ */
+const bindContext = fn => AsyncResource.bind(fn);
+
+module.exports = {
+  runWithContext,
+  getRequestId,
+  bindContext
+};
@@ -0,0 +1,40 @@
+/**
+ * Coalesces concurrent calls for the same key into a single in-flight promise
+ */
+class SingleFlight {
+  constructor() {
+    this.inFlight = new Map();
+  }
+
+  /**
+   * Runs fn for the key unless a call for the same key is already running,
+   * in which case the caller shares that call's result
+   * @param {string} key - Coalescing key
+   * @param {Function} fn - Async function to run
+   * @returns {Promise<{value: *, shared: boolean}>} Result and whether it was shared
+   */
+  async do(key, fn) {
+    if (this.inFlight.has(key)) {
+      return { value: await this.inFlight.get(key), shared: true };
+    }
+
+    const promise = Promise.resolve()
+      .then(fn)
+      .finally(() => {
+        this.inFlight.delete(key);
+      });
+    this.inFlight.set(key, promise);
+
+    return { value: await promise, shared: false };
+  }
+
+  /**
+   * Number of calls currently in flight
+   * @returns {number}
+   */
+  get size() {
+    return this.inFlight.size;
+  }
+}
+
+module.exports = SingleFlight;
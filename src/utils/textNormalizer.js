@@ -0,0 +1,92 @@
+/**
+ * Helpers for comparing free-text names regardless of case, accents and spacing
+ */
+
+/**
+ * Folds a string for comparison: strips diacritics, lowercases and collapses whitespace
+ * @param {string} text - Text to fold
+ * @returns {string} Folded text
+ */
+const foldText = (text) => {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+// Letters that Unicode decomposition doesn't reduce to plain Latin
+const TRANSLITERATIONS = {
+  ß: 'ss', æ: 'ae', œ: 'oe', ø: 'o', ł: 'l', đ: 'd', ð: 'd', þ: 'th', ı: 'i', ħ: 'h'
+};
+
+/**
+ * Builds a matching key for a place name: folds it, transliterates special letters
+ * and treats punctuation as spacing, so "Kraków", "KRAKOW" and "Kraków " share a key
+ * @param {string} name - Place name
+ * @returns {string} Matching key
+ */
+const nameKey = (name) => {
+  return foldText(name)
+    .replace(/[ßæœøłđðþıħ]/g, letter => TRANSLITERATIONS[letter])
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+};
+
+/**
+ * Levenshtein edit distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Number of single-character edits
+ */
+const levenshtein = (a, b) => {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+/**
+ * Finds the candidates whose name is closest to the given name
+ * @param {string} name - Name to match
+ * @param {Array} candidates - Items to search
+ * @param {Object} options - Matching options
+ * @param {Function} options.getName - Returns the name of a candidate
+ * @param {number} options.limit - Maximum number of matches
+ * @returns {Array} Closest candidates, best first
+ */
+const findClosestMatches = (name, candidates, { getName = item => item.name, limit = 5 } = {}) => {
+  const target = foldText(name);
+  const maxDistance = Math.max(2, Math.floor(target.length / 3));
+
+  return candidates
+    .map((item) => {
+      const candidate = foldText(getName(item));
+      const distance = candidate.startsWith(target) || target.startsWith(candidate)
+        ? Math.min(1, levenshtein(target, candidate))
+        : levenshtein(target, candidate);
+      return { item, distance };
+    })
+    .filter(match => match.distance <= maxDistance)
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, limit)
+    .map(match => match.item);
+};
+
+module.exports = {
+  foldText,
+  nameKey,
+  levenshtein,
+  findClosestMatches
+};
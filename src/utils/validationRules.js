@@ -0,0 +1,351 @@
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const yaml = require('js-yaml');
+const logger = require('./logger');
+const { config } = require('../config');
+const countryRegistry = require('./countryRegistry');
+const { nameKey } = require('./textNormalizer');
+
+const DEFAULT_RULES_PATH = path.join(__dirname, '..', 'config', 'validationRules.json');
+const SUPPORTED_VERSIONS = [1];
+const OVERRIDE_FIELDS = ['suspiciousWords', 'pollution', 'allow', 'deny'];
+const DEFAULT_POLLUTION_RANGE = { min: 0, max: 1000 };
+// Flags that make RegExp#test stateful between calls
+const STATEFUL_FLAGS = /[gy]/;
+
+/**
+ * Error for a rule file that can't be used. errors lists every problem found.
+ */
+class RuleSetError extends Error {
+  constructor(errors) {
+    super(`Invalid validation rules: ${errors.join('; ')}`);
+    this.name = 'RuleSetError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Loads the city validation rules (name patterns, suspicious words, pollution
+ * range, allowlists, denylists and per-country overrides) from a versioned JSON
+ * or YAML file (VALIDATION_RULES, defaults to src/config/validationRules.json)
+ * and reloads them when the file changes. Emits 'reload' with the new rules.
+ */
+class ValidationRules extends EventEmitter {
+  /**
+   * @param {string} rulesPath - Path to the rule file
+   */
+  constructor(rulesPath = config.dataset.validationRules || DEFAULT_RULES_PATH) {
+    super();
+    this.rulesPath = rulesPath;
+    this.watching = false;
+    this.onChange = (current, previous) => {
+      if (current.mtimeMs !== previous.mtimeMs) {
+        this.reload();
+      }
+    };
+    this.current = this.load(rulesPath);
+  }
+
+  /**
+   * Reads, validates and compiles a rule file. Throws if the file is invalid.
+   * @param {string} rulesPath - Path to a .json, .yaml or .yml file
+   * @returns {Object} Compiled rules
+   */
+  load(rulesPath) {
+    const format = /\.ya?ml$/i.test(rulesPath) ? 'yaml' : 'json';
+    const rules = this.compile(this.parse(fs.readFileSync(rulesPath, 'utf8'), format), rulesPath);
+    logger.info(`Loaded validation rules revision ${rules.revision} from ${rulesPath}`);
+    return rules;
+  }
+
+  /**
+   * Reloads the rule file, keeping the current rules if the new file is invalid
+   * @returns {boolean} True if the new rules were applied
+   */
+  reload() {
+    try {
+      this.current = this.load(this.rulesPath);
+      this.emit('reload', this.current);
+      return true;
+    } catch (error) {
+      logger.error(`Keeping validation rules revision ${this.current.revision}: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Starts reloading the rule file whenever it changes
+   */
+  watch() {
+    if (this.watching) {
+      return;
+    }
+    fs.watchFile(this.rulesPath, { interval: config.dataset.validationRulesReloadInterval, persistent: false }, this.onChange);
+    this.watching = true;
+  }
+
+  /**
+   * Stops watching the rule file
+   */
+  unwatch() {
+    fs.unwatchFile(this.rulesPath, this.onChange);
+    this.watching = false;
+  }
+
+  /**
+   * Parses rule file contents
+   * @param {string|Object} source - JSON or YAML text, or an already parsed object
+   * @param {string} format - 'json' or 'yaml'
+   * @returns {Object} Raw rule set
+   */
+  parse(source, format = 'json') {
+    if (typeof source !== 'string') {
+      return source;
+    }
+    try {
+      return format === 'yaml' ? yaml.load(source) : JSON.parse(source);
+    } catch (error) {
+      throw new RuleSetError([`Could not parse ${format.toUpperCase()}: ${error.message}`]);
+    }
+  }
+
+  /**
+   * Validates a raw rule set and prepares it for matching
+   * @param {Object} raw - Raw rule set
+   * @param {string} source - Where the rules came from
+   * @returns {Object} Compiled rules with forCountry(code) and the raw rule set
+   */
+  compile(raw, source = 'inline') {
+    this.validate(raw);
+
+    const base = {
+      minLength: raw.name.minLength ?? 1,
+      maxLength: raw.name.maxLength ?? 100,
+      patterns: (raw.name.patterns || []).map(rule => ({
+        regex: new RegExp(rule.pattern, rule.flags || ''),
+        reason: rule.reason,
+        description: rule.description || null
+      })),
+      suspiciousWords: (raw.name.suspiciousWords || []).map(word => word.toLowerCase()),
+      pollution: { ...DEFAULT_POLLUTION_RANGE, ...raw.pollution },
+      allow: this._nameSet(raw.allow, null),
+      deny: this._nameSet(raw.deny, null)
+    };
+
+    const overrides = new Map();
+    for (const [country, override] of Object.entries(raw.countries || {})) {
+      overrides.set(countryRegistry.resolve(country).alpha2, override);
+    }
+
+    // Effective rules per country, built on first use
+    const effective = new Map();
+    const forCountry = (code) => {
+      if (!effective.has(code)) {
+        effective.set(code, this._countryRules(base, raw, code, overrides.get(code)));
+      }
+      return effective.get(code);
+    };
+
+    return {
+      version: raw.version,
+      revision: String(raw.revision ?? 'unversioned'),
+      source,
+      loadedAt: new Date().toISOString(),
+      raw,
+      base,
+      forCountry
+    };
+  }
+
+  /**
+   * Checks a raw rule set and throws a RuleSetError listing every problem
+   * @param {Object} raw - Raw rule set
+   */
+  validate(raw) {
+    const errors = [];
+
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      throw new RuleSetError(['Rule set must be an object']);
+    }
+    if (!SUPPORTED_VERSIONS.includes(raw.version)) {
+      errors.push(`"version" must be one of ${SUPPORTED_VERSIONS.join(', ')}`);
+    }
+    if (!raw.name || typeof raw.name !== 'object') {
+      errors.push('"name" must be an object');
+    } else {
+      const { minLength = 1, maxLength = 100, patterns = [], suspiciousWords = [] } = raw.name;
+      if (!Number.isInteger(minLength) || !Number.isInteger(maxLength) || minLength < 1 || minLength > maxLength) {
+        errors.push('"name.minLength" and "name.maxLength" must be integers with 1 <= minLength <= maxLength');
+      }
+      if (!Array.isArray(patterns)) {
+        errors.push('"name.patterns" must be an array');
+      } else {
+        patterns.forEach((rule, index) => {
+          if (!rule || typeof rule.pattern !== 'string') {
+            errors.push(`"name.patterns[${index}].pattern" must be a string`);
+            return;
+          }
+          if (rule.flags !== undefined && (typeof rule.flags !== 'string' || STATEFUL_FLAGS.test(rule.flags))) {
+            errors.push(`"name.patterns[${index}].flags" must be a string without the g and y flags`);
+          } else {
+            try {
+              RegExp(rule.pattern, rule.flags || '');
+            } catch (error) {
+              errors.push(`"name.patterns[${index}]" is not a valid regular expression: ${error.message}`);
+            }
+          }
+          if (typeof rule.reason !== 'string' || !/^NAME_[A-Z_]+$/.test(rule.reason)) {
+            errors.push(`"name.patterns[${index}].reason" must be a NAME_* reason code`);
+          }
+        });
+      }
+      this._checkWords(suspiciousWords, 'name.suspiciousWords', errors);
+    }
+
+    this._checkRange(raw.pollution, 'pollution', errors);
+    this._checkNames(raw.allow, 'allow', errors);
+    this._checkNames(raw.deny, 'deny', errors);
+
+    if (raw.countries !== undefined) {
+      if (!raw.countries || typeof raw.countries !== 'object' || Array.isArray(raw.countries)) {
+        errors.push('"countries" must be an object keyed by country');
+      } else {
+        for (const [country, override] of Object.entries(raw.countries)) {
+          const field = `countries.${country}`;
+          if (!countryRegistry.isKnown(country)) {
+            errors.push(`"${field}" is not a known country`);
+          }
+          if (!override || typeof override !== 'object' || Array.isArray(override)) {
+            errors.push(`"${field}" must be an object`);
+            continue;
+          }
+          const unknown = Object.keys(override).filter(key => !OVERRIDE_FIELDS.includes(key));
+          if (unknown.length > 0) {
+            errors.push(`"${field}" has unsupported fields: ${unknown.join(', ')} (allowed: ${OVERRIDE_FIELDS.join(', ')})`);
+          }
+          if (override.suspiciousWords !== undefined) {
+            this._checkWords(override.suspiciousWords, `${field}.suspiciousWords`, errors);
+          }
+          this._checkRange(override.pollution, `${field}.pollution`, errors);
+          this._checkMergedRange(raw.pollution, override.pollution, `${field}.pollution`, errors);
+          this._checkNames(override.allow, `${field}.allow`, errors, false);
+          this._checkNames(override.deny, `${field}.deny`, errors, false);
+        }
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new RuleSetError(errors);
+    }
+  }
+
+  /**
+   * Effective rules for one country: the base rules with the country's
+   * override applied and the allowlist/denylist entries scoped to it
+   * @private
+   */
+  _countryRules(base, raw, code, override = {}) {
+    return {
+      ...base,
+      suspiciousWords: override.suspiciousWords
+        ? override.suspiciousWords.map(word => word.toLowerCase())
+        : base.suspiciousWords,
+      pollution: { ...base.pollution, ...override.pollution },
+      allow: new Set([...this._nameSet(raw.allow, code), ...this._nameSet(override.allow, code)]),
+      deny: new Set([...this._nameSet(raw.deny, code), ...this._nameSet(override.deny, code)])
+    };
+  }
+
+  /**
+   * Name keys of list entries that apply to a country. Entries are either a
+   * name (any country) or { name, country }.
+   * @private
+   */
+  _nameSet(entries = [], country) {
+    const names = new Set();
+    for (const entry of entries) {
+      if (typeof entry === 'string') {
+        names.add(nameKey(entry));
+      } else if (country && countryRegistry.matchKey(entry.country) === country) {
+        names.add(nameKey(entry.name));
+      }
+    }
+    return names;
+  }
+
+  /**
+   * @private
+   */
+  _checkNames(entries, field, errors, allowCountry = true) {
+    if (entries === undefined) {
+      return;
+    }
+    if (!Array.isArray(entries)) {
+      errors.push(`"${field}" must be an array`);
+      return;
+    }
+    entries.forEach((entry, index) => {
+      if (typeof entry === 'string' && entry.trim()) {
+        return;
+      }
+      if (allowCountry && entry && typeof entry.name === 'string' && entry.name.trim() && countryRegistry.isKnown(entry.country)) {
+        return;
+      }
+      errors.push(allowCountry
+        ? `"${field}[${index}]" must be a city name or { name, country } with a known country`
+        : `"${field}[${index}]" must be a city name`);
+    });
+  }
+
+  /**
+   * @private
+   */
+  _checkWords(words, field, errors) {
+    if (!Array.isArray(words) || words.some(word => typeof word !== 'string' || !word.trim())) {
+      errors.push(`"${field}" must be an array of non-empty strings`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _checkRange(range, field, errors) {
+    if (range === undefined) {
+      return;
+    }
+    if (!range || typeof range !== 'object') {
+      errors.push(`"${field}" must be an object with min and max`);
+      return;
+    }
+    const { min, max } = range;
+    if ((min !== undefined && !Number.isFinite(min)) || (max !== undefined && !Number.isFinite(max))) {
+      errors.push(`"${field}.min" and "${field}.max" must be numbers`);
+    } else if (min !== undefined && max !== undefined && min > max) {
+      errors.push(`"${field}.min" must not be greater than "${field}.max"`);
+    }
+  }
+
+  /**
+   * Checks a country's pollution range once the bounds it leaves out are taken
+   * from the base range. Ranges that are invalid on their own are reported by
+   * _checkRange already.
+   * @private
+   */
+  _checkMergedRange(baseRange, range, field, errors) {
+    const isValid = value => value === undefined || (value && typeof value === 'object' &&
+      [value.min, value.max].every(bound => bound === undefined || Number.isFinite(bound)));
+    if (range === undefined || !isValid(baseRange) || !isValid(range) ||
+        (range.min !== undefined && range.max !== undefined)) {
+      return;
+    }
+
+    const { min, max } = { ...DEFAULT_POLLUTION_RANGE, ...baseRange, ...range };
+    if (min > max) {
+      errors.push(`"${field}" gives min ${min} greater than max ${max} once merged with the base range`);
+    }
+  }
+}
+
+module.exports = new ValidationRules();
+module.exports.RuleSetError = RuleSetError;
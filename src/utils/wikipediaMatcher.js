@@ -0,0 +1,115 @@
+const { foldText, nameKey } = require('./textNormalizer');
+const countryRegistry = require('./countryRegistry');
+
+// Words that mark an article about a populated place, per language edition
+const PLACE_KEYWORDS = {
+  en: ['city', 'town', 'capital', 'municipality', 'metropolis', 'village', 'commune', 'settlement', 'borough', 'conurbation', 'urban'],
+  de: ['stadt', 'hauptstadt', 'gemeinde', 'metropole', 'dorf', 'ort'],
+  fr: ['ville', 'capitale', 'commune', 'metropole', 'village', 'agglomeration'],
+  es: ['ciudad', 'capital', 'municipio', 'localidad', 'pueblo', 'metropoli'],
+  it: ['citta', 'capoluogo', 'capitale', 'comune', 'paese'],
+  pt: ['cidade', 'capital', 'municipio', 'vila', 'localidade'],
+  nl: ['stad', 'hoofdstad', 'gemeente', 'dorp'],
+  pl: ['miasto', 'stolica', 'gmina', 'wies'],
+  ru: ['город', 'столица', 'посёлок', 'село']
+};
+
+// Weights of the individual checks. exactTitle and partialTitle never both
+// apply, so the score tops out at 1
+const WEIGHTS = {
+  exactTitle: 0.3,
+  partialTitle: 0.15,
+  populatedPlace: 0.3,
+  country: 0.25,
+  coordinates: 0.15
+};
+
+/**
+ * Removes qualifiers from a page title: "Victoria, British Columbia" -> "Victoria",
+ * "Paris (Texas)" -> "Paris"
+ * @param {string} title - Page title
+ * @returns {string} Base name
+ */
+const baseTitle = (title) => {
+  return String(title).replace(/\s*\(.*\)\s*$/, '').split(',')[0].trim();
+};
+
+/**
+ * Names a country may appear under in an article: the given name, and for
+ * countries known to the registry their English names, aliases and the
+ * localized name in the article's language
+ * @param {string} country - Country name, alias or ISO code
+ * @param {string} language - Wikipedia language code
+ * @returns {Array<string>} Name keys
+ */
+const countryNamesFor = (country, language) => {
+  const names = new Set([nameKey(country)]);
+  const known = countryRegistry.resolve(country);
+
+  if (known) {
+    [known.name, ...known.aliases].forEach(name => names.add(nameKey(name)));
+    for (const locale of new Set([language, 'en'])) {
+      try {
+        const name = new Intl.DisplayNames([locale], { type: 'region' }).of(known.alpha2);
+        if (name) {
+          names.add(nameKey(name));
+        }
+      } catch (error) {
+        // Unknown locale, keep the other names
+      }
+    }
+  }
+
+  return Array.from(names).filter(name => name.length > 2);
+};
+
+/**
+ * Scores how likely a Wikipedia page summary describes the given city.
+ * Disambiguation pages always score 0.
+ * @param {Object} page - Raw REST page summary
+ * @param {Object} expected - What the page should describe
+ * @param {string} expected.cityName - City name
+ * @param {string} expected.country - Country name or ISO code
+ * @param {string} expected.language - Wikipedia language code
+ * @returns {number} Confidence between 0 and 1
+ */
+const scoreCandidate = (page, { cityName, country, language }) => {
+  if (!page || !page.extract || page.type === 'disambiguation') {
+    return 0;
+  }
+
+  const city = foldText(cityName);
+  const title = foldText(baseTitle(page.title));
+  const text = foldText(`${page.description || ''} ${page.extract}`);
+  let score = 0;
+
+  if (title === city) {
+    score += WEIGHTS.exactTitle;
+  } else if (title.includes(city) || city.includes(title)) {
+    score += WEIGHTS.partialTitle;
+  }
+
+  const keywords = PLACE_KEYWORDS[language] || PLACE_KEYWORDS.en;
+  const words = new Set(text.split(/[^\p{L}]+/u));
+  if (keywords.some(keyword => words.has(foldText(keyword)))) {
+    score += WEIGHTS.populatedPlace;
+  }
+
+  // Names must start a word, so short aliases such as "usa" don't match inside
+  // "Jerusalem" while inflected forms such as "Deutschlands" still count
+  const paddedText = ` ${nameKey(text)}`;
+  if (countryNamesFor(country, language).some(name => paddedText.includes(` ${name}`))) {
+    score += WEIGHTS.country;
+  }
+
+  if (page.coordinates) {
+    score += WEIGHTS.coordinates;
+  }
+
+  return Math.round(score * 100) / 100;
+};
+
+module.exports = {
+  baseTitle,
+  scoreCandidate
+};
@@ -0,0 +1,106 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig, ConfigError } = require('../../src/config');
+
+describe('loadConfig', () => {
+  let directory;
+
+  beforeAll(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'config-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const writeFile = (name, contents) => {
+    const file = path.join(directory, name);
+    fs.writeFileSync(file, contents);
+    return file;
+  };
+
+  const errorsOf = (env) => {
+    try {
+      loadConfig(env);
+    } catch (error) {
+      expect(error).toBeInstanceOf(ConfigError);
+      return error.errors;
+    }
+    throw new Error('loadConfig did not throw');
+  };
+
+  it('uses the defaults when nothing is set', () => {
+    const { config, sources, file } = loadConfig({});
+
+    expect(config.server.port).toBe(3000);
+    expect(config.wikipedia.fallbackLanguages).toEqual(['en']);
+    expect(sources['server.port']).toBe('default');
+    expect(file).toBeNull();
+    expect(Object.isFrozen(config.server)).toBe(true);
+  });
+
+  it('coerces variables to the setting type and splits lists', () => {
+    const { config, sources } = loadConfig({ PORT: '8080', WIKIPEDIA_FALLBACK_LANGUAGES: 'de, fr,,en', LOG_LEVEL: ' ' });
+
+    expect(config.server.port).toBe(8080);
+    expect(config.wikipedia.fallbackLanguages).toEqual(['de', 'fr', 'en']);
+    expect(config.logging.level).toBe('info');
+    expect(sources['server.port']).toBe('env:PORT');
+  });
+
+  it('reads a JSON CONFIG_FILE, with variables taking precedence', () => {
+    const file = writeFile('config.json', JSON.stringify({ server: { port: 4000, shutdownTimeout: 500 } }));
+    const { config, sources } = loadConfig({ CONFIG_FILE: file, PORT: '5000' });
+
+    expect(config.server.port).toBe(5000);
+    expect(config.server.shutdownTimeout).toBe(500);
+    expect(sources['server.shutdownTimeout']).toBe('file');
+    expect(sources['server.port']).toBe('env:PORT');
+  });
+
+  it('reads a YAML CONFIG_FILE', () => {
+    const file = writeFile('config.yml', 'logging:\n  level: debug\nwikipedia:\n  fallbackLanguages: [pl, en]\n');
+    const { config, file: used } = loadConfig({ CONFIG_FILE: file });
+
+    expect(used).toBe(file);
+    expect(config.logging.level).toBe('debug');
+    expect(config.wikipedia.fallbackLanguages).toEqual(['pl', 'en']);
+  });
+
+  it('applies deprecated variables with a warning', () => {
+    const { config, sources, warnings } = loadConfig({ POLLUTION_API_BASE_URL: 'https://pollution.example.com' });
+
+    expect(config.pollutionApi.url).toBe('https://pollution.example.com');
+    expect(sources['pollutionApi.url']).toBe('env:POLLUTION_API_BASE_URL');
+    expect(warnings).toEqual(['POLLUTION_API_BASE_URL is deprecated, use POLLUTION_API_URL instead']);
+  });
+
+  it('reports every invalid variable with its value', () => {
+    const errors = errorsOf({ PORT: 'eighty', LOG_LEVEL: 'loud' });
+
+    expect(errors).toHaveLength(2);
+    expect(errors).toContain('PORT must be integer (got "eighty")');
+    expect(errors).toContain('LOG_LEVEL must be one of: error, warn, info, debug (got "loud")');
+  });
+
+  it('names the file key of invalid and unknown file settings', () => {
+    const file = writeFile('invalid.json', JSON.stringify({ server: { port: 70000, colour: 'blue' } }));
+    const errors = errorsOf({ CONFIG_FILE: file });
+
+    expect(errors).toContain('server.port in CONFIG_FILE must be <= 65535');
+    expect(errors).toContain('CONFIG_FILE: unknown setting server.colour');
+  });
+
+  it.each([
+    ['missing', () => path.join(directory, 'missing.json'), /could not be read/],
+    ['malformed JSON', () => writeFile('malformed.json', '{ "server": '), /could not be read/],
+    ['malformed YAML', () => writeFile('malformed.yaml', 'server: [port'), /could not be read/],
+    ['not an object', () => writeFile('list.json', '[1, 2]'), /must contain an object of settings/]
+  ])('rejects a CONFIG_FILE that is %s', (description, createFile, message) => {
+    const errors = errorsOf({ CONFIG_FILE: createFile() });
+
+    expect(errors).toHaveLength(1);
+    expect(errors[0]).toMatch(message);
+  });
+});
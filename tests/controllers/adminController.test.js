@@ -0,0 +1,137 @@
+jest.mock('../../src/services/datasetService', () => require('../helpers/mocks').mockDatasetService());
+
+const datasetService = require('../../src/services/datasetService');
+const validationRules = require('../../src/utils/validationRules');
+const { dryRunRules, getRejections } = require('../../src/controllers/adminController');
+const { mockRequest, mockResponse } = require('../helpers/http');
+
+const rulesRequest = (body, yaml = false) => {
+  const req = mockRequest({ body });
+  req.is.mockReturnValue(yaml ? 'application/yaml' : false);
+  return req;
+};
+
+const rawEntries = [
+  { name: 'Warsaw', country: 'PL', pollution: 80 },
+  { name: 'Salt Lake City', country: 'US', pollution: 40 },
+  { name: 'Sample', country: 'DE', pollution: 20 },
+  { name: 'Berlin', country: 'DE', pollution: 1200 },
+  { name: 'Krakow', country: 'PL', pollution: 120 }
+];
+
+const candidate = (overrides = {}) => ({
+  ...validationRules.current.raw,
+  revision: 'candidate',
+  ...overrides
+});
+
+beforeEach(() => {
+  datasetService.getSnapshot.mockReset();
+  datasetService.getSnapshot.mockResolvedValue({ rawEntries, updatedAt: '2026-01-01T00:00:00.000Z' });
+});
+
+describe('dryRunRules', () => {
+  it('reports how the candidate rules would change the dataset without applying them', async () => {
+    const activeRevision = validationRules.current.revision;
+    const res = mockResponse();
+    await dryRunRules(rulesRequest(candidate({
+      allow: ['Sample'],
+      countries: { PL: { pollution: { max: 100 } } }
+    })), res);
+
+    expect(res.status).not.toHaveBeenCalled();
+    const body = res.json.mock.calls[0][0];
+    expect(body.rawCount).toBe(5);
+    expect(body.active).toEqual({
+      revision: activeRevision,
+      accepted: 3,
+      rejected: 2,
+      merged: 0,
+      byReason: { NAME_PLACEHOLDER: 1, POLLUTION_OUT_OF_RANGE: 1 }
+    });
+    expect(body.candidate).toMatchObject({ revision: 'candidate', accepted: 3, rejected: 2 });
+    expect(body.changes).toMatchObject({
+      accepted: 0,
+      rejected: 0,
+      newlyRejectedCount: 1,
+      newlyAcceptedCount: 1,
+      reasonChanged: 0,
+      newlyRejected: [{ reason: 'POLLUTION_OUT_OF_RANGE', entry: rawEntries[4] }],
+      newlyAccepted: [{ previousReason: 'NAME_PLACEHOLDER', entry: rawEntries[2] }]
+    });
+    expect(validationRules.current.revision).toBe(activeRevision);
+  });
+
+  it('reads YAML rule sets', async () => {
+    const res = mockResponse();
+    await dryRunRules(rulesRequest('version: 1\nrevision: yaml\nname:\n  suspiciousWords: [warsaw]\n', true), res);
+
+    expect(res.json.mock.calls[0][0].candidate).toMatchObject({
+      revision: 'yaml',
+      byReason: { SUSPICIOUS_WORD: 1, POLLUTION_OUT_OF_RANGE: 1 }
+    });
+  });
+
+  it('answers 400 with every problem of an invalid rule set', async () => {
+    const res = mockResponse();
+    await dryRunRules(rulesRequest(candidate({ version: 3, pollution: { min: 5, max: 1 } })), res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+      error: 'Invalid rule set',
+      details: ['"version" must be one of 1', '"pollution.min" must not be greater than "pollution.max"']
+    }));
+    expect(datasetService.getSnapshot).not.toHaveBeenCalled();
+  });
+});
+
+describe('getRejections', () => {
+  const rejections = [
+    { reason: 'NAME_PLACEHOLDER', entry: { name: 'test', country: 'PL', pollution: 10 } },
+    { reason: 'COUNTRY_UNKNOWN', entry: { name: 'Berlin', country: 'Atlantis', pollution: 20 } },
+    { reason: 'NAME_PLACEHOLDER', entry: { name: 'null', country: 'DE', pollution: 30 } }
+  ];
+
+  beforeEach(() => {
+    datasetService.getSnapshot.mockResolvedValue({
+      updatedAt: '2026-01-01T00:00:00.000Z',
+      rulesRevision: 'default',
+      rawCount: 10,
+      total: 6,
+      rejections: {
+        total: 4,
+        byReason: { NAME_PLACEHOLDER: 2, COUNTRY_UNKNOWN: 2 },
+        entries: rejections,
+        truncated: true
+      }
+    });
+  });
+
+  it('reports the counts of every reason, most frequent first', async () => {
+    const res = mockResponse();
+
+    await getRejections(mockRequest(), res);
+
+    const [body] = res.json.mock.calls[0];
+    expect(body).toMatchObject({ rulesRevision: 'default', rawCount: 10, accepted: 6, rejected: 4, merged: 0, total: 3, truncated: true });
+    expect(body.reasons.slice(0, 3)).toEqual([
+      { code: 'COUNTRY_UNKNOWN', description: expect.any(String), count: 2 },
+      { code: 'NAME_PLACEHOLDER', description: expect.any(String), count: 2 },
+      { code: 'COUNTRY_INVALID', description: expect.any(String), count: 0 }
+    ]);
+    expect(body.reasons.map(reason => reason.code)).toContain('POLLUTION_OUT_OF_RANGE');
+  });
+
+  it('filters the kept entries by reason and pages through them', async () => {
+    const res = mockResponse();
+
+    await getRejections(mockRequest({ query: { reason: 'NAME_PLACEHOLDER,MISSING_FIELD', page: '2', limit: '1' } }), res);
+
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+      page: 2,
+      limit: 1,
+      total: 2,
+      rejections: [rejections[2]]
+    }));
+  });
+});
@@ -0,0 +1,241 @@
+jest.mock('../../src/services/datasetService', () => require('../helpers/mocks').mockDatasetService());
+jest.mock('../../src/services/wikipediaService', () => ({
+  getCitySummary: jest.fn().mockResolvedValue(null)
+}));
+
+const datasetService = require('../../src/services/datasetService');
+const wikipediaService = require('../../src/services/wikipediaService');
+const logger = require('../../src/utils/logger');
+const dataValidator = require('../../src/utils/dataValidator');
+const { getCitiesPollution, getCityDetail, getCitiesBatch } = require('../../src/controllers/citiesController');
+const { mockRequest, mockResponse } = require('../helpers/http');
+
+beforeEach(() => {
+  const cities = dataValidator.mergeDuplicates([
+    { name: 'Łódź', country: 'Poland', pollution: 50 },
+    { name: 'Lodz', country: 'PL', pollution: 70 },
+    { name: 'Krakow', country: 'PL', pollution: 90 }
+  ], 'latest').sort((a, b) => b.pollution - a.pollution);
+  datasetService.getSnapshot.mockResolvedValue({ cities, total: cities.length });
+});
+
+describe('getCitiesPollution export', () => {
+  const exportRequest = query => mockRequest({ query: { all: 'true', ...query }, accepts: () => 'application/json' });
+
+  beforeEach(() => {
+    const cities = dataValidator.mergeDuplicates(
+      Array.from({ length: 45 }, (_, index) => ({ name: `City ${index + 1}`, country: 'PL', pollution: 100 - index }))
+        .concat([{ name: '=HYPERLINK("http://evil.example")', country: 'DE', pollution: 1 }]),
+      'latest'
+    ).sort((a, b) => b.pollution - a.pollution);
+    datasetService.getSnapshot.mockResolvedValue({ cities, total: cities.length });
+    wikipediaService.getCitySummary.mockReset();
+    wikipediaService.getCitySummary.mockResolvedValue(null);
+  });
+
+  it('streams every matching city as CSV, escaping formulas', async () => {
+    const res = mockResponse();
+    await getCitiesPollution(exportRequest({ format: 'csv' }), res);
+
+    const rows = res.body.split('\r\n');
+    expect(rows[0]).toBe('name,country,countryCode,pollution,category,description,latitude,longitude');
+    expect(rows).toHaveLength(48);
+    expect(rows[46]).toBe('"\'=HYPERLINK(""http://evil.example"")",Germany,DE,1,Good,"\'=HYPERLINK(""http://evil.example"") is a city in Germany.",,');
+    expect(res.headers).toMatchObject({ 'Content-Type': 'text/csv; charset=utf-8', 'X-Total-Count': '46' });
+    expect(res.attachment).toHaveBeenCalledWith('cities.csv');
+    expect(res.write.mock.calls.length).toBeGreaterThan(2);
+  });
+
+  it('applies the list filters to the export', async () => {
+    const res = mockResponse();
+    await getCitiesPollution(exportRequest({ format: 'ndjson', country: 'DE' }), res);
+
+    expect(res.body.trim().split('\n').map(line => JSON.parse(line).countryCode)).toEqual(['DE']);
+  });
+
+  it('stops enriching cities once the client is gone', async () => {
+    const res = mockResponse();
+    res.write.mockImplementation(() => {
+      res.destroyed = true;
+      return true;
+    });
+    jest.spyOn(logger, 'info').mockImplementation(() => {});
+    await getCitiesPollution(exportRequest({ format: 'json' }), res);
+
+    expect(wikipediaService.getCitySummary).not.toHaveBeenCalled();
+    expect(res.end).not.toHaveBeenCalled();
+    jest.restoreAllMocks();
+  });
+});
+
+describe('getCityDetail', () => {
+  it.each([['PL', 'Łódź'], ['Poland', 'lodz'], ['pol', 'LÓDŹ']])(
+    'finds the merged city from %s/%s',
+    async (country, city) => {
+      const res = mockResponse();
+      await getCityDetail(mockRequest({ params: { country, city } }), res);
+
+      expect(res.status).not.toHaveBeenCalled();
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        name: 'Lodz',
+        rank: { global: 2, country: 2 }
+      }));
+    }
+  );
+
+  it('answers 404 for a city that is not in the dataset', async () => {
+    const res = mockResponse();
+    await getCityDetail(mockRequest({ params: { country: 'PL', city: 'Gdansk' } }), res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+
+  describe('with a dataset across countries', () => {
+    beforeEach(() => {
+      const cities = dataValidator.mergeDuplicates([
+        { name: 'Krakow', country: 'PL', pollution: 90 },
+        { name: 'Berlin', country: 'DE', pollution: 80 },
+        { name: 'Lodz', country: 'PL', pollution: 70 },
+        { name: 'Paris', country: 'FR', pollution: 10 }
+      ], 'latest');
+      datasetService.getSnapshot.mockResolvedValue({ cities, total: cities.length });
+      wikipediaService.getCitySummary.mockReset();
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('ranks the city globally and within its country', async () => {
+      wikipediaService.getCitySummary.mockResolvedValue(null);
+      const res = mockResponse();
+      await getCityDetail(mockRequest({ params: { country: 'PL', city: 'Lodz' } }), res);
+
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        rank: { global: 3, country: 2 },
+        totalCities: 4,
+        countryCities: 2,
+        percentile: 25,
+        stale: false
+      }));
+    });
+
+    it('describes the city from Wikipedia in the requested language', async () => {
+      wikipediaService.getCitySummary.mockResolvedValue({
+        title: 'Łódź',
+        language: 'pl',
+        description: 'Łódź – miasto w Polsce',
+        extract: 'Łódź jest trzecim co do wielkości miastem Polski.',
+        url: 'https://pl.wikipedia.org/wiki/%C5%81%C3%B3d%C5%BA',
+        thumbnail: null,
+        coordinates: { lat: 51.77, lon: 19.46 },
+        confidence: 0.9
+      });
+      const res = mockResponse();
+      await getCityDetail(mockRequest({ params: { country: 'PL', city: 'Lodz' }, language: 'pl' }), res);
+
+      expect(wikipediaService.getCitySummary).toHaveBeenCalledWith('Lodz', 'Poland', 'pl');
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        description: 'Łódź – miasto w Polsce',
+        descriptionLanguage: 'pl',
+        descriptionSource: { type: 'wikipedia', title: 'Łódź', url: 'https://pl.wikipedia.org/wiki/%C5%81%C3%B3d%C5%BA', confidence: 0.9 },
+        wikipedia: expect.objectContaining({ title: 'Łódź', coordinates: { lat: 51.77, lon: 19.46 } })
+      }));
+    });
+
+    it('falls back to a generated description when Wikipedia fails', async () => {
+      jest.spyOn(logger, 'warn').mockImplementation(() => {});
+      wikipediaService.getCitySummary.mockRejectedValue(new Error('timeout'));
+      const res = mockResponse();
+      await getCityDetail(mockRequest({ params: { country: 'DE', city: 'Berlin' } }), res);
+
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        description: 'Berlin is a city in Germany.',
+        descriptionLanguage: 'en',
+        descriptionSource: { type: 'generated', title: null, url: null, confidence: null },
+        wikipedia: null
+      }));
+    });
+
+    it('suggests close matches from the same country for an unknown city', async () => {
+      const res = mockResponse();
+      await getCityDetail(mockRequest({ params: { country: 'PL', city: 'Krakuw' } }), res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.json.mock.calls[0][0].suggestions).toEqual([
+        { name: 'Krakow', country: 'Poland', countryCode: 'PL', href: '/api/cities/PL/Krakow' }
+      ]);
+    });
+  });
+});
+
+describe('getCitiesBatch', () => {
+  it('matches every spelling of a merged city and keeps the input order', async () => {
+    const res = mockResponse();
+    const body = [
+      { name: 'Łódź', country: 'PL' },
+      { name: 'Gdansk', country: 'PL' },
+      { name: 'krakow', country: 'Poland' }
+    ];
+    await getCitiesBatch(mockRequest({ body }), res);
+
+    const { matched, notFound, results } = res.json.mock.calls[0][0];
+    expect({ matched, notFound }).toEqual({ matched: 2, notFound: 1 });
+    expect(results.map(result => [result.index, result.status, result.city && result.city.name])).toEqual([
+      [0, 'matched', 'Lodz'],
+      [1, 'not_found', undefined],
+      [2, 'matched', 'Krakow']
+    ]);
+  });
+});
+
+describe('getCitiesBatch with include=description', () => {
+  const body = Array.from({ length: 12 }, () => ({ name: 'Krakow', country: 'PL' }));
+
+  beforeEach(() => {
+    wikipediaService.getCitySummary.mockReset();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('runs only a few description lookups at a time', async () => {
+    let running = 0;
+    let mostRunning = 0;
+    wikipediaService.getCitySummary.mockImplementation(async () => {
+      mostRunning = Math.max(mostRunning, ++running);
+      await new Promise(resolve => setImmediate(resolve));
+      running--;
+      return null;
+    });
+
+    const res = mockResponse();
+    await getCitiesBatch(mockRequest({ body, query: { include: 'description' } }), res);
+
+    expect(wikipediaService.getCitySummary).toHaveBeenCalledTimes(12);
+    expect(mostRunning).toBe(4);
+    expect(res.json.mock.calls[0][0].descriptionsSkipped).toBe(0);
+  });
+
+  it('skips the lookups not started before the deadline', async () => {
+    let now = Date.now();
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    // Every lookup takes 4 seconds, so the first four run past the 10 second deadline
+    wikipediaService.getCitySummary.mockImplementation(async () => {
+      await Promise.resolve();
+      now += 4000;
+      return null;
+    });
+
+    const res = mockResponse();
+    await getCitiesBatch(mockRequest({ body, query: { include: 'description' } }), res);
+
+    const { descriptionsSkipped, results } = res.json.mock.calls[0][0];
+    const skipped = results.filter(result => result.city.description === null);
+    expect(wikipediaService.getCitySummary).toHaveBeenCalledTimes(4);
+    expect(descriptionsSkipped).toBe(8);
+    expect(skipped).toHaveLength(8);
+    expect(skipped[0].city).toMatchObject({ descriptionLanguage: null, descriptionSource: null });
+  });
+});
@@ -0,0 +1,67 @@
+jest.mock('../../src/services/datasetService', () => require('../helpers/mocks').mockDatasetService());
+
+const datasetService = require('../../src/services/datasetService');
+const logger = require('../../src/utils/logger');
+const dataValidator = require('../../src/utils/dataValidator');
+const { CircuitOpenError } = require('../../src/utils/circuitBreaker');
+const { getCountries, getCountry } = require('../../src/controllers/countriesController');
+const { mockRequest, mockResponse } = require('../helpers/http');
+
+beforeEach(() => {
+  const cities = dataValidator.mergeDuplicates([
+    { name: 'Krakow', country: 'PL', pollution: 90 },
+    { name: 'Paris', country: 'FR', pollution: 70 },
+    { name: 'Warsaw', country: 'PL', pollution: 60 },
+    { name: 'Lyon', country: 'FR', pollution: 30 },
+    { name: 'Berlin', country: 'DE', pollution: 40 }
+  ], 'latest').sort((a, b) => b.pollution - a.pollution);
+  datasetService.getSnapshot.mockReset();
+  datasetService.getSnapshot.mockResolvedValue({ cities, total: cities.length });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('getCountries', () => {
+  it('pages the sorted country aggregates', async () => {
+    const res = mockResponse();
+    await getCountries(mockRequest({ query: { sort: 'count', order: 'desc', page: '2', limit: '2' } }), res);
+
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+      page: 2,
+      limit: 2,
+      total: 3,
+      sort: 'count',
+      stale: false,
+      countries: [expect.objectContaining({ countryCode: 'DE' })]
+    }));
+  });
+
+  it('answers 503 while the pollution API circuit is open and there is no data', async () => {
+    jest.spyOn(logger, 'error').mockImplementation(() => {});
+    datasetService.getSnapshot.mockRejectedValue(new CircuitOpenError('pollution-api', new Date()));
+    const res = mockResponse();
+    await getCountries(mockRequest(), res);
+
+    expect(res.status).toHaveBeenCalledWith(503);
+  });
+});
+
+describe('getCountry', () => {
+  it('ranks the cities of the country', async () => {
+    const res = mockResponse();
+    await getCountry(mockRequest({ params: { code: 'fra' } }), res);
+
+    const body = res.json.mock.calls[0][0];
+    expect(body).toMatchObject({ countryCode: 'FR', count: 2, mean: 50, total: 2 });
+    expect(body.cities.map(city => [city.rank, city.name])).toEqual([[1, 'Paris'], [2, 'Lyon']]);
+  });
+
+  it('answers 404 for a country without cities', async () => {
+    const res = mockResponse();
+    await getCountry(mockRequest({ params: { code: 'ES' } }), res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+});
@@ -0,0 +1,41 @@
+jest.mock('../../src/utils/cache', () => ({
+  listKeys: jest.fn()
+}));
+
+const cache = require('../../src/utils/cache');
+const { getMetrics } = require('../../src/controllers/metricsController');
+const { mockRequest, mockResponse } = require('../helpers/http');
+
+describe('getMetrics', () => {
+  const scrape = async () => {
+    const res = mockResponse();
+    await getMetrics(mockRequest(), res);
+    return res;
+  };
+
+  it('serves the registry in the Prometheus text format', async () => {
+    cache.listKeys.mockReturnValue([]);
+
+    const res = await scrape();
+
+    expect(res.headers['Content-Type']).toMatch(/^text\/plain/);
+    expect(res.send.mock.calls[0][0]).toContain('# TYPE http_requests_total counter');
+  });
+
+  it('counts the listed cache keys per prefix', async () => {
+    cache.listKeys.mockReturnValue(['wiki_match_en_a', 'wiki_match_de_a', 'geo_a']);
+
+    const [body] = (await scrape()).send.mock.calls[0];
+
+    expect(body).toContain('cache_entries{prefix="wiki"} 2');
+    expect(body).toContain('cache_entries{prefix="geo"} 1');
+  });
+
+  it('drops the counts of prefixes that are gone or when the backend lists nothing', async () => {
+    cache.listKeys.mockReturnValue(['geo_a']);
+    expect((await scrape()).send.mock.calls[0][0]).not.toContain('cache_entries{prefix="wiki"}');
+
+    cache.listKeys.mockReturnValue(null);
+    expect((await scrape()).send.mock.calls[0][0]).not.toContain('cache_entries{prefix=');
+  });
+});
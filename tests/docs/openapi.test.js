@@ -0,0 +1,23 @@
+jest.mock('../../src/services/apiKeyService', () => {
+  throw new Error('the OpenAPI document must not open the API key store');
+});
+
+const spec = require('../../src/docs/openapi');
+const { readTiers } = require('../../src/utils/apiTiers');
+
+describe('OpenAPI document', () => {
+  it('lists the tiers of the tier file for new keys', () => {
+    const { tiers, defaultTier } = readTiers();
+    const { tier } = spec.components.schemas.NewApiKey.properties;
+
+    expect(tier.enum).toEqual(Object.keys(tiers));
+    expect(tier.description).toBe(`Default: ${defaultTier}`);
+  });
+
+  it('gives every operation a unique operationId', () => {
+    const ids = Object.values(spec.paths).flatMap(operations => Object.values(operations).map(operation => operation.operationId));
+
+    expect(ids.every(Boolean)).toBe(true);
+    expect(new Set(ids).size).toBe(ids.length);
+  });
+});
@@ -0,0 +1,53 @@
+/**
+ * Stand-ins for the Express request and response objects handed to controllers
+ * and middleware
+ */
+
+/**
+ * @param {Object} overrides - Request fields, e.g. params, query and body
+ * @returns {Object} Request with empty params, query and headers by default
+ */
+const mockRequest = (overrides = {}) => {
+  const headers = Object.fromEntries(Object.entries(overrides.headers || {}).map(([name, value]) => [name.toLowerCase(), value]));
+  return {
+    params: {},
+    query: {},
+    language: 'en',
+    ...overrides,
+    headers,
+    get: name => headers[name.toLowerCase()],
+    is: jest.fn(() => false)
+  };
+};
+
+/**
+ * @returns {Object} Response whose methods are jest mocks; headers collects what set()
+ *   was given and body what was streamed with write() and end()
+ */
+const mockResponse = () => {
+  const res = { headers: {}, locals: {}, body: '', destroyed: false };
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  res.send = jest.fn(() => res);
+  res.vary = jest.fn(() => res);
+  res.links = jest.fn(() => res);
+  res.attachment = jest.fn(() => res);
+  res.set = jest.fn((name, value) => {
+    Object.assign(res.headers, typeof name === 'object' ? name : { [name]: value });
+    return res;
+  });
+  res.write = jest.fn((chunk) => {
+    res.body += chunk;
+    return true;
+  });
+  res.end = jest.fn((chunk = '') => {
+    res.body += chunk;
+    return res;
+  });
+  return res;
+};
+
+module.exports = {
+  mockRequest,
+  mockResponse
+};
@@ -0,0 +1,19 @@
+/**
+ * Module mocks shared by the test files. Use them from a jest.mock factory:
+ * jest.mock('../../src/services/datasetService', () => require('../helpers/mocks').mockDatasetService())
+ */
+
+/**
+ * @returns {Object} datasetService with no snapshot loaded and never stale
+ */
+const mockDatasetService = () => ({
+  getSnapshot: jest.fn(),
+  getSnapshotVersion: jest.fn(),
+  isStale: jest.fn(() => false),
+  on: jest.fn(),
+  off: jest.fn()
+});
+
+module.exports = {
+  mockDatasetService
+};
@@ -0,0 +1,65 @@
+const { mockRequest, mockResponse } = require('../helpers/http');
+
+/**
+ * Loads the middleware with the given tokens configured
+ */
+const loadWith = (env) => {
+  const saved = { ...process.env };
+  Object.assign(process.env, env);
+  let middleware;
+  jest.isolateModules(() => {
+    middleware = require('../../src/middleware/adminAuth');
+  });
+  process.env = saved;
+  return middleware;
+};
+
+const run = (handler, authorization) => {
+  const res = mockResponse();
+  const next = jest.fn();
+  handler(mockRequest({ headers: authorization ? { Authorization: authorization } : {} }), res, next);
+  return { res, next };
+};
+
+describe('requireMetricsToken', () => {
+  it('leaves /metrics public while METRICS_TOKEN is unset', () => {
+    const { requireMetricsToken } = loadWith({ METRICS_TOKEN: '' });
+
+    expect(run(requireMetricsToken).next).toHaveBeenCalled();
+  });
+
+  describe('with METRICS_TOKEN set', () => {
+    const { requireMetricsToken } = loadWith({ METRICS_TOKEN: 'scrape-secret' });
+
+    it('lets scrapers with the token through', () => {
+      expect(run(requireMetricsToken, 'Bearer scrape-secret').next).toHaveBeenCalled();
+      expect(run(requireMetricsToken, 'bearer  scrape-secret ').next).toHaveBeenCalled();
+    });
+
+    it.each([undefined, 'Bearer wrong', 'Basic scrape-secret'])('answers 401 to %p', (authorization) => {
+      const { res, next } = run(requireMetricsToken, authorization);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.headers['WWW-Authenticate']).toBe('Bearer realm="metrics"');
+    });
+  });
+});
+
+describe('requireAdmin', () => {
+  it('answers 503 while ADMIN_API_TOKEN is unset', () => {
+    const { requireAdmin } = loadWith({ ADMIN_API_TOKEN: '' });
+    const { res, next } = run(requireAdmin, 'Bearer anything');
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(503);
+  });
+
+  it('checks the admin token', () => {
+    const { requireAdmin } = loadWith({ ADMIN_API_TOKEN: 'admin-secret', METRICS_TOKEN: 'scrape-secret' });
+    jest.spyOn(require('../../src/utils/logger'), 'warn').mockImplementation(() => {});
+
+    expect(run(requireAdmin, 'Bearer admin-secret').next).toHaveBeenCalled();
+    expect(run(requireAdmin, 'Bearer scrape-secret').res.status).toHaveBeenCalledWith(401);
+  });
+});
@@ -0,0 +1,41 @@
+const { resolveLanguage } = require('../../src/middleware/language');
+const { mockRequest, mockResponse } = require('../helpers/http');
+
+const run = ({ query = {}, accepted = [] }) => {
+  const req = mockRequest({ query, acceptsLanguages: () => accepted });
+  delete req.language;
+  const res = mockResponse();
+  const next = jest.fn();
+  resolveLanguage(req, res, next);
+  return { req, res, next };
+};
+
+describe('resolveLanguage', () => {
+  it('prefers the lang parameter over the Accept-Language header', () => {
+    const { req, res, next } = run({ query: { lang: 'PT' }, accepted: ['de'] });
+
+    expect(req.language).toBe('pt');
+    expect(res.vary).toHaveBeenCalledWith('Accept-Language');
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('keeps subtags of Wikipedia editions named in lang', () => {
+    expect(run({ query: { lang: 'zh-min-nan' } }).req.language).toBe('zh-min-nan');
+  });
+
+  it('takes the first language of the header without its region', () => {
+    expect(run({ accepted: ['*', 'de-AT', 'en'] }).req.language).toBe('de');
+  });
+
+  it('falls back to the default language', () => {
+    expect(run({ accepted: ['*'] }).req.language).toBe('en');
+  });
+
+  it.each(['e', 'en_GB', '../en', ['en', 'de']])('refuses the lang parameter %p', (lang) => {
+    const { res, next } = run({ query: { lang } });
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ error: 'Invalid lang parameter' }));
+  });
+});
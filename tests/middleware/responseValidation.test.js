@@ -0,0 +1,44 @@
+const logger = require('../../src/utils/logger');
+const { validateResponses } = require('../../src/middleware/responseValidation');
+const { mockRequest, mockResponse } = require('../helpers/http');
+
+describe('validateResponses', () => {
+  const respond = (status, body) => {
+    const req = mockRequest({ method: 'GET', baseUrl: '/api', route: { path: '/countries/:code' }, originalUrl: '/api/countries/XX' });
+    const res = mockResponse();
+    const json = res.json;
+    res.statusCode = status;
+    res.status.mockImplementation((code) => {
+      res.statusCode = code;
+      return res;
+    });
+    validateResponses(req, res, jest.fn());
+    res.json(body);
+    return { res, json };
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('sends responses that match the document unchanged', () => {
+    const body = { error: 'Country not found', message: 'No country XX' };
+    const { res, json } = respond(404, body);
+
+    expect(json).toHaveBeenCalledWith(body);
+    expect(res.statusCode).toBe(404);
+  });
+
+  it('replaces a drifting response with a 500 listing the differences', () => {
+    jest.spyOn(logger, 'error').mockImplementation(() => {});
+    const { res, json } = respond(404, { error: 'Country not found' });
+
+    expect(res.statusCode).toBe(500);
+    expect(json).toHaveBeenCalledWith({
+      error: 'Response validation failed',
+      message: 'The getCountry response does not match the OpenAPI document',
+      details: ["/ must have required property 'message'"]
+    });
+    expect(logger.error).toHaveBeenCalledWith(expect.stringContaining('GET /api/countries/XX (404) does not match the OpenAPI document'));
+  });
+});
@@ -0,0 +1,54 @@
+const { config } = require('../../src/config');
+const { validateHistoryParams, validateTrendParams } = require('../../src/middleware/validation');
+const { mockRequest, mockResponse } = require('../helpers/http');
+
+const run = (middleware, query) => {
+  const res = mockResponse();
+  const next = jest.fn();
+  middleware(mockRequest({ query }), res, next);
+  return { res, next };
+};
+
+describe('validateTrendParams', () => {
+  it.each([{}, { window: '24h' }, { window: '2w' }, { window: `${config.history.retentionDays}d` }])(
+    'accepts %o',
+    (query) => {
+      expect(run(validateTrendParams, query).next).toHaveBeenCalled();
+    }
+  );
+
+  it.each(['7', '0d', '1y', 'abc'])('refuses the malformed window %s', (window) => {
+    const { res, next } = run(validateTrendParams, { window });
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+
+  it.each([`${config.history.retentionDays + 1}d`, '99999999999w'])('refuses the window %s, longer than the history kept', (window) => {
+    const { res, next } = run(validateTrendParams, { window });
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({
+      error: 'Invalid window parameter',
+      message: `Window must not be longer than the ${config.history.retentionDays}d of history that is kept`
+    });
+  });
+});
+
+describe('validateHistoryParams', () => {
+  it('accepts dates and date-times in order', () => {
+    expect(run(validateHistoryParams, { from: '2026-03-01', to: '2026-03-02T12:00:00Z' }).next).toHaveBeenCalled();
+  });
+
+  it.each([
+    [{ from: 'yesterday' }, 'Invalid from parameter'],
+    [{ to: ['2026-03-01', '2026-03-02'] }, 'Invalid to parameter'],
+    [{ from: '2026-03-02', to: '2026-03-01' }, 'Invalid date range']
+  ])('refuses %o', (query, error) => {
+    const { res, next } = run(validateHistoryParams, query);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ error }));
+  });
+});
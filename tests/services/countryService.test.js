@@ -0,0 +1,79 @@
+const dataValidator = require('../../src/utils/dataValidator');
+const countryService = require('../../src/services/countryService');
+
+const snapshotOf = (entries) => {
+  const cities = dataValidator.mergeDuplicates(entries, 'latest').sort((a, b) => b.pollution - a.pollution);
+  return { cities, total: cities.length };
+};
+
+const snapshot = snapshotOf([
+  { name: 'Krakow', country: 'PL', pollution: 90 },
+  { name: 'Warsaw', country: 'Poland', pollution: 60 },
+  { name: 'Lodz', country: 'POL', pollution: 31 },
+  { name: 'Gdansk', country: 'PL', pollution: 20 },
+  { name: 'Berlin', country: 'DE', pollution: 45.555 },
+  { name: 'Paris', country: 'FR', pollution: 70 }
+]);
+
+describe('countryService.getCountryStats', () => {
+  it('aggregates the pollution of each country', () => {
+    const poland = countryService.getCountryStats(snapshot).find(stats => stats.countryCode === 'PL');
+
+    expect(poland).toEqual({
+      country: 'Poland',
+      countryCode: 'PL',
+      count: 4,
+      mean: 50.25,
+      median: 45.5,
+      max: 90,
+      min: 20,
+      worstCity: { name: 'Krakow', pollution: 90 }
+    });
+  });
+
+  it('rounds to two decimals and handles single-city countries', () => {
+    const germany = countryService.getCountryStats(snapshot).find(stats => stats.countryCode === 'DE');
+
+    expect(germany).toMatchObject({ count: 1, mean: 45.56, median: 45.56, max: 45.555, min: 45.555 });
+  });
+
+  it('computes the aggregates once per snapshot', () => {
+    expect(countryService.getCountryStats(snapshot)).toBe(countryService.getCountryStats(snapshot));
+    expect(countryService.getCountryStats({ ...snapshot })).not.toBe(countryService.getCountryStats(snapshot));
+  });
+});
+
+describe('countryService.getCountry', () => {
+  it.each(['PL', 'pol', 'Poland'])('finds the country and its ranked cities by %s', (code) => {
+    const country = countryService.getCountry(snapshot, code);
+
+    expect(country.countryCode).toBe('PL');
+    expect(country.cities.map(city => city.name)).toEqual(['Krakow', 'Warsaw', 'Lodz', 'Gdansk']);
+  });
+
+  it('returns null for a country without cities', () => {
+    expect(countryService.getCountry(snapshot, 'ES')).toBeNull();
+    expect(countryService.getCountry(snapshot, 'Atlantis')).toBeNull();
+  });
+});
+
+describe('countryService.sortCountryStats', () => {
+  const stats = countryService.getCountryStats(snapshot);
+  const codes = sorted => sorted.map(entry => entry.countryCode);
+
+  it.each([
+    ['mean', 'desc', ['FR', 'PL', 'DE']],
+    ['count', 'desc', ['PL', 'FR', 'DE']],
+    ['max', 'asc', ['DE', 'FR', 'PL']],
+    ['country', 'asc', ['FR', 'DE', 'PL']]
+  ])('sorts by %s %s', (field, order, expected) => {
+    expect(codes(countryService.sortCountryStats(stats, field, order))).toEqual(expected);
+  });
+
+  it('breaks ties by country name and leaves the input alone', () => {
+    const input = [...stats];
+    expect(codes(countryService.sortCountryStats(stats, 'min', 'desc'))).toEqual(['FR', 'DE', 'PL']);
+    expect(codes(countryService.sortCountryStats(stats.map(entry => ({ ...entry, count: 1 })), 'count'))).toEqual(['FR', 'DE', 'PL']);
+    expect(stats).toEqual(input);
+  });
+});
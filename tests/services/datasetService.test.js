@@ -0,0 +1,136 @@
+// Keep few rejected entries so truncation shows with small pages
+process.env.REJECTIONS_MAX_ENTRIES = '2';
+
+jest.mock('../../src/services/pollutionService', () => ({
+  fetchPollutionData: jest.fn(),
+  isSuspended: jest.fn(() => false)
+}));
+
+const pollutionService = require('../../src/services/pollutionService');
+const logger = require('../../src/utils/logger');
+const datasetService = require('../../src/services/datasetService');
+
+const DatasetService = datasetService.constructor;
+
+const PAGES = [
+  [{ name: 'Warsaw', country: 'PL', pollution: 40 }, { name: 'Berlin', country: 'DE', pollution: 20 }],
+  [{ name: 'Krakow', country: 'PL', pollution: 90 }, { name: 'test', country: 'PL', pollution: 10 }],
+  [{ name: 'Paris', country: 'FR', pollution: 60 }]
+];
+
+const servePages = (pages = PAGES) => {
+  pollutionService.fetchPollutionData.mockImplementation(async page => ({
+    results: pages[page - 1],
+    meta: { page, totalPages: pages.length }
+  }));
+};
+
+describe('DatasetService', () => {
+  let service;
+
+  beforeEach(() => {
+    pollutionService.fetchPollutionData.mockReset();
+    jest.spyOn(logger, 'error').mockImplementation(() => {});
+    service = new DatasetService();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('ranks the valid cities of every upstream page together', async () => {
+    servePages();
+
+    const snapshot = await service.getSnapshot();
+
+    expect(pollutionService.fetchPollutionData.mock.calls.map(([page]) => page)).toEqual([1, 2, 3]);
+    expect(snapshot.cities.map(city => city.name)).toEqual(['Krakow', 'Paris', 'Warsaw', 'Berlin']);
+    expect(snapshot).toMatchObject({ total: 4, rawCount: 5 });
+    expect(snapshot.rejections).toMatchObject({ total: 1, byReason: { NAME_PLACEHOLDER: 1 } });
+  });
+
+  it('stops after the first page when the upstream reports no page count', async () => {
+    pollutionService.fetchPollutionData.mockResolvedValue({ results: PAGES[0] });
+
+    const snapshot = await service.refresh();
+
+    expect(pollutionService.fetchPollutionData).toHaveBeenCalledTimes(1);
+    expect(snapshot.total).toBe(2);
+  });
+
+  it('shares one refresh between concurrent callers', async () => {
+    servePages();
+
+    const [first, second] = await Promise.all([service.getSnapshot(), service.getSnapshot()]);
+
+    expect(first).toBe(second);
+    expect(pollutionService.fetchPollutionData).toHaveBeenCalledTimes(3);
+  });
+
+  it('keeps serving the previous snapshot, marked stale, when a refresh fails', async () => {
+    servePages();
+    const snapshot = await service.refresh();
+    pollutionService.fetchPollutionData.mockRejectedValue(new Error('upstream down'));
+
+    await expect(service.refresh()).rejects.toThrow('upstream down');
+
+    expect(service.isStale()).toBe(true);
+    expect(await service.getSnapshot()).toBe(snapshot);
+  });
+
+  it('retries a failed refresh from requests at most every RETRY_DELAY, and not while the circuit is open', async () => {
+    let now = Date.now();
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    servePages();
+    await service.refresh();
+    pollutionService.fetchPollutionData.mockRejectedValue(new Error('upstream down'));
+    await expect(service.refresh()).rejects.toThrow();
+    pollutionService.fetchPollutionData.mockClear();
+
+    await service.getSnapshot();
+    expect(pollutionService.fetchPollutionData).not.toHaveBeenCalled();
+
+    now += 10 * 1000;
+    pollutionService.isSuspended.mockReturnValueOnce(true);
+    await service.getSnapshot();
+    expect(pollutionService.fetchPollutionData).not.toHaveBeenCalled();
+
+    servePages();
+    await service.getSnapshot();
+    await service.refreshPromise;
+    expect(pollutionService.fetchPollutionData).toHaveBeenCalledTimes(3);
+    expect(service.isStale()).toBe(false);
+  });
+
+  it('keeps the version of a refresh that brings the same data', async () => {
+    servePages();
+    const first = await service.refresh();
+    servePages([PAGES[2], PAGES[1], PAGES[0]]);
+    const second = await service.refresh();
+
+    expect(second.version).toBe(first.version);
+    expect(service.getSnapshotVersion(first.version)).toBe(second);
+  });
+
+  it('counts every rejection by reason but keeps only the first entries', async () => {
+    servePages([[
+      { name: 'test', country: 'PL', pollution: 10 },
+      { name: 'Berlin', country: 'Atlantis', pollution: 20 },
+      { name: 'null', country: 'DE', pollution: 30 },
+      { name: 'Paris', country: 'FR' },
+      { name: 'Warsaw', country: 'PL', pollution: 40 }
+    ]]);
+
+    const { rejections } = await service.refresh();
+
+    expect(rejections).toEqual({
+      total: 4,
+      byReason: { NAME_PLACEHOLDER: 2, COUNTRY_UNKNOWN: 1, MISSING_FIELD: 1 },
+      entries: [
+        { reason: 'NAME_PLACEHOLDER', entry: { name: 'test', country: 'PL', pollution: 10 } },
+        { reason: 'COUNTRY_UNKNOWN', entry: { name: 'Berlin', country: 'Atlantis', pollution: 20 } }
+      ],
+      truncated: true
+    });
+  });
+});
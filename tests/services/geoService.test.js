@@ -0,0 +1,121 @@
+jest.mock('../../src/services/datasetService', () => require('../helpers/mocks').mockDatasetService());
+jest.mock('../../src/services/wikipediaService', () => ({
+  getCitySummary: jest.fn()
+}));
+jest.mock('../../src/utils/cache', () => ({
+  get: jest.fn(),
+  set: jest.fn()
+}));
+
+const datasetService = require('../../src/services/datasetService');
+const wikipediaService = require('../../src/services/wikipediaService');
+const cache = require('../../src/utils/cache');
+const geoService = require('../../src/services/geoService');
+const logger = require('../../src/utils/logger');
+const { config } = require('../../src/config');
+
+const COORDINATES = {
+  Warsaw: { lat: 52.2297, lon: 21.0122 },
+  Lodz: { lat: 51.7592, lon: 19.456 },
+  Krakow: { lat: 50.0647, lon: 19.945 },
+  Berlin: { lat: 52.52, lon: 13.405 }
+};
+
+const snapshotOf = cities => ({ cities, total: cities.length });
+
+describe('GeoService', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new geoService.constructor();
+    cache.get.mockReset().mockResolvedValue(undefined);
+    cache.set.mockReset().mockResolvedValue();
+    wikipediaService.getCitySummary.mockReset().mockImplementation(async name => (
+      COORDINATES[name] ? { coordinates: COORDINATES[name] } : null
+    ));
+    jest.spyOn(logger, 'info').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('resolve', () => {
+    it('looks up each city once and caches hits and misses with their own TTL', async () => {
+      await service.resolve([{ name: 'Warsaw', country: 'Poland' }, { name: 'Nowhere', country: 'Poland' }]);
+      await service.resolve([{ name: 'Warsaw', country: 'Poland' }]);
+
+      expect(wikipediaService.getCitySummary).toHaveBeenCalledTimes(2);
+      expect(cache.set).toHaveBeenCalledWith('geo_warsaw_poland', COORDINATES.Warsaw, config.cache.ttl.coordinates);
+      expect(cache.set).toHaveBeenCalledWith('geo_nowhere_poland', null, config.cache.ttl.coordinatesMiss);
+      expect(service.getCoordinates({ name: 'WARSAW', country: 'poland' })).toEqual(COORDINATES.Warsaw);
+      expect(service.getCoordinates({ name: 'Nowhere', country: 'Poland' })).toBeNull();
+    });
+
+    it('uses cached coordinates and cached misses without asking Wikipedia', async () => {
+      cache.get.mockImplementation(async key => (key === 'geo_lodz_poland' ? COORDINATES.Lodz : null));
+
+      await service.resolve([{ name: 'Lodz', country: 'Poland' }, { name: 'Nowhere', country: 'Poland' }]);
+
+      expect(wikipediaService.getCitySummary).not.toHaveBeenCalled();
+      expect(service.getCoordinates({ name: 'Lodz', country: 'Poland' })).toEqual(COORDINATES.Lodz);
+    });
+
+    it('shares a running resolve', async () => {
+      const cities = [{ name: 'Warsaw', country: 'Poland' }];
+
+      await Promise.all([service.resolve(cities), service.resolve(cities)]);
+
+      expect(wikipediaService.getCitySummary).toHaveBeenCalledTimes(1);
+    });
+
+    it('stops after the current lookup once stopped', async () => {
+      wikipediaService.getCitySummary.mockImplementation(async (name) => {
+        service.stop();
+        return { coordinates: COORDINATES[name] };
+      });
+
+      await service.resolve([{ name: 'Warsaw', country: 'Poland' }, { name: 'Lodz', country: 'Poland' }]);
+
+      expect(wikipediaService.getCitySummary).toHaveBeenCalledTimes(1);
+      expect(cache.set).not.toHaveBeenCalled();
+      expect(datasetService.off).toHaveBeenCalledWith('snapshot', service.onSnapshot);
+    });
+  });
+
+  describe('withCoordinates', () => {
+    it('attaches known coordinates and reuses the result until something changes', async () => {
+      const snapshot = snapshotOf([{ name: 'Warsaw', country: 'Poland', pollution: 40 }, { name: 'Lodz', country: 'Poland', pollution: 60 }]);
+      await service.resolve([{ name: 'Warsaw', country: 'Poland' }]);
+
+      const first = service.withCoordinates(snapshot);
+      expect(first.map(city => city.coordinates)).toEqual([COORDINATES.Warsaw, null]);
+      expect(service.withCoordinates(snapshot)).toBe(first);
+
+      await service.resolve(snapshot.cities);
+      expect(service.withCoordinates(snapshot).map(city => city.coordinates)).toEqual([COORDINATES.Warsaw, COORDINATES.Lodz]);
+    });
+  });
+
+  describe('findNearby', () => {
+    it('returns located cities within the radius, nearest first', async () => {
+      const snapshot = snapshotOf(['Krakow', 'Berlin', 'Lodz', 'Warsaw', 'Nowhere'].map(name => ({ name, country: 'Poland', pollution: 50 })));
+      await service.resolve(snapshot.cities);
+
+      const nearby = service.findNearby(snapshot, COORDINATES.Warsaw, 300);
+
+      expect(nearby.map(city => [city.name, city.distanceKm])).toEqual([
+        ['Warsaw', 0],
+        ['Lodz', 118.7],
+        ['Krakow', 252]
+      ]);
+    });
+
+    it('puts the more polluted city first at the same distance', async () => {
+      const snapshot = snapshotOf([{ name: 'Warsaw', country: 'Poland', pollution: 40 }, { name: 'Warsaw', country: 'PL', pollution: 90 }]);
+      await service.resolve(snapshot.cities);
+
+      expect(service.findNearby(snapshot, COORDINATES.Warsaw, 1).map(city => city.pollution)).toEqual([90, 40]);
+    });
+  });
+});
@@ -0,0 +1,94 @@
+jest.mock('../../src/services/datasetService', () => require('../helpers/mocks').mockDatasetService());
+jest.mock('../../src/services/pollutionService', () => ({
+  getStatus: jest.fn()
+}));
+jest.mock('../../src/utils/cache', () => ({
+  name: 'memory',
+  ping: jest.fn()
+}));
+
+const cache = require('../../src/utils/cache');
+const datasetService = require('../../src/services/datasetService');
+const pollutionService = require('../../src/services/pollutionService');
+const healthService = require('../../src/services/healthService');
+
+describe('HealthService readiness', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new healthService.constructor();
+    datasetService.snapshot = { updatedAt: '2026-01-01T00:00:00.000Z', total: 42 };
+    datasetService.lastError = null;
+    pollutionService.getStatus.mockReset().mockReturnValue({
+      auth: { ok: true, at: '2026-01-01T00:00:00.000Z', error: null },
+      circuit: { state: 'closed', failures: 0 }
+    });
+    cache.ping.mockReset().mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('is ready while every check passes', async () => {
+    const report = await service.getReadiness();
+
+    expect(report).toMatchObject({
+      ready: true,
+      status: 'ready',
+      checks: {
+        dataset: { status: 'pass', cities: 42, error: null },
+        pollutionApiAuth: { status: 'pass' },
+        pollutionApiCircuit: { status: 'pass', state: 'closed' },
+        cache: { status: 'pass', backend: 'memory' }
+      }
+    });
+  });
+
+  it('is not ready before the first dataset loads, with the refresh error', async () => {
+    datasetService.snapshot = null;
+    datasetService.lastError = new Error('upstream down');
+
+    const report = await service.getReadiness();
+
+    expect(report.ready).toBe(false);
+    expect(report.checks.dataset).toEqual({ status: 'fail', updatedAt: null, cities: 0, error: 'upstream down' });
+  });
+
+  it('is not ready while the login fails or the circuit is open', async () => {
+    pollutionService.getStatus.mockReturnValue({
+      auth: { ok: false, at: '2026-01-01T00:00:00.000Z', error: 'Invalid credentials' },
+      circuit: { state: 'open', failures: 5 }
+    });
+
+    const report = await service.getReadiness();
+
+    expect(report).toMatchObject({ ready: false, status: 'not ready' });
+    expect(report.checks.pollutionApiAuth).toMatchObject({ status: 'fail', error: 'Invalid credentials' });
+    expect(report.checks.pollutionApiCircuit).toMatchObject({ status: 'fail', failures: 5 });
+  });
+
+  it('passes the login check before the first login attempt', async () => {
+    pollutionService.getStatus.mockReturnValue({ auth: { ok: null, at: null, error: null }, circuit: { state: 'closed' } });
+
+    expect((await service.getReadiness()).checks.pollutionApiAuth.status).toBe('pass');
+  });
+
+  it('fails the cache check when the backend errors or does not answer in time', async () => {
+    cache.ping.mockRejectedValueOnce(new Error('Connection is closed.'));
+    expect((await service.getReadiness()).checks.cache).toEqual({ status: 'fail', backend: 'memory', error: 'Connection is closed.' });
+
+    jest.useFakeTimers();
+    cache.ping.mockReturnValue(new Promise(() => {}));
+    const pending = service.getReadiness();
+    await jest.advanceTimersByTimeAsync(1000);
+
+    expect((await pending).checks.cache).toMatchObject({ status: 'fail', error: 'No answer within 1000ms' });
+  });
+
+  it('stops being ready once shutdown begins', async () => {
+    service.markShuttingDown();
+
+    expect(await service.getReadiness()).toMatchObject({ ready: false, status: 'shutting down' });
+  });
+});
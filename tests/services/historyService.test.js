@@ -0,0 +1,189 @@
+jest.mock('../../src/services/datasetService', () => require('../helpers/mocks').mockDatasetService());
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const logger = require('../../src/utils/logger');
+const historyService = require('../../src/services/historyService');
+
+describe('historyService.prune', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'history-'));
+    historyService.directory = directory;
+    historyService.retentionDays = 30;
+    jest.spyOn(logger, 'info').mockImplementation(() => {});
+    jest.spyOn(logger, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const writeDay = (day) => fs.writeFileSync(path.join(directory, `${day}.ndjson`), '');
+
+  it('deletes day files past the retention period', async () => {
+    const today = new Date().toISOString().slice(0, 10);
+    writeDay('2020-01-01');
+    writeDay('2020-01-02');
+    writeDay(today);
+
+    await historyService.prune();
+
+    expect(fs.readdirSync(directory)).toEqual([`${today}.ndjson`]);
+    expect(logger.info).toHaveBeenCalledWith('Pruned pollution history file 2020-01-01.ndjson');
+    expect(logger.info).toHaveBeenCalledWith('Pruned pollution history file 2020-01-02.ndjson');
+  });
+
+  it('warns with the file name when a file cannot be deleted, and carries on', async () => {
+    writeDay('2020-01-01');
+    writeDay('2020-01-02');
+    const unlink = fs.promises.unlink;
+    jest.spyOn(fs.promises, 'unlink').mockImplementation((file) => (
+      file.endsWith('2020-01-01.ndjson') ? Promise.reject(new Error('EACCES: permission denied')) : unlink(file)
+    ));
+
+    await historyService.prune();
+
+    expect(logger.warn).toHaveBeenCalledWith('Could not prune pollution history file 2020-01-01.ndjson: EACCES: permission denied');
+    expect(logger.info).not.toHaveBeenCalledWith('Pruned pollution history file 2020-01-01.ndjson');
+    expect(logger.info).toHaveBeenCalledWith('Pruned pollution history file 2020-01-02.ndjson');
+    expect(fs.readdirSync(directory)).toEqual(['2020-01-01.ndjson']);
+  });
+});
+
+describe('historyService queries', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'history-'));
+    historyService.directory = directory;
+    historyService.retentionDays = 30;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  // Appends snapshots to their day files the way record() lays them out
+  const writeSnapshots = (snapshots) => {
+    for (const { timestamp, cities } of snapshots) {
+      fs.appendFileSync(path.join(directory, `${timestamp.slice(0, 10)}.ndjson`), JSON.stringify({ timestamp, cities }) + '\n');
+    }
+  };
+
+  describe('getCityHistory', () => {
+    beforeEach(() => {
+      writeSnapshots([
+        { timestamp: '2026-03-01T10:15:00.000Z', cities: [['Łódź', 'PL', 40], ['Krakow', 'PL', 90]] },
+        { timestamp: '2026-03-01T10:45:00.000Z', cities: [['Lodz', 'Poland', 50]] },
+        { timestamp: '2026-03-01T23:00:00.000Z', cities: [['Lodz', 'Poland', 60]] },
+        { timestamp: '2026-03-03T08:00:00.000Z', cities: [['LODZ', 'POL', 30]] }
+      ]);
+    });
+
+    const range = (from, to) => ({ from: new Date(from), to: new Date(to) });
+
+    it('buckets the samples of every spelling of the city', async () => {
+      const history = await historyService.getCityHistory('pl', 'lodz', { ...range('2026-03-01', '2026-03-04'), interval: 'day' });
+
+      expect(history).toMatchObject({ name: 'Łódź', country: 'Poland', countryCode: 'PL', interval: 'day' });
+      expect(history.series).toEqual([
+        { start: '2026-03-01T00:00:00.000Z', min: 40, max: 60, avg: 50, samples: 3 },
+        { start: '2026-03-03T00:00:00.000Z', min: 30, max: 30, avg: 30, samples: 1 }
+      ]);
+    });
+
+    it('buckets by hour and by week starting on Monday', async () => {
+      const hourly = await historyService.getCityHistory('PL', 'Lodz', { ...range('2026-03-01', '2026-03-02'), interval: 'hour' });
+      expect(hourly.series.map(bucket => [bucket.start, bucket.samples])).toEqual([
+        ['2026-03-01T10:00:00.000Z', 2],
+        ['2026-03-01T23:00:00.000Z', 1]
+      ]);
+
+      const weekly = await historyService.getCityHistory('PL', 'Lodz', { ...range('2026-03-01', '2026-03-04'), interval: 'week' });
+      expect(weekly.series.map(bucket => [bucket.start, bucket.samples])).toEqual([
+        ['2026-02-23T00:00:00.000Z', 3],
+        ['2026-03-02T00:00:00.000Z', 1]
+      ]);
+    });
+
+    it('only reads samples inside the range', async () => {
+      const history = await historyService.getCityHistory('PL', 'Lodz', { ...range('2026-03-01T10:30:00Z', '2026-03-01T23:30:00Z'), interval: 'day' });
+
+      expect(history.series).toEqual([{ start: '2026-03-01T00:00:00.000Z', min: 50, max: 60, avg: 55, samples: 2 }]);
+    });
+
+    it('returns null for a city without samples', async () => {
+      expect(await historyService.getCityHistory('DE', 'Lodz', { ...range('2026-03-01', '2026-03-04'), interval: 'day' })).toBeNull();
+    });
+
+    it('skips corrupt lines', async () => {
+      jest.spyOn(logger, 'warn').mockImplementation(() => {});
+      fs.appendFileSync(path.join(directory, '2026-03-03.ndjson'), '{"timestamp": "2026-03-03T09:\n');
+
+      const history = await historyService.getCityHistory('PL', 'Lodz', { ...range('2026-03-03', '2026-03-04'), interval: 'day' });
+
+      expect(history.series).toHaveLength(1);
+      expect(logger.warn).toHaveBeenCalledWith('Skipping corrupt history line in 2026-03-03.ndjson');
+    });
+  });
+
+  describe('getTrends', () => {
+    const ago = hours => new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+
+    beforeEach(() => {
+      writeSnapshots([
+        { timestamp: ago(24 * 10), cities: [['Berlin', 'DE', 10]] },
+        { timestamp: ago(48), cities: [['Krakow', 'PL', 100], ['Lodz', 'PL', 40], ['Berlin', 'DE', 20], ['Paris', 'FR', 0]] },
+        { timestamp: ago(24), cities: [['Kraków', 'Poland', 80], ['Łódź', 'Poland', 70], ['Berlin', 'DE', 20], ['Paris', 'FR', 8]] },
+        { timestamp: ago(1), cities: [['Krakow', 'PL', 60], ['Lodz', 'PL', 45], ['Oslo', 'NO', 30]] }
+      ]);
+    });
+
+    it('ranks the rise and fall between the first and last snapshot of the window', async () => {
+      const trends = await historyService.getTrends({ window: 7 * 24 * 60 * 60 * 1000, limit: 10 });
+
+      expect(trends.rising.map(item => [item.name, item.change, item.changePercent])).toEqual([
+        ['Paris', 8, null],
+        ['Lodz', 5, 12.5]
+      ]);
+      expect(trends.falling).toEqual([expect.objectContaining({
+        name: 'Krakow',
+        country: 'Poland',
+        countryCode: 'PL',
+        from: 100,
+        to: 60,
+        change: -40,
+        changePercent: -40
+      })]);
+    });
+
+    it('leaves out snapshots before the window and cities seen once', async () => {
+      const trends = await historyService.getTrends({ window: 30 * 60 * 60 * 1000, limit: 10 });
+
+      expect(trends.rising).toEqual([]);
+      expect(trends.falling.map(item => [item.name, item.from, item.to])).toEqual([
+        ['Łódź', 70, 45],
+        ['Kraków', 80, 60]
+      ]);
+    });
+
+    it('honours the limit per direction', async () => {
+      const trends = await historyService.getTrends({ window: 7 * 24 * 60 * 60 * 1000, limit: 1 });
+
+      expect(trends.rising).toHaveLength(1);
+    });
+  });
+
+  it('records snapshots into the day file of their timestamp', async () => {
+    const updatedAt = new Date().toISOString();
+    await historyService.record({ updatedAt, cities: [{ name: 'Warsaw', country: 'Poland', pollution: 40 }] });
+
+    const [line] = fs.readFileSync(path.join(directory, `${updatedAt.slice(0, 10)}.ndjson`), 'utf8').trim().split('\n');
+    expect(JSON.parse(line)).toEqual({ timestamp: updatedAt, cities: [['Warsaw', 'Poland', 40]] });
+  });
+});
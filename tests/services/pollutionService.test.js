@@ -0,0 +1,165 @@
+const logger = require('../../src/utils/logger');
+const pollutionService = require('../../src/services/pollutionService');
+const { CircuitOpenError } = require('../../src/utils/circuitBreaker');
+
+const PollutionService = pollutionService.constructor;
+
+const httpError = (status) => Object.assign(new Error(`Request failed with status code ${status}`), {
+  isAxiosError: true,
+  response: { status }
+});
+const networkError = code => Object.assign(new Error(`connect ${code}`), { isAxiosError: true, code });
+const page = results => ({ data: { results, meta: { page: 1, totalPages: 1 } } });
+
+const jwtExpiringAt = (seconds) => {
+  const payload = Buffer.from(JSON.stringify({ exp: seconds })).toString('base64url');
+  return `header.${payload}.signature`;
+};
+
+describe('PollutionService', () => {
+  let now;
+  let service;
+
+  beforeEach(() => {
+    now = Date.UTC(2026, 0, 1);
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    for (const level of ['info', 'warn', 'error']) {
+      jest.spyOn(logger, level).mockImplementation(() => {});
+    }
+
+    service = new PollutionService();
+    service.retryOptions = { retries: 2, baseDelay: 10, maxDelay: 100 };
+    service._delay = jest.fn().mockResolvedValue();
+    service.client.post = jest.fn().mockResolvedValue({ data: { token: 'first', expiresIn: 600 } });
+    service.client.get = jest.fn().mockResolvedValue(page([{ name: 'Warsaw', country: 'PL', pollution: 40 }]));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const authorizations = () => service.client.get.mock.calls.map(([, options]) => options.headers.Authorization);
+
+  describe('tokens', () => {
+    it('logs in once and reuses the token until shortly before it expires', async () => {
+      await service.fetchPollutionData(1, 10);
+      now += 500 * 1000;
+      await service.fetchPollutionData(2, 10);
+      expect(service.client.post).toHaveBeenCalledTimes(1);
+
+      service.client.post.mockResolvedValue({ data: { token: 'second', expiresIn: 600 } });
+      now += 80 * 1000;
+      await service.fetchPollutionData(3, 10);
+
+      expect(service.client.post).toHaveBeenCalledTimes(2);
+      expect(authorizations()).toEqual(['Bearer first', 'Bearer first', 'Bearer second']);
+    });
+
+    it('reads the expiry from the JWT when the login response has none', async () => {
+      service.client.post.mockResolvedValue({ data: { token: jwtExpiringAt(now / 1000 + 3600) } });
+
+      await service.authenticate();
+
+      expect(service.tokenExpiresAt).toBe(now + 3600 * 1000);
+    });
+
+    it('shares one login between concurrent callers', async () => {
+      await Promise.all([service.authenticate(), service.authenticate()]);
+
+      expect(service.client.post).toHaveBeenCalledTimes(1);
+    });
+
+    it('logs in again and replays the request once when the token is rejected', async () => {
+      await service.authenticate();
+      service.client.post.mockResolvedValue({ data: { token: 'second', expiresIn: 600 } });
+      service.client.get.mockRejectedValueOnce(httpError(401));
+
+      const data = await service.fetchPollutionData(1, 10);
+
+      expect(data.results).toHaveLength(1);
+      expect(authorizations()).toEqual(['Bearer first', 'Bearer second']);
+    });
+
+    it('gives up when the replayed request is rejected too', async () => {
+      service.client.get.mockRejectedValue(httpError(401));
+
+      await expect(service.fetchPollutionData(1, 10)).rejects.toThrow('status code 401');
+      expect(service.client.get).toHaveBeenCalledTimes(2);
+    });
+
+    it('records failed logins for the readiness check', async () => {
+      service.client.post.mockRejectedValue(networkError('ECONNREFUSED'));
+
+      await expect(service.authenticate()).rejects.toThrow();
+
+      expect(service.getStatus().auth).toMatchObject({ ok: false, error: 'connect ECONNREFUSED' });
+    });
+  });
+
+  describe('retries', () => {
+    it('retries transient failures with backoff', async () => {
+      service.client.get
+        .mockRejectedValueOnce(networkError('ECONNRESET'))
+        .mockRejectedValueOnce(httpError(503));
+
+      const data = await service.fetchPollutionData(1, 10);
+
+      expect(data.results).toHaveLength(1);
+      expect(service.client.get).toHaveBeenCalledTimes(3);
+      expect(service._delay).toHaveBeenCalledTimes(2);
+      service._delay.mock.calls.forEach(([delay], attempt) => {
+        expect(delay).toBeLessThanOrEqual(10 * 2 ** attempt);
+      });
+    });
+
+    it('stops after the configured number of retries', async () => {
+      service.client.get.mockRejectedValue(httpError(502));
+
+      await expect(service.fetchPollutionData(1, 10)).rejects.toThrow('status code 502');
+      expect(service.client.get).toHaveBeenCalledTimes(3);
+    });
+
+    it.each([
+      ['a client error', () => httpError(404)],
+      ['a malformed body', null]
+    ])('does not retry %s', async (description, createError) => {
+      if (createError) {
+        service.client.get.mockRejectedValue(createError());
+      } else {
+        service.client.get.mockResolvedValue({ data: { results: 'none' } });
+      }
+
+      await expect(service.fetchPollutionData(1, 10)).rejects.toThrow();
+      expect(service.client.get).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('circuit breaker', () => {
+    const failTimes = async (count) => {
+      for (let i = 0; i < count; i++) {
+        await service.fetchPollutionData(1, 10).catch(() => {});
+      }
+    };
+
+    it('opens after repeated upstream failures and suspends calls', async () => {
+      service.client.get.mockRejectedValue(httpError(500));
+      await failTimes(service.circuitBreaker.failureThreshold);
+      service.client.get.mockClear();
+
+      await expect(service.fetchPollutionData(1, 10)).rejects.toBeInstanceOf(CircuitOpenError);
+      expect(service.client.get).not.toHaveBeenCalled();
+      expect(service.isSuspended()).toBe(true);
+    });
+
+    it.each([
+      ['client errors', () => service.client.get.mockRejectedValue(httpError(400))],
+      ['malformed bodies', () => service.client.get.mockResolvedValue({ data: {} })]
+    ])('stays closed on %s', async (description, arrange) => {
+      arrange();
+      await failTimes(service.circuitBreaker.failureThreshold + 1);
+
+      expect(service.isSuspended()).toBe(false);
+      expect(service.getStatus().circuit.state).toBe('closed');
+    });
+  });
+});
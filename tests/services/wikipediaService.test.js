@@ -0,0 +1,132 @@
+jest.mock('../../src/utils/cache', () => ({
+  get: jest.fn(),
+  set: jest.fn()
+}));
+
+const cache = require('../../src/utils/cache');
+const wikipediaService = require('../../src/services/wikipediaService');
+const { config } = require('../../src/config');
+
+// Page summaries by language and title, as the REST API returns them
+const PAGES = {
+  de: {
+    Łódź: {
+      title: 'Łódź',
+      extract: 'Łódź ist eine Stadt in Polen.',
+      coordinates: { lat: 51.77, lon: 19.45 },
+      content_urls: { desktop: { page: 'https://de.wikipedia.org/wiki/%C5%81%C3%B3d%C5%BA' } }
+    }
+  },
+  en: {
+    Łódź: {
+      title: 'Łódź',
+      extract: 'Łódź is the third-largest city in Poland.',
+      coordinates: { lat: 51.77, lon: 19.45 }
+    }
+  }
+};
+
+describe('WikipediaService', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new wikipediaService.constructor();
+    service.fallbackLanguages = ['de', 'en'];
+    service._fetchPageSummary = jest.fn(async (title, language) => (PAGES[language] || {})[title] || null);
+    service._searchTitles = jest.fn(async () => []);
+    cache.get.mockReset().mockResolvedValue(undefined);
+    cache.set.mockReset().mockResolvedValue();
+  });
+
+  describe('language chain', () => {
+    it('tries the preferred language first, then each fallback once', () => {
+      expect(service.getLanguageChain('pl')).toEqual(['pl', 'de', 'en']);
+      expect(service.getLanguageChain('en')).toEqual(['en', 'de']);
+    });
+
+    it('serves the first language edition that describes the city', async () => {
+      const summary = await service.getCitySummary('Łódź', 'Poland', 'pl');
+
+      expect(summary).toMatchObject({
+        title: 'Łódź',
+        language: 'de',
+        confidence: 1,
+        description: 'Łódź ist eine Stadt in Polen.',
+        url: 'https://de.wikipedia.org/wiki/%C5%81%C3%B3d%C5%BA',
+        coordinates: { lat: 51.77, lon: 19.45 }
+      });
+      expect(service._fetchPageSummary.mock.calls.map(([, language]) => language)).not.toContain('en');
+      expect(await service.getCityDescription('Łódź', 'Poland', 'en')).toBe('Łódź is the third-largest city in Poland.');
+    });
+
+    it('caches the outcome of each language under its own key', async () => {
+      await service.getCitySummary('Łódź', 'Poland', 'pl');
+
+      expect(cache.set).toHaveBeenCalledWith('wiki_match_pl_łódź_poland', null, config.cache.ttl.wikipediaMiss);
+      expect(cache.set).toHaveBeenCalledWith('wiki_match_de_łódź_poland', expect.objectContaining({ language: 'de' }), config.cache.ttl.wikipedia);
+    });
+
+    it('uses a cached miss and a cached summary without fetching', async () => {
+      const cached = { title: 'Łódź', language: 'de', description: 'Łódź ist eine Stadt in Polen.' };
+      cache.get.mockImplementation(async key => (key.startsWith('wiki_match_pl_') ? null : cached));
+
+      expect(await service.getCitySummary('Łódź', 'Poland', 'pl')).toBe(cached);
+      expect(service._fetchPageSummary).not.toHaveBeenCalled();
+    });
+
+    it('returns null when no language edition describes the city', async () => {
+      expect(await service.getCitySummary('Atlantis', 'Poland', 'pl')).toBeNull();
+      expect(cache.set).toHaveBeenCalledTimes(3);
+    });
+  });
+});
+
+describe('WikipediaService misses', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new wikipediaService.constructor();
+    service._searchTitles = jest.fn(async () => []);
+    cache.get.mockReset().mockResolvedValue(undefined);
+    cache.set.mockReset().mockResolvedValue();
+  });
+
+  it('caches a miss when every lookup completed without a match', async () => {
+    service._fetchPageSummary = jest.fn(async () => null);
+
+    expect(await service.getCitySummary('Atlantis', 'Poland', 'en')).toBeNull();
+    expect(cache.set).toHaveBeenCalledWith('wiki_match_en_atlantis_poland', null, config.cache.ttl.wikipediaMiss);
+  });
+
+  it('does not cache a miss when a page request failed', async () => {
+    service._fetchPageSummary = jest.fn(async (title) => {
+      if (title === 'Atlantis') {
+        throw new Error('timeout of 5000ms exceeded');
+      }
+      return null;
+    });
+
+    expect(await service.getCitySummary('Atlantis', 'Poland', 'en')).toBeNull();
+    expect(cache.set).not.toHaveBeenCalled();
+  });
+
+  it('does not cache a miss when the title search failed', async () => {
+    service._fetchPageSummary = jest.fn(async () => null);
+    service._searchTitles = jest.fn(async () => { throw new Error('socket hang up'); });
+
+    expect(await service.getCitySummary('Atlantis', 'Poland', 'en')).toBeNull();
+    expect(cache.set).not.toHaveBeenCalled();
+  });
+
+  it('still caches a confident match found next to a failed request', async () => {
+    service._fetchPageSummary = jest.fn(async (title) => {
+      if (title === 'Łódź') {
+        throw new Error('ECONNRESET');
+      }
+      return { title: 'Łódź', extract: 'Łódź is a city in Poland.', coordinates: { lat: 51.77, lon: 19.45 } };
+    });
+
+    expect(await service.getCitySummary('Łódź', 'Poland', 'en')).toMatchObject({ title: 'Łódź', confidence: 1 });
+    expect(cache.set).toHaveBeenCalledWith('wiki_match_en_łódź_poland', expect.objectContaining({ title: 'Łódź' }), config.cache.ttl.wikipedia);
+  });
+});
@@ -0,0 +1,2 @@
+// Keeps the log output of the modules under test out of the test report
+process.env.LOG_LEVEL = 'error';
@@ -0,0 +1,84 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const airQuality = require('../../src/utils/airQuality');
+const logger = require('../../src/utils/logger');
+
+const category = (id, min, severity) => ({ id, label: id, min, severity, color: '#000000', advice: `${id} advice` });
+
+describe('AirQualityClassifier', () => {
+  let directory;
+
+  const writeConfig = (config) => {
+    const file = path.join(directory, 'categories.json');
+    fs.writeFileSync(file, JSON.stringify(config));
+    return file;
+  };
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'air-quality-'));
+    jest.spyOn(logger, 'info').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  describe('classify', () => {
+    it.each([
+      [0, 'good'],
+      [50, 'good'],
+      [50.5, 'good'],
+      [51, 'moderate'],
+      [101, 'unhealthy-for-sensitive-groups'],
+      [1000, 'hazardous']
+    ])('puts %p in %s on the default scale', (value, id) => {
+      expect(airQuality.classify(value).categoryId).toBe(id);
+    });
+
+    it('returns the whole block of the category', () => {
+      expect(airQuality.classify(10)).toEqual({
+        category: 'Good',
+        categoryId: 'good',
+        color: '#00e400',
+        severity: 1,
+        advice: 'Air quality is satisfactory and poses little or no risk.',
+        scale: 'US EPA AQI'
+      });
+    });
+
+    it('puts values below every breakpoint in the lowest category', () => {
+      const classifier = new airQuality.constructor(writeConfig({ categories: [category('low', -10, 1), category('high', 10, 2)] }));
+
+      expect(classifier.classify(-50).categoryId).toBe('low');
+    });
+  });
+
+  it('loads a custom table and orders the categories by their breakpoint', () => {
+    const classifier = new airQuality.constructor(writeConfig({
+      categories: [category('high', 20, 3), category('low', 0, 1), category('mid', 10, 2)]
+    }));
+
+    expect(classifier.categoryIds).toEqual(['low', 'mid', 'high']);
+    expect(classifier.scale).toBe('custom');
+    expect(classifier.classify(15)).toMatchObject({ categoryId: 'mid', severity: 2, scale: 'custom' });
+  });
+
+  describe('validateConfig', () => {
+    it.each([
+      [{}, 'non-empty "categories" array'],
+      [{ categories: [] }, 'non-empty "categories" array'],
+      [{ categories: [{ ...category('low', 0, 1), advice: '' }] }, 'missing "advice"'],
+      [{ categories: [{ ...category('low', 0, 1), min: '0' }] }, 'numeric "min" and "severity"'],
+      [{ categories: [category('low', 0, 1), category('low', 10, 2)] }, 'Duplicate air quality category "low"'],
+      [{ categories: [category('low', 5, 1)] }, 'must start at 0 or below']
+    ])('rejects %j', (config, message) => {
+      expect(() => airQuality.validateConfig(config)).toThrow(message);
+    });
+
+    it('refuses to load an invalid table', () => {
+      expect(() => new airQuality.constructor(writeConfig({ categories: [] }))).toThrow('non-empty "categories" array');
+    });
+  });
+});
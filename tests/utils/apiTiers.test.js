@@ -0,0 +1,51 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DEFAULT_TIERS_PATH, readTiers } = require('../../src/utils/apiTiers');
+
+describe('readTiers', () => {
+  let directory;
+
+  const writeTiers = (content) => {
+    const file = path.join(directory, 'tiers.json');
+    fs.writeFileSync(file, JSON.stringify(content));
+    return file;
+  };
+  const tier = (overrides = {}) => ({ quota: { limit: 10, window: '1h' }, burst: { capacity: 2, refillPerSecond: 1 }, ...overrides });
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'api-tiers-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('reads the default tiers', () => {
+    const { tiers, defaultTier } = readTiers(DEFAULT_TIERS_PATH);
+
+    expect(Object.keys(tiers)).toEqual(['anonymous', 'free', 'standard', 'premium']);
+    expect(defaultTier).toBe('free');
+    expect(tiers.anonymous).toEqual({
+      name: 'anonymous',
+      description: 'Requests without an API key, limited per IP',
+      quota: { limit: 100, window: '15m', windowMs: 15 * 60 * 1000 },
+      burst: { capacity: 10, refillPerSecond: 1 }
+    });
+  });
+
+  it('defaults to the first tier', () => {
+    expect(readTiers(writeTiers({ tiers: { basic: tier(), pro: tier() } })).defaultTier).toBe('basic');
+  });
+
+  it.each([
+    [{}, 'non-empty "tiers" object'],
+    [{ tiers: {} }, 'non-empty "tiers" object'],
+    [{ tiers: { basic: tier({ quota: { limit: 10, window: '1y' } }) } }, 'API tier "basic" needs quota.limit'],
+    [{ tiers: { basic: tier({ quota: { limit: 0, window: '1h' } }) } }, 'API tier "basic" needs quota.limit'],
+    [{ tiers: { basic: tier({ burst: { capacity: 2, refillPerSecond: 0 } }) } }, 'API tier "basic" needs burst.capacity'],
+    [{ tiers: { basic: tier() }, defaultTier: 'pro' }, 'defaultTier "pro" is not a defined tier']
+  ])('rejects %j', (content, message) => {
+    expect(() => readTiers(writeTiers(content))).toThrow(message);
+  });
+});
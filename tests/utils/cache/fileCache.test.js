@@ -0,0 +1,70 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const FileCache = require('../../../src/utils/cache/fileCache');
+
+describe('FileCache', () => {
+  let directory;
+  let cache;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'file-cache-'));
+  });
+
+  afterEach(async () => {
+    await cache.close();
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  const fileCount = async () => (await fs.readdir(directory)).filter(name => name.endsWith('.json')).length;
+
+  it('evicts the least recently used entries beyond maxEntries', async () => {
+    cache = new FileCache({ directory, maxEntries: 2 });
+    await cache.set('a', 1);
+    await cache.set('b', 2);
+    await cache.get('a');
+    await cache.set('c', 3);
+
+    expect(await cache.get('a')).toBe(1);
+    expect(await cache.get('b')).toBeUndefined();
+    expect(await cache.get('c')).toBe(3);
+    expect(await fileCount()).toBe(2);
+    expect((await cache.stats()).evictions).toBe(1);
+  });
+
+  it('keeps the total size within maxBytes', async () => {
+    cache = new FileCache({ directory, maxBytes: 1024 });
+    for (let i = 0; i < 10; i++) {
+      await cache.set(`key:${i}`, 'x'.repeat(200));
+    }
+
+    const stats = await cache.stats();
+    expect(stats.bytes).toBeLessThanOrEqual(1024);
+    expect(stats.size).toBe(await fileCount());
+    expect(await cache.get('key:9')).toBe('x'.repeat(200));
+  });
+
+  it('sweeps expired entries that are never read again', async () => {
+    cache = new FileCache({ directory });
+    await cache.set('short', 1, 1);
+    await cache.set('long', 2, 60000);
+    await new Promise(resolve => setTimeout(resolve, 5));
+
+    expect(await cache.sweep()).toBe(1);
+    expect(await fileCount()).toBe(1);
+    expect(cache.listKeys()).toEqual(['long']);
+  });
+
+  it('indexes the entries left by an earlier run', async () => {
+    const previous = new FileCache({ directory });
+    await previous.set('a', 1);
+    await previous.set('b', 2);
+    await previous.close();
+
+    cache = new FileCache({ directory, maxEntries: 1 });
+    await cache.ready;
+
+    expect(cache.listKeys()).toHaveLength(1);
+    expect(await fileCount()).toBe(1);
+  });
+});
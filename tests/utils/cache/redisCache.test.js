@@ -0,0 +1,98 @@
+const EventEmitter = require('events');
+
+jest.mock('ioredis', () => jest.fn());
+
+const Redis = require('ioredis');
+const logger = require('../../../src/utils/logger');
+const RedisCache = require('../../../src/utils/cache/redisCache');
+
+/**
+ * Client that answers SCAN from an in-memory keyspace, two keys per batch
+ */
+class FakeRedis extends EventEmitter {
+  constructor() {
+    super();
+    this.keyspace = [];
+    this.status = 'ready';
+    this.scan = jest.fn(async (cursor) => {
+      const start = Number(cursor);
+      const next = start + 2 < this.keyspace.length ? String(start + 2) : '0';
+      return [next, this.keyspace.slice(start, start + 2)];
+    });
+    this.quit = jest.fn().mockResolvedValue('OK');
+  }
+}
+
+describe('RedisCache key counts', () => {
+  let client;
+  let cache;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    client = new FakeRedis();
+    client.keyspace = ['app:wiki_match_en_a', 'app:wiki_match_en_b', 'app:geo_a', 'app:cities_1', 'app:cities_2'];
+    Redis.mockReset().mockImplementation(() => client);
+  });
+
+  afterEach(async () => {
+    await cache.close();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('lists no keys before the first scan', () => {
+    cache = new RedisCache({ url: 'redis://localhost', prefix: 'app:', scanInterval: 1000 });
+
+    expect(cache.listKeys()).toBeNull();
+  });
+
+  it('lists the keys of the scan run once connected, without the prefix', async () => {
+    cache = new RedisCache({ url: 'redis://localhost', prefix: 'app:', scanInterval: 1000 });
+
+    client.emit('ready');
+    await jest.advanceTimersByTimeAsync(0);
+
+    expect(cache.listKeys()).toEqual(['wiki_match_en_a', 'wiki_match_en_b', 'geo_a', 'cities_1', 'cities_2']);
+    expect(client.scan).toHaveBeenCalledWith('0', 'MATCH', 'app:*', 'COUNT', 500);
+  });
+
+  it('rescans every scanInterval', async () => {
+    cache = new RedisCache({ url: 'redis://localhost', prefix: 'app:', scanInterval: 1000 });
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(cache.listKeys()).toHaveLength(5);
+
+    client.keyspace = ['app:geo_a'];
+    await jest.advanceTimersByTimeAsync(1000);
+
+    expect(cache.listKeys()).toEqual(['geo_a']);
+  });
+
+  it('lists no keys after a failed scan', async () => {
+    jest.spyOn(logger, 'warn').mockImplementation(() => {});
+    cache = new RedisCache({ url: 'redis://localhost', prefix: 'app:', scanInterval: 1000 });
+    await jest.advanceTimersByTimeAsync(1000);
+
+    client.scan.mockRejectedValueOnce(new Error('Connection is closed.'));
+    await jest.advanceTimersByTimeAsync(1000);
+
+    expect(cache.listKeys()).toBeNull();
+    expect(logger.warn).toHaveBeenCalledWith('Redis key scan failed: Connection is closed.');
+  });
+
+  it('stops scanning once closed', async () => {
+    cache = new RedisCache({ url: 'redis://localhost', prefix: 'app:', scanInterval: 1000 });
+    await cache.close();
+    await jest.advanceTimersByTimeAsync(5000);
+
+    expect(client.scan).not.toHaveBeenCalled();
+  });
+
+  it('never scans without an interval', async () => {
+    cache = new RedisCache({ url: 'redis://localhost', prefix: 'app:' });
+    client.emit('ready');
+    await jest.advanceTimersByTimeAsync(5000);
+
+    expect(client.scan).not.toHaveBeenCalled();
+    expect(cache.listKeys()).toBeNull();
+  });
+});
@@ -0,0 +1,95 @@
+const logger = require('../../../src/utils/logger');
+const MemoryCache = require('../../../src/utils/cache/memoryCache');
+const { getOrRevalidate, formatCacheStatus } = require('../../../src/utils/cache/staleWhileRevalidate');
+
+const TIMING = { ttl: 60 * 1000, grace: 30 * 1000 };
+
+describe('getOrRevalidate', () => {
+  let now;
+  let cache;
+
+  beforeEach(() => {
+    now = 1000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    cache = new MemoryCache();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // Lets a background revalidation run to completion
+  const settle = () => new Promise(resolve => setImmediate(resolve));
+
+  it('loads a missing entry once for concurrent callers', async () => {
+    const loader = jest.fn(async () => 'page');
+
+    const [first, second] = await Promise.all([
+      getOrRevalidate(cache, 'page:1', loader, TIMING),
+      getOrRevalidate(cache, 'page:1', loader, TIMING)
+    ]);
+
+    expect(loader).toHaveBeenCalledTimes(1);
+    expect(first).toEqual({ value: 'page', status: 'miss', age: 0, ttl: 60, collapsed: false });
+    expect(second).toMatchObject({ value: 'page', status: 'miss', collapsed: true });
+  });
+
+  it('serves a fresh entry as a hit with its age', async () => {
+    await getOrRevalidate(cache, 'page:1', async () => 'page', TIMING);
+    now += 20 * 1000;
+    const loader = jest.fn();
+
+    const result = await getOrRevalidate(cache, 'page:1', loader, TIMING);
+
+    expect(result).toEqual({ value: 'page', status: 'hit', age: 20, ttl: 40, collapsed: false });
+    expect(loader).not.toHaveBeenCalled();
+  });
+
+  it('serves an expired entry within the grace period as stale and refreshes it once in the background', async () => {
+    await getOrRevalidate(cache, 'page:1', async () => 'old', TIMING);
+    now += 70 * 1000;
+    const loader = jest.fn(async () => 'new');
+
+    const results = await Promise.all([
+      getOrRevalidate(cache, 'page:1', loader, TIMING),
+      getOrRevalidate(cache, 'page:1', loader, TIMING)
+    ]);
+    expect(results.map(result => [result.value, result.status])).toEqual([['old', 'stale'], ['old', 'stale']]);
+
+    await settle();
+    expect(loader).toHaveBeenCalledTimes(1);
+    expect(await getOrRevalidate(cache, 'page:1', loader, TIMING)).toMatchObject({ value: 'new', status: 'hit', age: 0 });
+  });
+
+  it('keeps serving the stale entry when the background refresh fails', async () => {
+    jest.spyOn(logger, 'warn').mockImplementation(() => {});
+    await getOrRevalidate(cache, 'page:1', async () => 'old', TIMING);
+    now += 70 * 1000;
+
+    await getOrRevalidate(cache, 'page:1', () => Promise.reject(new Error('upstream down')), TIMING);
+    await settle();
+
+    expect(logger.warn).toHaveBeenCalledWith('Background revalidation failed for page:1: upstream down');
+    expect(await getOrRevalidate(cache, 'page:1', jest.fn(), TIMING)).toMatchObject({ value: 'old', status: 'stale' });
+  });
+
+  it('loads again once the grace period is over', async () => {
+    await getOrRevalidate(cache, 'page:1', async () => 'old', TIMING);
+    now += 90 * 1000;
+
+    const result = await getOrRevalidate(cache, 'page:1', async () => 'new', TIMING);
+
+    expect(result).toMatchObject({ value: 'new', status: 'miss' });
+  });
+});
+
+describe('formatCacheStatus', () => {
+  it.each([
+    [{ status: 'hit', ttl: 40 }, 'cities-pollution-api; hit; ttl=40'],
+    [{ status: 'stale', ttl: -10 }, 'cities-pollution-api; hit; ttl=-10; detail=stale-while-revalidate'],
+    [{ status: 'miss', collapsed: false }, 'cities-pollution-api; fwd=uri-miss; stored'],
+    [{ status: 'miss', collapsed: true }, 'cities-pollution-api; fwd=uri-miss; stored; collapsed']
+  ])('formats %o', (result, header) => {
+    expect(formatCacheStatus(result)).toBe(header);
+  });
+});
@@ -0,0 +1,78 @@
+const logger = require('../../src/utils/logger');
+const { CircuitBreaker, CircuitOpenError, STATES } = require('../../src/utils/circuitBreaker');
+
+const clientError = () => Object.assign(new Error('Request failed with status code 404'), { response: { status: 404 } });
+const serverError = () => Object.assign(new Error('Request failed with status code 503'), { response: { status: 503 } });
+const isFailure = error => error.response.status >= 500;
+
+describe('CircuitBreaker', () => {
+  let now;
+  let breaker;
+
+  beforeEach(() => {
+    now = 1000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    jest.spyOn(logger, 'info').mockImplementation(() => {});
+    jest.spyOn(logger, 'warn').mockImplementation(() => {});
+    breaker = new CircuitBreaker('test', { failureThreshold: 2, resetTimeout: 1000, isFailure });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const fail = error => breaker.execute(() => Promise.reject(error)).catch(caught => caught);
+
+  it('opens after the threshold of consecutive failures and fails fast', async () => {
+    await fail(serverError());
+    expect(breaker.getStatus()).toEqual({ state: STATES.CLOSED, failures: 1, retryAt: null });
+    await fail(serverError());
+
+    const upstream = jest.fn();
+    const error = await breaker.execute(upstream).catch(caught => caught);
+    expect(error).toBeInstanceOf(CircuitOpenError);
+    expect(error.retryAt).toEqual(new Date(now + 1000));
+    expect(upstream).not.toHaveBeenCalled();
+    expect(breaker.isOpen()).toBe(true);
+  });
+
+  it('does not count errors the predicate rejects, and resets the count on them', async () => {
+    await fail(serverError());
+    await fail(clientError());
+    await fail(serverError());
+
+    expect(breaker.getStatus()).toMatchObject({ state: STATES.CLOSED, failures: 1 });
+    for (let i = 0; i < 5; i++) {
+      await fail(clientError());
+    }
+    expect(breaker.isOpen()).toBe(false);
+  });
+
+  it('lets a single trial call through after the reset timeout', async () => {
+    await fail(serverError());
+    await fail(serverError());
+    now += 1000;
+
+    let settle;
+    const trial = breaker.execute(() => new Promise((resolve) => { settle = resolve; }));
+    expect(breaker.getStatus().state).toBe(STATES.HALF_OPEN);
+    expect(breaker.isOpen()).toBe(true);
+    await expect(breaker.execute(() => Promise.resolve('second'))).rejects.toBeInstanceOf(CircuitOpenError);
+
+    settle('trial');
+    await expect(trial).resolves.toBe('trial');
+    expect(breaker.getStatus()).toEqual({ state: STATES.CLOSED, failures: 0, retryAt: null });
+    await expect(breaker.execute(() => Promise.resolve('after'))).resolves.toBe('after');
+  });
+
+  it('opens again for another reset timeout when the trial call fails', async () => {
+    await fail(serverError());
+    await fail(serverError());
+    now += 1000;
+
+    await fail(serverError());
+
+    expect(breaker.getStatus()).toMatchObject({ state: STATES.OPEN, retryAt: new Date(now + 1000).toISOString() });
+    expect(await fail(serverError())).toBeInstanceOf(CircuitOpenError);
+  });
+});
@@ -0,0 +1,66 @@
+const dataValidator = require('../../src/utils/dataValidator');
+const { cityKey, parseCityQuery, applyCityQuery } = require('../../src/utils/cityQuery');
+
+const merged = () => dataValidator.mergeDuplicates([
+  { name: 'Łódź', country: 'Poland', pollution: 50 },
+  { name: 'Lodz', country: 'PL', pollution: 70 },
+  { name: 'Gdańsk', country: 'PL', pollution: 30 },
+  { name: 'Straße', country: 'DE', pollution: 20 }
+], 'latest');
+
+describe('cityKey', () => {
+  it('gives every spelling of a merged city the key of the merged record', () => {
+    const [lodz] = merged();
+    for (const [name, country] of [['Łódź', 'PL'], ['lodz', 'Poland'], ['ŁÓDŹ', 'POL']]) {
+      expect(cityKey(name, country)).toBe(cityKey(lodz.name, lodz.countryCode));
+    }
+  });
+
+  it('differs between countries', () => {
+    expect(cityKey('Lodz', 'PL')).not.toBe(cityKey('Lodz', 'DE'));
+  });
+});
+
+describe('applyCityQuery', () => {
+  it('finds merged cities by any spelling of their name', () => {
+    const cities = merged();
+    const search = q => applyCityQuery(cities, parseCityQuery({ q })).map(city => city.name);
+
+    expect(search('Łódź')).toEqual(['Lodz']);
+    expect(search('lodz')).toEqual(['Lodz']);
+    expect(search('gdansk')).toEqual(['Gdańsk']);
+    expect(search('strasse')).toEqual(['Straße']);
+  });
+
+  it('combines the name search with the country filter', () => {
+    const criteria = parseCityQuery({ q: 'Łódź', country: 'DE' });
+    expect(applyCityQuery(merged(), criteria)).toEqual([]);
+  });
+});
+
+describe('category filter', () => {
+  it('keeps the cities in any of the requested categories', () => {
+    const cities = dataValidator.mergeDuplicates([
+      { name: 'Oslo', country: 'NO', pollution: 20 },
+      { name: 'Milan', country: 'IT', pollution: 80 },
+      { name: 'Delhi', country: 'IN', pollution: 400 }
+    ], 'latest');
+    const filter = category => applyCityQuery(cities, parseCityQuery({ category, sort: 'pollution', order: 'asc' })).map(city => city.name);
+
+    expect(filter('moderate')).toEqual(['Milan']);
+    expect(filter('good,hazardous')).toEqual(['Oslo', 'Delhi']);
+    expect(filter(['good', 'moderate'])).toEqual(['Oslo', 'Milan']);
+  });
+});
+
+describe('country filter', () => {
+  it('accepts a code, name or alias of the country', () => {
+    const cities = merged();
+    const filter = country => applyCityQuery(cities, parseCityQuery({ country })).map(city => city.countryCode);
+
+    for (const country of ['PL', 'pol', 'Poland', 'poland ']) {
+      expect(filter(country)).toEqual(['PL', 'PL']);
+    }
+    expect(filter('DE,Poland')).toHaveLength(3);
+  });
+});
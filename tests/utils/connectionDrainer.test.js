@@ -0,0 +1,75 @@
+const http = require('http');
+const ConnectionDrainer = require('../../src/utils/connectionDrainer');
+
+describe('ConnectionDrainer', () => {
+  let server;
+  let drainer;
+  let agent;
+  let release;
+
+  // Requests to /slow are held until release() is called
+  beforeEach(async () => {
+    const held = [];
+    release = () => held.splice(0).forEach(res => res.end('slow'));
+    server = http.createServer((req, res) => {
+      if (req.url === '/slow') {
+        held.push(res);
+      } else {
+        res.end('fast');
+      }
+    });
+    drainer = new ConnectionDrainer(server);
+    agent = new http.Agent({ keepAlive: true });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  });
+
+  afterEach(async () => {
+    release();
+    agent.destroy();
+    if (server.listening) {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  const request = path => new Promise((resolve, reject) => {
+    http.get({ host: '127.0.0.1', port: server.address().port, path, agent }, (res) => {
+      let body = '';
+      res.on('data', (chunk) => { body += chunk; });
+      res.on('end', () => resolve({ body }));
+    }).on('error', reject);
+  });
+
+  const waitFor = async (condition) => {
+    while (!condition()) {
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+  };
+
+  it('closes idle keep-alive connections at once', async () => {
+    await request('/fast');
+    expect(drainer.connections.size).toBe(1);
+    expect(drainer.inFlight).toBe(0);
+
+    expect(await drainer.drain(5000)).toEqual({ drained: true, cut: 0 });
+    expect(server.listening).toBe(false);
+  });
+
+  it('lets requests in progress finish and then closes their connection', async () => {
+    const slow = request('/slow');
+    await waitFor(() => drainer.inFlight === 1);
+
+    const drained = drainer.drain(5000);
+    release();
+
+    expect((await slow).body).toBe('slow');
+    expect(await drained).toEqual({ drained: true, cut: 0 });
+  });
+
+  it('cuts the requests still running at the deadline', async () => {
+    const slow = request('/slow').catch(error => error);
+    await waitFor(() => drainer.inFlight === 1);
+
+    expect(await drainer.drain(50)).toEqual({ drained: false, cut: 1 });
+    expect(await slow).toMatchObject({ code: 'ECONNRESET' });
+  });
+});
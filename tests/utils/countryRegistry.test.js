@@ -0,0 +1,48 @@
+const countryRegistry = require('../../src/utils/countryRegistry');
+const logger = require('../../src/utils/logger');
+
+describe('CountryRegistry', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('resolve', () => {
+    it.each(['DE', 'deu', 'Germany', ' germany ', 'Deutschland', 'DEUTSCHLAND'])('resolves %p to Germany', (value) => {
+      expect(countryRegistry.resolve(value)).toMatchObject({ alpha2: 'DE', alpha3: 'DEU', name: 'Germany' });
+    });
+
+    it('resolves aliases with punctuation and extra spacing', () => {
+      expect(countryRegistry.resolve('U.S.A.').alpha2).toBe('US');
+      expect(countryRegistry.resolve('united   states of america').alpha2).toBe('US');
+      expect(countryRegistry.resolve('Czech Republic').name).toBe('Czechia');
+    });
+
+    it.each(['Atlantis', 'XX', '', null, 42])('returns null for %p', (value) => {
+      expect(countryRegistry.resolve(value)).toBeNull();
+      expect(countryRegistry.isKnown(value)).toBe(false);
+    });
+  });
+
+  describe('matchKey', () => {
+    it('gives every form of a known country its alpha-2 code', () => {
+      expect(['PL', 'POL', 'Poland', 'poland '].map(value => countryRegistry.matchKey(value))).toEqual(['PL', 'PL', 'PL', 'PL']);
+    });
+
+    it('falls back to the folded text for unknown countries', () => {
+      expect(countryRegistry.matchKey(' Atlantis ')).toBe(countryRegistry.matchKey('ATLANTIS'));
+      expect(countryRegistry.matchKey('Atlantis')).not.toBe(countryRegistry.matchKey('Lemuria'));
+    });
+  });
+
+  it('keeps the first country for a form shared by two countries', () => {
+    jest.spyOn(logger, 'warn').mockImplementation(() => {});
+    const registry = new countryRegistry.constructor([
+      { alpha2: 'CG', alpha3: 'COG', name: 'Republic of the Congo', aliases: ['Congo'] },
+      { alpha2: 'CD', alpha3: 'COD', name: 'Democratic Republic of the Congo', aliases: ['Congo', 'DRC'] }
+    ]);
+
+    expect(registry.resolve('Congo').alpha2).toBe('CG');
+    expect(registry.resolve('DRC').alpha2).toBe('CD');
+    expect(logger.warn).toHaveBeenCalledWith('Country form "Congo" is ambiguous between CG and CD, keeping CG');
+  });
+});
@@ -0,0 +1,40 @@
+const { encodeCursor, decodeCursor, isCursorFor } = require('../../src/utils/cursor');
+const { parseCityQuery, cityFilterKey } = require('../../src/utils/cityQuery');
+
+const filtersOf = query => cityFilterKey(parseCityQuery(query));
+
+describe('cursor', () => {
+  it('decodes the snapshot version and offset it was encoded with', () => {
+    const token = encodeCursor({ version: 'v42', offset: 20, filters: filtersOf({ country: 'PL' }) });
+
+    expect(token).toMatch(/^[A-Za-z0-9_-]+$/);
+    expect(decodeCursor(token)).toMatchObject({ version: 'v42', offset: 20 });
+  });
+
+  it.each([
+    ['not JSON', 'not-a-cursor'],
+    ['empty', ''],
+    ['missing fields', Buffer.from(JSON.stringify({ v: 'v1' })).toString('base64url')],
+    ['negative offset', Buffer.from(JSON.stringify({ v: 'v1', o: -1, f: 'x' })).toString('base64url')],
+    ['fractional offset', Buffer.from(JSON.stringify({ v: 'v1', o: 1.5, f: 'x' })).toString('base64url')],
+    ['JSON null', Buffer.from('null').toString('base64url')]
+  ])('returns null for a malformed token (%s)', (description, token) => {
+    expect(decodeCursor(token)).toBeNull();
+  });
+
+  it('is only valid for the filters it was issued for', () => {
+    const filters = filtersOf({ country: ['PL', 'DE'], sort: 'name' });
+    const cursor = decodeCursor(encodeCursor({ version: 'v1', offset: 10, filters }));
+
+    expect(isCursorFor(cursor, filters)).toBe(true);
+    expect(isCursorFor(cursor, filtersOf({ country: ['DE', 'Poland'], sort: 'name' }))).toBe(true);
+    expect(isCursorFor(cursor, filtersOf({ country: 'PL', sort: 'name' }))).toBe(false);
+    expect(isCursorFor(cursor, filtersOf({ country: ['PL', 'DE'], sort: 'name', order: 'desc' }))).toBe(false);
+  });
+
+  it('ignores the page, page size and language', () => {
+    const cursor = decodeCursor(encodeCursor({ version: 'v1', offset: 0, filters: filtersOf({ q: 'lodz' }) }));
+
+    expect(isCursorFor(cursor, cityFilterKey(parseCityQuery({ q: 'Łódź', page: '3', limit: '50' }, 'pl')))).toBe(true);
+  });
+});
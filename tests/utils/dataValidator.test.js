@@ -0,0 +1,115 @@
+const dataValidator = require('../../src/utils/dataValidator');
+
+describe('dataValidator.mergeDuplicates', () => {
+  const entries = [
+    { name: 'Łódź', country: 'Poland', pollution: 50 },
+    { name: 'Krakow', country: 'PL', pollution: 10 },
+    { name: 'LODZ ', country: 'POL', pollution: 80 },
+    { name: 'Lodz', country: 'PL', pollution: 70 }
+  ];
+
+  it('merges names that differ in case, spacing, accents and transliterated letters', () => {
+    const cities = dataValidator.mergeDuplicates(entries, 'latest');
+
+    expect(cities.map(city => city.name)).toEqual(['Lodz', 'Krakow']);
+    expect(cities[0].variants.map(variant => variant.name)).toEqual(['Łódź', 'LODZ ', 'Lodz']);
+    expect(cities[1].variants).toBeUndefined();
+  });
+
+  it('keeps the last entry in feed order with the latest policy', () => {
+    expect(dataValidator.mergeDuplicates(entries, 'latest')[0].pollution).toBe(70);
+  });
+
+  it('keeps the most polluted entry with the max policy', () => {
+    const [lodz] = dataValidator.mergeDuplicates(entries, 'max');
+    expect(lodz.pollution).toBe(80);
+    expect(lodz.name).toBe('LODZ');
+  });
+
+  it('averages the pollution of the group with the mean policy', () => {
+    expect(dataValidator.mergeDuplicates(entries, 'mean')[0].pollution).toBe(66.67);
+  });
+
+  it('keeps cities of the same name in different countries apart', () => {
+    const cities = dataValidator.mergeDuplicates([
+      { name: 'Frankfurt', country: 'DE', pollution: 40 },
+      { name: 'Frankfurt', country: 'US', pollution: 20 }
+    ], 'latest');
+    expect(cities).toHaveLength(2);
+  });
+});
+
+describe('dataValidator countries', () => {
+  it.each([
+    ['Germany', null],
+    ['deu', null],
+    ['Atlantis', 'COUNTRY_UNKNOWN'],
+    ['D', 'COUNTRY_INVALID'],
+    [undefined, 'COUNTRY_INVALID']
+  ])('checks %p', (country, reason) => {
+    expect(dataValidator.checkCountry(country)).toBe(reason);
+  });
+
+  it('rejects cities from unknown countries', () => {
+    expect(dataValidator.isValidCity({ name: 'Berlin', country: 'DE', pollution: 40 })).toBe(true);
+    expect(dataValidator.isValidCity({ name: 'Berlin', country: 'Atlantis', pollution: 40 })).toBe(false);
+  });
+
+  it('gives normalized cities the canonical country name and code', () => {
+    expect(dataValidator.normalizeCity({ name: ' Berlin ', country: 'germany ', pollution: '40' })).toMatchObject({
+      name: 'Berlin',
+      country: 'Germany',
+      countryCode: 'DE',
+      pollution: 40
+    });
+  });
+});
+
+describe('dataValidator.validateCity', () => {
+  it.each([
+    ['Warsaw', null],
+    ['Salt Lake City', null],
+    ['12345', 'NAME_NUMERIC'],
+    ['A1 234', 'NAME_NUMERIC'],
+    ['test', 'NAME_PLACEHOLDER'],
+    ['N/A', 'NAME_PLACEHOLDER'],
+    ['Mazovia Province', 'NAME_ADMINISTRATIVE_DIVISION'],
+    ['Oceanside', 'SUSPICIOUS_WORD'],
+    ['x'.repeat(101), 'NAME_LENGTH'],
+    ['()', 'NAME_NO_LETTERS'],
+    ['东京', 'NAME_NO_LETTERS']
+  ])('gives the name %p the reason %p', (name, reason) => {
+    expect(dataValidator.validateCity({ name, country: 'PL', pollution: 40 })).toBe(reason);
+  });
+
+  it.each([
+    [null, 'NOT_AN_OBJECT'],
+    ['Warsaw', 'NOT_AN_OBJECT'],
+    [{ name: 'Warsaw', country: 'PL' }, 'MISSING_FIELD'],
+    [{ name: 42, country: 'PL', pollution: 40 }, 'NAME_NOT_STRING'],
+    [{ name: 'Warsaw', country: 'PL', pollution: 'high' }, 'POLLUTION_NOT_NUMERIC'],
+    [{ name: 'Warsaw', country: 'PL', pollution: -1 }, 'POLLUTION_OUT_OF_RANGE']
+  ])('gives %j the reason %p', (entry, reason) => {
+    expect(dataValidator.validateCity(entry)).toBe(reason);
+  });
+
+  it('describes every reason it can return', () => {
+    expect(Object.keys(dataValidator.rejectionReasons)).toEqual(expect.arrayContaining([
+      'NOT_AN_OBJECT', 'MISSING_FIELD', 'NAME_NUMERIC', 'SUSPICIOUS_WORD', 'COUNTRY_UNKNOWN', 'POLLUTION_OUT_OF_RANGE'
+    ]));
+  });
+
+  it('audits a feed into accepted cities and rejections with their reason', () => {
+    const { cities, rejections } = dataValidator.auditCities([
+      { name: 'Warsaw', country: 'PL', pollution: 40 },
+      { name: 'test', country: 'PL', pollution: 10 },
+      'garbage'
+    ]);
+
+    expect(cities.map(city => city.name)).toEqual(['Warsaw']);
+    expect(rejections).toEqual([
+      { reason: 'NAME_PLACEHOLDER', entry: { name: 'test', country: 'PL', pollution: 10 } },
+      { reason: 'NOT_AN_OBJECT', entry: 'garbage' }
+    ]);
+  });
+});
@@ -0,0 +1,101 @@
+const { csvEscape, getSerializer, negotiateFormat } = require('../../src/utils/formatters');
+
+const city = (overrides = {}) => ({
+  name: 'Warsaw',
+  country: 'Poland',
+  countryCode: 'PL',
+  pollution: 40,
+  airQuality: { category: 'moderate' },
+  description: 'Capital of Poland',
+  coordinates: { lat: 52.23, lon: 21.01 },
+  ...overrides
+});
+
+const serialize = (format, cities, meta) => {
+  const serializer = getSerializer(format, meta);
+  return serializer.head + cities.map(serializer.item).join('') + serializer.tail;
+};
+
+describe('csvEscape', () => {
+  it.each([
+    ['Warsaw', 'Warsaw'],
+    ['Washington, D.C.', '"Washington, D.C."'],
+    ['The "Big Apple"', '"The ""Big Apple"""'],
+    ['two\nlines', '"two\nlines"'],
+    ['carriage\r\nreturn', '"carriage\r\nreturn"'],
+    [42.5, '42.5'],
+    [-3, '-3'],
+    [0, '0'],
+    [null, ''],
+    [undefined, '']
+  ])('writes %p as %p', (value, expected) => {
+    expect(csvEscape(value)).toBe(expected);
+  });
+
+  it.each([
+    ['=HYPERLINK("http://evil.example")', '"\'=HYPERLINK(""http://evil.example"")"'],
+    ['+1+1', "'+1+1"],
+    ['-2+3', "'-2+3"],
+    ['@SUM(A1:A2)', "'@SUM(A1:A2)"],
+    ['\t=1+1', "'\t=1+1"],
+    ['\r=1+1', '"\'\r=1+1"']
+  ])('neutralizes the formula %p', (value, expected) => {
+    expect(csvEscape(value)).toBe(expected);
+  });
+});
+
+describe('getSerializer', () => {
+  it('writes CSV with a header row and CRLF line breaks', () => {
+    const body = serialize('csv', [city(), city({ name: 'Łódź, "old town"', airQuality: null, coordinates: null, description: '=cmd' })]);
+
+    expect(body).toBe(
+      'name,country,countryCode,pollution,category,description,latitude,longitude\r\n' +
+      'Warsaw,Poland,PL,40,moderate,Capital of Poland,52.23,21.01\r\n' +
+      '"Łódź, ""old town""",Poland,PL,40,,\'=cmd,,\r\n'
+    );
+    expect(getSerializer('csv').contentType).toBe('text/csv; charset=utf-8');
+  });
+
+  it('writes one JSON document per line for NDJSON', () => {
+    const lines = serialize('ndjson', [city(), city({ name: 'Krakow' })]).split('\n');
+
+    expect(lines).toHaveLength(3);
+    expect(lines[2]).toBe('');
+    expect(JSON.parse(lines[1]).name).toBe('Krakow');
+  });
+
+  it('writes a GeoJSON FeatureCollection with lon/lat points and the envelope members', () => {
+    const collection = JSON.parse(serialize('geojson', [city(), city({ name: 'Nowhere', coordinates: null })], { total: 2 }));
+
+    expect(collection.type).toBe('FeatureCollection');
+    expect(collection.total).toBe(2);
+    expect(collection.features[0]).toEqual({
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: [21.01, 52.23] },
+      properties: expect.not.objectContaining({ coordinates: expect.anything() })
+    });
+    expect(collection.features[1].geometry).toBeNull();
+  });
+
+  it('writes JSON with the cities inside the envelope, also when there are none', () => {
+    expect(JSON.parse(serialize('json', [city()], { page: 1, total: 1 }))).toEqual({ page: 1, total: 1, cities: [city()] });
+    expect(JSON.parse(serialize('json', []))).toEqual({ cities: [] });
+  });
+});
+
+describe('negotiateFormat', () => {
+  const request = (query, accepted) => ({ query, accepts: jest.fn(() => accepted) });
+
+  it('prefers the format parameter over the Accept header', () => {
+    expect(negotiateFormat(request({ format: 'csv' }, 'application/json'))).toBe('csv');
+  });
+
+  it('maps the accepted content type to its format', () => {
+    expect(negotiateFormat(request({}, 'application/geo+json'))).toBe('geojson');
+    expect(negotiateFormat(request({}, 'application/x-ndjson'))).toBe('ndjson');
+  });
+
+  it('returns null when the Accept header matches no format', () => {
+    expect(negotiateFormat(request({}, false))).toBeNull();
+  });
+});
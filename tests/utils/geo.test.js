@@ -0,0 +1,62 @@
+const { haversineKm, parseBoundingBox, isInBoundingBox } = require('../../src/utils/geo');
+
+describe('haversineKm', () => {
+  it('measures great-circle distances', () => {
+    const warsaw = { lat: 52.2297, lon: 21.0122 };
+    const krakow = { lat: 50.0647, lon: 19.945 };
+
+    expect(haversineKm(warsaw, krakow)).toBeCloseTo(252, 0);
+    expect(haversineKm(warsaw, warsaw)).toBe(0);
+  });
+
+  it('goes the short way across the antimeridian', () => {
+    expect(haversineKm({ lat: 0, lon: 179.5 }, { lat: 0, lon: -179.5 })).toBeCloseTo(111.2, 1);
+  });
+
+  it('stays finite for antipodal points', () => {
+    expect(haversineKm({ lat: 0, lon: 0 }, { lat: 0, lon: 180 })).toBeCloseTo(Math.PI * 6371, 0);
+  });
+});
+
+describe('parseBoundingBox', () => {
+  it('reads minLon,minLat,maxLon,maxLat', () => {
+    expect(parseBoundingBox('14.1, 49, 24.2,54.9')).toEqual({ minLon: 14.1, minLat: 49, maxLon: 24.2, maxLat: 54.9 });
+  });
+
+  it('accepts a box crossing the antimeridian', () => {
+    expect(parseBoundingBox('170,-50,-170,-30')).toEqual({ minLon: 170, minLat: -50, maxLon: -170, maxLat: -30 });
+  });
+
+  it.each([
+    '1,2,3',
+    '1,2,3,4,5',
+    '1,,3,4',
+    'a,2,3,4',
+    '0,-91,10,10',
+    '0,0,10,91',
+    '0,10,10,0',
+    '-181,0,10,10',
+    '0,0,181,10'
+  ])('rejects %s', (value) => {
+    expect(parseBoundingBox(value)).toBeNull();
+  });
+});
+
+describe('isInBoundingBox', () => {
+  const poland = parseBoundingBox('14.1,49,24.2,54.9');
+  const pacific = parseBoundingBox('170,-50,-170,-30');
+
+  it('matches points inside the box, edges included', () => {
+    expect(isInBoundingBox({ lat: 52.2, lon: 21 }, poland)).toBe(true);
+    expect(isInBoundingBox({ lat: 49, lon: 14.1 }, poland)).toBe(true);
+    expect(isInBoundingBox({ lat: 48.9, lon: 21 }, poland)).toBe(false);
+    expect(isInBoundingBox({ lat: 52.2, lon: 24.3 }, poland)).toBe(false);
+  });
+
+  it('wraps a box that crosses the antimeridian', () => {
+    expect(isInBoundingBox({ lat: -40, lon: 175 }, pacific)).toBe(true);
+    expect(isInBoundingBox({ lat: -40, lon: -175 }, pacific)).toBe(true);
+    expect(isInBoundingBox({ lat: -40, lon: 0 }, pacific)).toBe(false);
+    expect(isInBoundingBox({ lat: -20, lon: 175 }, pacific)).toBe(false);
+  });
+});
@@ -0,0 +1,121 @@
+const spec = require('../../src/docs/openapi');
+const openapiValidator = require('../../src/utils/openapiValidator');
+const { mockRequest } = require('../helpers/http');
+
+const check = (method, routePath, request, contentType = false) => {
+  const operation = openapiValidator.operationFor(method, routePath);
+  const req = mockRequest(request);
+  req.is.mockReturnValue(contentType);
+  return openapiValidator.checkRequest(operation, req);
+};
+
+describe('OpenApiValidator', () => {
+  it('documents every route the app serves', () => {
+    const mounts = [['', 'health'], ['', 'docs'], ['/api', 'admin'], ['/api', 'cities'], ['/api', 'countries'], ['/api', 'history']];
+    const undocumented = [];
+
+    for (const [prefix, name] of mounts) {
+      const router = require(`../../src/routes/${name}`);
+      for (const { route } of router.stack.filter(layer => layer.route)) {
+        for (const method of Object.keys(route.methods)) {
+          if (!openapiValidator.operationFor(method, prefix + route.path)) {
+            undocumented.push(`${method.toUpperCase()} ${prefix}${route.path}`);
+          }
+        }
+      }
+    }
+
+    expect(undocumented).toEqual([]);
+    expect(Object.keys(spec.paths)).toEqual(expect.arrayContaining(['/metrics', '/openapi.json']));
+  });
+
+  it('finds operations by their Express route', () => {
+    expect(openapiValidator.operationFor('get', '/api/cities/:country/:city').id).toBe('getCity');
+    expect(openapiValidator.operationFor('DELETE', '/api/cities')).toBeNull();
+  });
+
+  describe('checkRequest', () => {
+    it('accepts query strings coerced to their documented types', () => {
+      expect(check('GET', '/api/cities', { query: { page: '2', limit: '100', minPollution: '10.5', all: 'false' } })).toBeNull();
+    });
+
+    it.each([
+      [{ limit: '0' }, 'Invalid limit parameter', 'limit must be an integer between 1 and 100'],
+      [{ limit: '' }, 'Invalid limit parameter', 'limit must be an integer between 1 and 100'],
+      [{ page: 'two' }, 'Invalid page parameter', 'page must be an integer between 1 and 1000'],
+      [{ minPollution: '-1' }, 'Invalid minPollution parameter', 'minPollution must be a non-negative number'],
+      [{ sort: 'size' }, 'Invalid sort parameter', expect.stringMatching(/^sort must be one of: /)],
+      [{ all: 'yes' }, 'Invalid all parameter', 'all must be true or false'],
+      [{ q: '   ' }, 'Invalid q parameter', 'q must be between 1 and 100 characters']
+    ])('refuses %j', (query, error, message) => {
+      expect(check('GET', '/api/cities', { query })).toEqual({ error, message });
+    });
+
+    it('checks every value of a list parameter', () => {
+      expect(check('GET', '/api/cities', { query: { category: 'good,hazardous' } })).toBeNull();
+      expect(check('GET', '/api/cities', { query: { category: ['good', 'awful'] } })).toEqual({
+        error: 'Invalid category parameter',
+        message: expect.stringMatching(/^category must be one or more of: good, moderate, /)
+      });
+      expect(check('GET', '/api/cities', { query: { country: Array(21).fill('PL').join(',') } })).toEqual({
+        error: 'Invalid country parameter',
+        message: 'country must be 1 to 20 values of 1 to 100 characters'
+      });
+    });
+
+    it('checks path parameters', () => {
+      expect(check('GET', '/api/cities/:country/:city', { params: { country: 'PL', city: 'x'.repeat(101) } })).toEqual({
+        error: 'Invalid city parameter',
+        message: 'city must be between 1 and 100 characters'
+      });
+    });
+
+    it('checks JSON bodies against their schema', () => {
+      const lookup = body => check('POST', '/api/cities/batch', { body }, 'application/json');
+
+      expect(lookup([{ name: 'Krakow', country: 'PL' }])).toBeNull();
+      expect(lookup([{ name: 'Krakow', country: 'PL', pollution: 1 }, {}])).toEqual({
+        error: 'Invalid request body',
+        message: expect.any(String),
+        details: [
+          '/0 must NOT have additional properties (pollution)',
+          "/1 must have required property 'name'",
+          "/1 must have required property 'country'"
+        ]
+      });
+    });
+
+    it('refuses a required body of another content type', () => {
+      expect(check('POST', '/api/cities/batch', { body: 'Krakow,PL' })).toEqual({
+        error: 'Invalid request body',
+        message: 'Request body must be application/json',
+        details: ['Request body must be application/json']
+      });
+    });
+  });
+
+  describe('checkResponse', () => {
+    const operation = () => openapiValidator.operationFor('GET', '/api/countries/:code');
+
+    it('accepts a body matching the documented status', () => {
+      expect(openapiValidator.checkResponse(operation(), 404, { error: 'Country not found', message: 'No country XX' })).toBeNull();
+    });
+
+    it('lists how a body differs from the document', () => {
+      expect(openapiValidator.checkResponse(operation(), 404, { error: 404 })).toEqual([
+        "/ must have required property 'message'",
+        '/error must be string'
+      ]);
+    });
+
+    it('reports undocumented statuses', () => {
+      expect(openapiValidator.checkResponse(operation(), 418, {})).toEqual(['status 418 is not documented']);
+    });
+
+    it('reports JSON sent for a status documented without a JSON body', () => {
+      const metrics = openapiValidator.operationFor('GET', '/metrics');
+
+      expect(openapiValidator.checkResponse(metrics, 200, {})).toEqual(['status 200 is not documented as JSON']);
+    });
+  });
+});
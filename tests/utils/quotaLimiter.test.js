@@ -0,0 +1,112 @@
+const QuotaLimiter = require('../../src/utils/quotaLimiter');
+
+const tier = (limit, windowMs, capacity, refillPerSecond) => ({
+  quota: { limit, windowMs },
+  burst: { capacity, refillPerSecond }
+});
+
+describe('QuotaLimiter', () => {
+  let now;
+  let limiter;
+
+  beforeEach(() => {
+    now = 1000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    limiter = new QuotaLimiter();
+  });
+
+  afterEach(() => {
+    clearInterval(limiter.pruneTimer);
+    jest.restoreAllMocks();
+  });
+
+  const consumeTimes = (count, clientId, clientTier) =>
+    Array.from({ length: count }, () => limiter.consume(clientId, clientTier));
+
+  describe('quota window', () => {
+    const hourly = tier(3, 60 * 60 * 1000, 100, 100);
+
+    it('refuses requests over the limit until the window started by the first request ends', () => {
+      const results = consumeTimes(3, 'a', hourly);
+      expect(results.map(result => result.remaining)).toEqual([2, 1, 0]);
+
+      now += 30 * 60 * 1000;
+      const refused = limiter.consume('a', hourly);
+      expect(refused).toMatchObject({ allowed: false, reason: 'quota', remaining: 0, retryAfter: 30 * 60 });
+      expect(refused.resetAt).toBe(1000000 + 60 * 60 * 1000);
+
+      now = 1000000 + 60 * 60 * 1000;
+      expect(limiter.consume('a', hourly)).toMatchObject({ allowed: true, remaining: 2, resetAt: now + 60 * 60 * 1000 });
+    });
+
+    it('counts each client separately', () => {
+      consumeTimes(3, 'a', hourly);
+
+      expect(limiter.consume('a', hourly).allowed).toBe(false);
+      expect(limiter.consume('b', hourly).allowed).toBe(true);
+    });
+
+    it('reports usage without counting a request', () => {
+      expect(limiter.usage('a', hourly)).toEqual({ used: 0, limit: 3, resetAt: null });
+
+      consumeTimes(2, 'a', hourly);
+      expect(limiter.usage('a', hourly)).toEqual({ used: 2, limit: 3, resetAt: 1000000 + 60 * 60 * 1000 });
+      expect(limiter.usage('a', hourly)).toEqual({ used: 2, limit: 3, resetAt: 1000000 + 60 * 60 * 1000 });
+
+      now += 60 * 60 * 1000;
+      expect(limiter.usage('a', hourly).used).toBe(0);
+    });
+  });
+
+  describe('burst bucket', () => {
+    const bursty = tier(1000, 24 * 60 * 60 * 1000, 3, 0.5);
+
+    it('refuses requests once the bucket is empty, without using quota', () => {
+      consumeTimes(3, 'a', bursty);
+
+      expect(limiter.consume('a', bursty)).toMatchObject({ allowed: false, reason: 'burst', remaining: 997, retryAfter: 2 });
+      expect(limiter.usage('a', bursty).used).toBe(3);
+    });
+
+    it('refills at refillPerSecond up to the capacity', () => {
+      consumeTimes(3, 'a', bursty);
+
+      now += 1000;
+      expect(limiter.consume('a', bursty)).toMatchObject({ allowed: false, retryAfter: 1 });
+      now += 1000;
+      expect(limiter.consume('a', bursty).allowed).toBe(true);
+      expect(limiter.consume('a', bursty).allowed).toBe(false);
+
+      now += 60 * 1000;
+      expect(consumeTimes(4, 'a', bursty).map(result => result.allowed)).toEqual([true, true, true, false]);
+    });
+  });
+
+  it('prunes clients whose window ended and whose bucket is full', () => {
+    const minute = tier(10, 60 * 1000, 2, 1);
+    limiter.consume('a', minute);
+    now += 30 * 1000;
+    limiter.consume('b', minute);
+
+    now += 30 * 1000;
+    limiter.prune();
+
+    expect(limiter.clients.has('a')).toBe(false);
+    expect(limiter.clients.has('b')).toBe(true);
+  });
+
+  describe('tier changes', () => {
+    it('keeps the window of a client whose tier was read again with the same limits', () => {
+      consumeTimes(2, 'a', tier(3, 60 * 1000, 10, 1));
+
+      expect(limiter.consume('a', tier(3, 60 * 1000, 10, 1))).toMatchObject({ allowed: true, remaining: 0 });
+    });
+
+    it('starts a new window when the limits of the client tier change', () => {
+      consumeTimes(3, 'a', tier(3, 60 * 1000, 10, 1));
+
+      expect(limiter.consume('a', tier(3, 60 * 1000, 10, 1)).allowed).toBe(false);
+      expect(limiter.consume('a', tier(100, 60 * 1000, 10, 1))).toMatchObject({ allowed: true, remaining: 99 });
+    });
+  });
+});
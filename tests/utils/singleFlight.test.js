@@ -0,0 +1,56 @@
+const SingleFlight = require('../../src/utils/singleFlight');
+
+const deferred = () => {
+  const handlers = {};
+  const promise = new Promise((resolve, reject) => {
+    Object.assign(handlers, { resolve, reject });
+  });
+  return { promise, ...handlers };
+};
+
+describe('SingleFlight', () => {
+  let flights;
+
+  beforeEach(() => {
+    flights = new SingleFlight();
+  });
+
+  it('runs concurrent calls for the same key once and shares the result', async () => {
+    const pending = deferred();
+    const fn = jest.fn(() => pending.promise);
+
+    const first = flights.do('key', fn);
+    const second = flights.do('key', fn);
+    expect(flights.size).toBe(1);
+    pending.resolve('value');
+
+    await expect(first).resolves.toEqual({ value: 'value', shared: false });
+    await expect(second).resolves.toEqual({ value: 'value', shared: true });
+    expect(fn).toHaveBeenCalledTimes(1);
+    expect(flights.size).toBe(0);
+  });
+
+  it('runs calls for different keys separately', async () => {
+    const fn = jest.fn(async () => 'value');
+
+    await Promise.all([flights.do('a', fn), flights.do('b', fn)]);
+
+    expect(fn).toHaveBeenCalledTimes(2);
+  });
+
+  it('shares a failure with every waiting caller, then runs again', async () => {
+    const pending = deferred();
+    const first = flights.do('key', () => pending.promise);
+    const second = flights.do('key', () => Promise.resolve('unused'));
+    pending.reject(new Error('failed'));
+
+    await expect(first).rejects.toThrow('failed');
+    await expect(second).rejects.toThrow('failed');
+    await expect(flights.do('key', async () => 'retried')).resolves.toEqual({ value: 'retried', shared: false });
+  });
+
+  it('turns a synchronous throw into a rejection', async () => {
+    await expect(flights.do('key', () => { throw new Error('sync'); })).rejects.toThrow('sync');
+    expect(flights.size).toBe(0);
+  });
+});
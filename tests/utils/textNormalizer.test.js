@@ -0,0 +1,65 @@
+const { foldText, nameKey, levenshtein, findClosestMatches } = require('../../src/utils/textNormalizer');
+
+describe('foldText', () => {
+  it('strips accents, lowercases and collapses whitespace', () => {
+    expect(foldText('  São   Paulo ')).toBe('sao paulo');
+    expect(foldText('KRAKÓW')).toBe('krakow');
+  });
+
+  it('treats missing text as empty', () => {
+    expect(foldText(null)).toBe('');
+    expect(foldText(undefined)).toBe('');
+  });
+});
+
+describe('nameKey', () => {
+  it.each([
+    ['Łódź', 'lodz'],
+    ['Straße', 'strasse'],
+    ['Frederiksværk', 'frederiksvaerk'],
+    ['Saint-Étienne', 'saint etienne'],
+    ["L'Aquila", 'l aquila'],
+    ['Tromsø', 'tromso']
+  ])('keys %s as %s', (name, key) => {
+    expect(nameKey(name)).toBe(key);
+  });
+
+  it('keeps letters of non-Latin scripts', () => {
+    expect(nameKey('Москва')).toBe('москва');
+  });
+});
+
+describe('levenshtein', () => {
+  it.each([
+    ['krakow', 'krakow', 0],
+    ['', 'abc', 3],
+    ['krakow', 'krakuw', 1],
+    ['kitten', 'sitting', 3]
+  ])('counts %s -> %s as %i edits', (a, b, distance) => {
+    expect(levenshtein(a, b)).toBe(distance);
+  });
+});
+
+describe('findClosestMatches', () => {
+  const cities = ['Warsaw', 'Wroclaw', 'Krakow', 'Gdansk', 'Gdynia'].map(name => ({ name }));
+
+  it('returns the closest names first', () => {
+    expect(findClosestMatches('Warszaw', cities).map(city => city.name)).toEqual(['Warsaw']);
+    const candidates = ['Paris', 'Pavia', 'Parma'].map(name => ({ name }));
+    expect(findClosestMatches('Parmo', candidates).map(city => city.name)).toEqual(['Parma', 'Paris']);
+  });
+
+  it('counts a prefix as one edit', () => {
+    expect(findClosestMatches('Krak', cities).map(city => city.name)).toEqual(['Krakow']);
+  });
+
+  it('ignores names that are too far off and honours the limit', () => {
+    expect(findClosestMatches('Berlin', cities)).toEqual([]);
+    expect(findClosestMatches('Gd', cities, { limit: 1 })).toHaveLength(1);
+  });
+
+  it('reads names through getName', () => {
+    const entries = [{ title: 'Gdańsk' }];
+    expect(findClosestMatches('gdansk', entries, { getName: entry => entry.title })).toEqual(entries);
+  });
+});
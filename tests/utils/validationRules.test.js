@@ -0,0 +1,180 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const logger = require('../../src/utils/logger');
+const validationRules = require('../../src/utils/validationRules');
+
+const { RuleSetError } = validationRules;
+
+const ruleSet = (overrides = {}) => ({
+  version: 1,
+  revision: 'test',
+  name: {
+    patterns: [{ pattern: '^[0-9]+$', reason: 'NAME_NUMERIC' }],
+    suspiciousWords: ['river']
+  },
+  pollution: { min: 0, max: 500 },
+  ...overrides
+});
+
+const errorsOf = (raw) => {
+  try {
+    validationRules.validate(raw);
+  } catch (error) {
+    expect(error).toBeInstanceOf(RuleSetError);
+    return error.errors;
+  }
+  throw new Error('validate did not throw');
+};
+
+describe('validationRules.validate', () => {
+  it('accepts the default rule file', () => {
+    const raw = JSON.parse(fs.readFileSync(path.join(__dirname, '../../src/config/validationRules.json'), 'utf8'));
+    expect(() => validationRules.validate(raw)).not.toThrow();
+  });
+
+  it.each([null, [], 'rules'])('rejects a rule set that is not an object (%p)', (raw) => {
+    expect(errorsOf(raw)).toEqual(['Rule set must be an object']);
+  });
+
+  it('lists every problem of the rule set', () => {
+    const errors = errorsOf(ruleSet({
+      version: 2,
+      name: {
+        minLength: 5,
+        maxLength: 2,
+        patterns: [{ pattern: '(', reason: 'NAME_BROKEN' }, { pattern: 'x', reason: 'bad' }],
+        suspiciousWords: ['']
+      },
+      pollution: { min: 10, max: 1 }
+    }));
+
+    expect(errors).toEqual([
+      '"version" must be one of 1',
+      '"name.minLength" and "name.maxLength" must be integers with 1 <= minLength <= maxLength',
+      expect.stringMatching(/^"name\.patterns\[0\]" is not a valid regular expression/),
+      '"name.patterns[1].reason" must be a NAME_* reason code',
+      '"name.suspiciousWords" must be an array of non-empty strings',
+      '"pollution.min" must not be greater than "pollution.max"'
+    ]);
+  });
+
+  it('checks allowlists, denylists and country overrides', () => {
+    const errors = errorsOf(ruleSet({
+      allow: ['Gdansk', { name: 'Springfield', country: 'Atlantis' }],
+      deny: 'Test',
+      countries: {
+        PL: { pollution: { max: 'high' }, deny: [{ name: 'Lodz', country: 'PL' }], colour: 'red' },
+        Narnia: {}
+      }
+    }));
+
+    expect(errors).toEqual([
+      '"allow[1]" must be a city name or { name, country } with a known country',
+      '"deny" must be an array',
+      '"countries.PL" has unsupported fields: colour (allowed: suspiciousWords, pollution, allow, deny)',
+      '"countries.PL.pollution.min" and "countries.PL.pollution.max" must be numbers',
+      '"countries.PL.deny[0]" must be a city name',
+      '"countries.Narnia" is not a known country'
+    ]);
+  });
+
+  it('rejects the stateful g and y flags', () => {
+    const errors = errorsOf(ruleSet({
+      name: {
+        patterns: [
+          { pattern: 'x', flags: 'gi', reason: 'NAME_X' },
+          { pattern: 'x', flags: 'y', reason: 'NAME_X' },
+          { pattern: 'x', flags: 1, reason: 'NAME_X' },
+          { pattern: 'x', flags: 'iu', reason: 'NAME_X' }
+        ]
+      }
+    }));
+
+    expect(errors).toEqual([
+      '"name.patterns[0].flags" must be a string without the g and y flags',
+      '"name.patterns[1].flags" must be a string without the g and y flags',
+      '"name.patterns[2].flags" must be a string without the g and y flags'
+    ]);
+  });
+
+  it('checks country pollution ranges merged with the base range', () => {
+    expect(errorsOf(ruleSet({
+      countries: {
+        PL: { pollution: { max: -5 } },
+        DE: { pollution: { min: 600 } },
+        FR: { pollution: { min: 100 } }
+      }
+    }))).toEqual([
+      '"countries.PL.pollution" gives min 0 greater than max -5 once merged with the base range',
+      '"countries.DE.pollution" gives min 600 greater than max 500 once merged with the base range'
+    ]);
+
+    expect(errorsOf(ruleSet({ pollution: undefined, countries: { PL: { pollution: { min: 2000 } } } }))).toEqual([
+      '"countries.PL.pollution" gives min 2000 greater than max 1000 once merged with the base range'
+    ]);
+  });
+});
+
+describe('validationRules.compile', () => {
+  it('applies country overrides and scoped list entries to that country only', () => {
+    const rules = validationRules.compile(ruleSet({
+      allow: [{ name: 'Riverside', country: 'US' }],
+      deny: ['Nowhere'],
+      countries: {
+        Poland: { suspiciousWords: ['lake'], pollution: { max: 100 }, deny: ['Łódź'] }
+      }
+    }));
+
+    const poland = rules.forCountry('PL');
+    expect(poland.suspiciousWords).toEqual(['lake']);
+    expect(poland.pollution).toEqual({ min: 0, max: 100 });
+    expect(poland.deny).toEqual(new Set(['nowhere', 'lodz']));
+
+    const us = rules.forCountry('US');
+    expect(us.suspiciousWords).toEqual(['river']);
+    expect(us.pollution).toEqual({ min: 0, max: 500 });
+    expect(us.allow).toEqual(new Set(['riverside']));
+    expect(rules.forCountry('DE').allow.size).toBe(0);
+  });
+
+  it('parses YAML rule files', () => {
+    const raw = validationRules.parse('version: 1\nrevision: 7\nname:\n  suspiciousWords: [lake]\n', 'yaml');
+
+    expect(validationRules.compile(raw)).toMatchObject({ version: 1, revision: '7' });
+    expect(() => validationRules.parse('version: [1', 'yaml')).toThrow(RuleSetError);
+  });
+});
+
+describe('validationRules.reload', () => {
+  let directory;
+  let rules;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'rules-'));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    rules.unwatch();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('keeps the current rules when the new file is invalid', () => {
+    const file = path.join(directory, 'rules.json');
+    fs.writeFileSync(file, JSON.stringify(ruleSet({ revision: 'first' })));
+    rules = new validationRules.constructor(file);
+    const onReload = jest.fn();
+    rules.on('reload', onReload);
+    jest.spyOn(logger, 'error').mockImplementation(() => {});
+
+    fs.writeFileSync(file, JSON.stringify(ruleSet({ revision: 'second', version: 9 })));
+    expect(rules.reload()).toBe(false);
+    expect(rules.current.revision).toBe('first');
+
+    fs.writeFileSync(file, JSON.stringify(ruleSet({ revision: 'third' })));
+    expect(rules.reload()).toBe(true);
+    expect(rules.current.revision).toBe('third');
+    expect(onReload).toHaveBeenCalledTimes(1);
+  });
+});
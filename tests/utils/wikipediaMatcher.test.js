@@ -0,0 +1,64 @@
+const { baseTitle, scoreCandidate } = require('../../src/utils/wikipediaMatcher');
+
+const krakow = { cityName: 'Krakow', country: 'Poland', language: 'en' };
+
+describe('baseTitle', () => {
+  it.each([
+    ['Victoria, British Columbia', 'Victoria'],
+    ['Paris (Texas)', 'Paris'],
+    ['Kraków', 'Kraków']
+  ])('reduces %s to %s', (title, base) => {
+    expect(baseTitle(title)).toBe(base);
+  });
+});
+
+describe('scoreCandidate', () => {
+  const page = overrides => ({
+    title: 'Kraków',
+    description: 'City in Poland',
+    extract: 'Kraków is the second-largest city in Poland.',
+    coordinates: { lat: 50.06, lon: 19.94 },
+    ...overrides
+  });
+
+  it('gives a page passing every check a score of 1', () => {
+    expect(scoreCandidate(page(), krakow)).toBe(1);
+  });
+
+  it('scores a partial title lower than an exact one', () => {
+    expect(scoreCandidate(page({ title: 'Kraków Old Town' }), krakow)).toBe(0.85);
+    expect(scoreCandidate(page({ title: 'Lesser Poland' }), krakow)).toBe(0.7);
+  });
+
+  it('adds up the checks that pass', () => {
+    expect(scoreCandidate(page({ description: '', extract: 'Kraków was founded in the 7th century.', coordinates: undefined }), krakow)).toBe(0.3);
+    expect(scoreCandidate(page({ extract: 'Kraków is a city.', description: '', coordinates: undefined }), krakow)).toBe(0.6);
+  });
+
+  it('rejects disambiguation pages and empty extracts', () => {
+    expect(scoreCandidate(page({ type: 'disambiguation' }), krakow)).toBe(0);
+    expect(scoreCandidate(page({ extract: '' }), krakow)).toBe(0);
+    expect(scoreCandidate(null, krakow)).toBe(0);
+  });
+
+  it('recognises the country by ISO code, alias and localized name', () => {
+    expect(scoreCandidate(page(), { ...krakow, country: 'PL' })).toBe(1);
+    expect(scoreCandidate(
+      page({ title: 'Krakau', description: '', extract: 'Krakau ist eine Stadt im Süden Polens.' }),
+      { cityName: 'Krakau', country: 'PL', language: 'de' }
+    )).toBe(1);
+  });
+
+  it('only matches country names at the start of a word', () => {
+    const jerusalem = page({ title: 'Jerusalem', description: '', extract: 'Jerusalem is a city in the Middle East.' });
+
+    expect(scoreCandidate(jerusalem, { cityName: 'Jerusalem', country: 'USA', language: 'en' })).toBe(0.75);
+  });
+
+  it('uses the place keywords of the article language', () => {
+    const lodz = page({ title: 'Łódź', description: '', extract: 'Łódź – miasto w województwie łódzkim, Polska.', coordinates: undefined });
+
+    expect(scoreCandidate(lodz, { cityName: 'Łódź', country: 'Poland', language: 'pl' })).toBe(0.85);
+    expect(scoreCandidate(lodz, { cityName: 'Łódź', country: 'Poland', language: 'xx' })).toBe(0.55);
+  });
+});